@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJson, writeJson } from './storage.js';
+import { RATE_LIMITS } from './rate-limits.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const KEYS_FILE = 'api_keys.json';
+
+// Legacy single key: accepted with every scope until endpoint_key.txt is removed
+const ENDPOINT_KEY_PATH = path.join(__dirname, 'endpoint_key.txt');
+const ENDPOINT_KEY_ID = 'endpoint-key';
+
+export const SCOPES = ['mint', 'read', 'admin'];
+
+const KEY_PREFIX = 'gik';
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000;
+
+// Keys are kept in memory and persisted to disk on every change. Only hashes of the keys are stored.
+const keys = readJson(KEYS_FILE, {});
+
+function loadEndpointKeyHash() {
+  try {
+    const endpointKey = fs.readFileSync(ENDPOINT_KEY_PATH, 'utf8').trim();
+    return endpointKey ? hashKey(endpointKey) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function saveKeys() {
+  try {
+    writeJson(KEYS_FILE, keys);
+  } catch (error) {
+    console.error('[API_KEYS] Error saving keys:', error.message);
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function keyError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const endpointKeyHash = loadEndpointKeyHash();
+
+/**
+ * Public view of a key (never includes the hash)
+ */
+export function toKeyStatus(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    rateLimits: record.rateLimits || {},
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    revokedAt: record.revokedAt,
+    lastUsedAt: record.lastUsedAt,
+    rotatedFrom: record.rotatedFrom,
+    active: isActive(record)
+  };
+}
+
+function isActive(record) {
+  return !record.revokedAt && (!record.expiresAt || new Date(record.expiresAt).getTime() > Date.now());
+}
+
+/**
+ * Checks a presented API key
+ *
+ * @param {string} presentedKey - Key sent by the client
+ * @returns {Object|null} { id, name, scopes, rateLimits } of the key, or null if it is unknown, expired or revoked
+ */
+export function verifyApiKey(presentedKey) {
+  if (typeof presentedKey !== 'string' || presentedKey.length === 0) {
+    return null;
+  }
+  const presentedHash = hashKey(presentedKey);
+
+  // Keys look like gik_<id>_<secret>, so the record is found by ID and only its hash is compared
+  const match = new RegExp(`^${KEY_PREFIX}_([0-9a-f]{16})_`).exec(presentedKey);
+  const record = match && Object.prototype.hasOwnProperty.call(keys, match[1]) ? keys[match[1]] : null;
+
+  if (record) {
+    if (!crypto.timingSafeEqual(presentedHash, Buffer.from(record.hash, 'hex')) || !isActive(record)) {
+      return null;
+    }
+
+    // Recorded at most once a minute so busy keys do not rewrite the file on every request
+    const now = Date.now();
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() > LAST_USED_SAVE_INTERVAL_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      saveKeys();
+    }
+    return { id: record.id, name: record.name, scopes: record.scopes, rateLimits: record.rateLimits || {} };
+  }
+
+  if (endpointKeyHash && crypto.timingSafeEqual(presentedHash, endpointKeyHash)) {
+    return { id: ENDPOINT_KEY_ID, name: 'endpoint_key.txt', scopes: SCOPES, rateLimits: {} };
+  }
+  return null;
+}
+
+/**
+ * Returns true if a key may use a route that requires a scope. The admin scope allows every route.
+ *
+ * @param {Object} apiKey - Key returned by verifyApiKey
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+export function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin');
+}
+
+/**
+ * Checks the name, scopes, expiry and rate limits of a key request
+ *
+ * @returns {Object} { name, scopes, expiresAt, rateLimits }
+ * @throws {Error} With code 'INVALID_API_KEY_REQUEST'
+ */
+function parseKeyRequest(request) {
+  const { name, scopes, expiresAt, rateLimits = {} } = request || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    throw keyError('name must be a string of 1-100 characters', 'INVALID_API_KEY_REQUEST');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+    throw keyError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`, 'INVALID_API_KEY_REQUEST');
+  }
+  if (expiresAt !== undefined && expiresAt !== null &&
+      (isNaN(new Date(expiresAt).getTime()) || new Date(expiresAt).getTime() <= Date.now())) {
+    throw keyError('expiresAt must be a future date', 'INVALID_API_KEY_REQUEST');
+  }
+  if (!rateLimits || typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+    throw keyError('rateLimits must be an object of requests per minute by route', 'INVALID_API_KEY_REQUEST');
+  }
+  for (const [route, limit] of Object.entries(rateLimits)) {
+    if (!Object.prototype.hasOwnProperty.call(RATE_LIMITS, route)) {
+      throw keyError(`rateLimits: unknown route "${route}" (routes: ${Object.keys(RATE_LIMITS).join(', ')})`, 'INVALID_API_KEY_REQUEST');
+    }
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw keyError(`rateLimits.${route} must be a non-negative integer (0 for no limit)`, 'INVALID_API_KEY_REQUEST');
+    }
+  }
+
+  return {
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    rateLimits
+  };
+}
+
+function issueKey({ name, scopes, expiresAt, rateLimits }, rotatedFrom = null) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = `${KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  keys[id] = {
+    id,
+    name,
+    scopes,
+    hash: hashKey(key).toString('hex'),
+    rateLimits,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    revokedAt: null,
+    lastUsedAt: null,
+    rotatedFrom
+  };
+  saveKeys();
+
+  return { key, ...toKeyStatus(keys[id]) };
+}
+
+/**
+ * Creates an API key
+ *
+ * @param {Object} request - Key request:
+ *   @param {string} name - Who or what the key is for
+ *   @param {Array<string>} scopes - Any of mint, read, admin
+ *   @param {string} expiresAt - Optional expiry date (ISO 8601)
+ *   @param {Object} rateLimits - Optional requests per minute by route, overriding RATE_LIMITS for this key
+ * @returns {Object} The key status plus the key itself, which is not stored and cannot be shown again
+ * @throws {Error} With code 'INVALID_API_KEY_REQUEST' if the request is invalid
+ *
+ * @example
+ * const { key, id } = createApiKey({ name: 'game-server', scopes: ['mint', 'read'] });
+ */
+export function createApiKey(request) {
+  const created = issueKey(parseKeyRequest(request));
+  console.log(`[API_KEYS] Key ${created.id} (${created.name}) created with scopes ${created.scopes.join(', ')}`);
+  return created;
+}
+
+/**
+ * Lists API keys
+ *
+ * @returns {Array<Object>} Key statuses
+ */
+export function listApiKeys() {
+  return Object.values(keys).map(toKeyStatus);
+}
+
+/**
+ * Gets an API key's status
+ *
+ * @param {string} keyId - Key ID
+ * @returns {Object|null} Key status or null if not found
+ */
+export function getApiKey(keyId) {
+  return Object.prototype.hasOwnProperty.call(keys, keyId) ? toKeyStatus(keys[keyId]) : null;
+}
+
+/**
+ * Revokes an API key. Requests with it are rejected from then on.
+ *
+ * @param {string} keyId - Key ID
+ * @returns {Object|null} Key status or null if not found
+ */
+export function revokeApiKey(keyId) {
+  if (!Object.prototype.hasOwnProperty.call(keys, keyId)) {
+    return null;
+  }
+
+  const record = keys[keyId];
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    saveKeys();
+    console.log(`[API_KEYS] Key ${keyId} (${record.name}) revoked`);
+  }
+  return toKeyStatus(record);
+}
+
+/**
+ * Replaces an API key with a new one of the same name, scopes and rate limits.
+ * The old key is revoked, or expires after a grace period so clients can switch over.
+ *
+ * @param {string} keyId - Key ID
+ * @param {Object} config - Optional configuration:
+ *   @param {number} graceSeconds - Seconds the old key keeps working (default: 0, revoked immediately)
+ *   @param {string} expiresAt - Expiry of the new key (default: none)
+ * @returns {Object|null} The new key status plus the key itself, or null if the key was not found
+ * @throws {Error} With code 'INVALID_API_KEY_REQUEST' if the old key is no longer active or the config is invalid
+ */
+export function rotateApiKey(keyId, config = {}) {
+  if (!Object.prototype.hasOwnProperty.call(keys, keyId)) {
+    return null;
+  }
+
+  const record = keys[keyId];
+  if (!isActive(record)) {
+    throw keyError(`Key ${keyId} is revoked or expired`, 'INVALID_API_KEY_REQUEST');
+  }
+
+  const graceSeconds = config.graceSeconds === undefined ? 0 : Number(config.graceSeconds);
+  if (!Number.isFinite(graceSeconds) || graceSeconds < 0) {
+    throw keyError('graceSeconds must be a non-negative number', 'INVALID_API_KEY_REQUEST');
+  }
+
+  const rotated = issueKey(parseKeyRequest({
+    name: record.name,
+    scopes: record.scopes,
+    expiresAt: config.expiresAt,
+    rateLimits: record.rateLimits
+  }), keyId);
+
+  if (graceSeconds > 0) {
+    const graceEnd = new Date(Date.now() + graceSeconds * 1000);
+    if (!record.expiresAt || new Date(record.expiresAt) > graceEnd) {
+      record.expiresAt = graceEnd.toISOString();
+    }
+  } else {
+    record.revokedAt = new Date().toISOString();
+  }
+  saveKeys();
+
+  console.log(`[API_KEYS] Key ${keyId} (${record.name}) rotated to ${rotated.id}`);
+  return rotated;
+}
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { STORAGE_PATH } from './storage.js';
+
+// Uploaded assets live on the storage disk, named by their CID
+const ASSETS_PATH = path.join(STORAGE_PATH, 'assets');
+
+if (!fs.existsSync(ASSETS_PATH)) {
+  fs.mkdirSync(ASSETS_PATH, { recursive: true });
+}
+
+// CIDv1 prefix: version 1, raw codec (0x55), sha2-256 multihash (0x12) with a 32-byte digest
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Multibase "b" prefix followed by lowercase base32
+const CID_PATTERN = /^b[a-z2-7]{58}$/;
+
+function base32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Computes the IPFS CIDv1 (raw codec, sha2-256, base32) of some content.
+ * Matches `ipfs add --cid-version=1 --raw-leaves` for content that fits in a single block.
+ *
+ * @param {Buffer} buffer - Content to address
+ * @returns {string} CID, e.g. "bafkrei..."
+ */
+export function computeCid(buffer) {
+  const digest = crypto.createHash('sha256').update(buffer).digest();
+  return 'b' + base32(Buffer.concat([CID_PREFIX, digest]));
+}
+
+/**
+ * Returns true if a string is a CID produced by computeCid()
+ *
+ * @param {string} cid - String to check
+ * @returns {boolean}
+ */
+export function isValidCid(cid) {
+  return typeof cid === 'string' && CID_PATTERN.test(cid);
+}
+
+/**
+ * Stores content in the asset store. Identical content is stored only once.
+ *
+ * @param {Buffer} buffer - Content to store
+ * @param {string} mimeType - Content type served with the asset
+ * @returns {Object} { cid, size, mimeType }
+ */
+export function storeAsset(buffer, mimeType) {
+  const cid = computeCid(buffer);
+  const assetPath = path.join(ASSETS_PATH, cid);
+
+  // An asset is only complete once its metadata exists: the content is written first, so a crash in
+  // between leaves content without metadata, which is written again here
+  if (!fs.existsSync(`${assetPath}.json`)) {
+    fs.writeFileSync(`${assetPath}.tmp`, buffer);
+    fs.renameSync(`${assetPath}.tmp`, assetPath);
+    fs.writeFileSync(`${assetPath}.json.tmp`, JSON.stringify({
+      mimeType,
+      size: buffer.length,
+      createdAt: new Date().toISOString()
+    }));
+    fs.renameSync(`${assetPath}.json.tmp`, `${assetPath}.json`);
+    console.log(`[ASSETS] Stored ${cid} (${buffer.length} bytes)`);
+  }
+
+  return { cid, size: buffer.length, mimeType };
+}
+
+/**
+ * Looks up a stored asset
+ *
+ * @param {string} cid - CID of the asset
+ * @returns {Object|null} { path, mimeType, size } or null if not stored
+ */
+export function getAsset(cid) {
+  if (!isValidCid(cid)) {
+    return null;
+  }
+
+  const assetPath = path.join(ASSETS_PATH, cid);
+  try {
+    const info = JSON.parse(fs.readFileSync(`${assetPath}.json`, 'utf8'));
+    return { path: assetPath, mimeType: info.mimeType, size: info.size };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks the PUBLIC_BASE_URL environment variable. Asset URLs are written into token metadata for good,
+ * so they are always built from this setting and never from the Host header of a request.
+ * Called on startup; the server does not start without it.
+ *
+ * @returns {string} The base URL, without a trailing slash
+ * @throws {Error} With code 'INVALID_CONFIG' if PUBLIC_BASE_URL is missing or not an http(s) URL
+ */
+export function checkPublicBaseUrl() {
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+  let parsed = null;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (error) {
+    // Reported below
+  }
+  if (!parsed || (parsed.protocol !== 'https:' && parsed.protocol !== 'http:')) {
+    const error = new Error('PUBLIC_BASE_URL must be set to the public http(s) URL of this server, e.g. https://nft-api.example.com');
+    error.code = 'INVALID_CONFIG';
+    throw error;
+  }
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Builds the public URL of an asset, under PUBLIC_BASE_URL
+ *
+ * @param {string} cid - CID of the asset
+ * @returns {string} URL served by GET /assets/:cid
+ */
+export function getAssetUrl(cid) {
+  return `${checkPublicBaseUrl()}/assets/${cid}`;
+}
+
+/**
+ * Gets the CID of an asset URL served by this server, i.e. an /assets/<cid> URL under PUBLIC_BASE_URL.
+ * URLs on any other origin are not this server's, even if their path looks like an asset.
+ *
+ * @param {string} url - URL to check
+ * @returns {string|null} CID, or null if the URL is not an asset URL of this server
+ */
+export function parseAssetUrl(url) {
+  if (!process.env.PUBLIC_BASE_URL) {
+    return null;
+  }
+
+  let parsed;
+  let base;
+  try {
+    parsed = new URL(url);
+    base = new URL(process.env.PUBLIC_BASE_URL);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.origin !== base.origin || parsed.search || parsed.hash) {
+    return null;
+  }
+
+  const prefix = `${base.pathname.replace(/\/+$/, '')}/assets/`;
+  if (!parsed.pathname.startsWith(prefix)) {
+    return null;
+  }
+  const cid = parsed.pathname.slice(prefix.length);
+  return isValidCid(cid) ? cid : null;
+}
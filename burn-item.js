@@ -0,0 +1,121 @@
+import { ethers } from 'ethers';
+import { getOwnerSigner, signAndSend } from './mint.js';
+import { resolveDeployment, checkChainId } from './networks.js';
+import { sendWithNonce, confirmNonce } from './nonce-manager.js';
+import { getFeeOverrides, waitForConfirmation } from './fee-manager.js';
+
+// Contract ABI - burn is allowed for the contract owner, so the server wallet can burn any item
+const contractABI = [
+  "function burn(uint256 tokenId) public",
+  "function ownerOf(uint256 tokenId) public view returns (address)"
+];
+
+/**
+ * Burns (destroys) an NFT item, e.g. when a consumable item is used.
+ * Sent from the owner wallet, which the contract allows to burn any item.
+ *
+ * @param {number|string} tokenId - The token ID to burn
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ *   @param {Function} onSending - Called with (nonce, transactionHash, { previousOwner }) when the transaction is signed,
+ *     just before it is broadcast
+ *   @param {Function} onSubmitted - Called with (transactionHash, { previousOwner }) once broadcast,
+ *     and with the new hash whenever the transaction is replaced with a higher fee
+ * @returns {Promise<Object>} Transaction hash, block number, gas used and the item's previous owner
+ *
+ * @example
+ * const result = await burnItem(7);
+ * console.log(`Burned in block ${result.blockNumber}`);
+ */
+async function burnItem(tokenId, config = {}) {
+  try {
+    // Validate inputs
+    if (tokenId === null || tokenId === undefined) {
+      throw new Error('Token ID is required');
+    }
+
+    const tokenIdNumber = Number(tokenId);
+    if (isNaN(tokenIdNumber) || tokenIdNumber < 0) {
+      throw new Error('Token ID must be a valid number');
+    }
+
+    // Network and contract from the registry (see networks.js)
+    const { contractAddress } = resolveDeployment(config);
+
+    // Nothing is signed until the RPC endpoint is known to be on the network's chain
+    await checkChainId(config);
+
+    const wallet = await getOwnerSigner(config);
+    const contract = new ethers.Contract(contractAddress, contractABI, wallet);
+
+    let previousOwner;
+    try {
+      previousOwner = await contract.ownerOf(tokenIdNumber);
+    } catch (error) {
+      throw new Error(`Token ID ${tokenId} does not exist or has been burned`);
+    }
+
+    console.log(`Burning token ${tokenId} owned by ${previousOwner}...`);
+
+    const fees = await getFeeOverrides(wallet.provider);
+    const onSending = config.onSending && ((nonce, hash) => config.onSending(nonce, hash, { previousOwner }));
+    const tx = await sendWithNonce(wallet, (nonce) =>
+      signAndSend(wallet, contract.burn, [tokenIdNumber], { nonce, ...fees }, onSending)
+    );
+
+    console.log(`Transaction hash: ${tx.hash}`);
+
+    if (typeof config.onSubmitted === 'function') {
+      await config.onSubmitted(tx.hash, { previousOwner });
+    }
+
+    const receipt = await waitForConfirmation(wallet, tx, { onReplaced: config.onSubmitted });
+    confirmNonce(wallet, tx.nonce);
+
+    console.log(`✅ Token ${tokenId} burned in block ${receipt.blockNumber}`);
+
+    return {
+      success: true,
+      tokenId: tokenIdNumber.toString(),
+      previousOwner: previousOwner,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+
+  } catch (error) {
+    console.error('Burn error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Waits for an already-broadcast burn transaction to confirm.
+ * Used to resume watching burns that were in flight when the server restarted.
+ *
+ * @param {string} transactionHash - Hash of the burn transaction
+ * @param {Object} config - Optional configuration (see burnItem)
+ * @returns {Promise<Object>} Transaction hash, block number and gas used
+ */
+export async function waitForBurn(transactionHash, config = {}) {
+  const wallet = await getOwnerSigner(config);
+
+  const tx = await wallet.provider.getTransaction(transactionHash);
+  if (!tx) {
+    throw new Error(`Transaction ${transactionHash} not found (it may have been dropped)`);
+  }
+
+  const receipt = await waitForConfirmation(wallet, tx, { onReplaced: config.onSubmitted });
+
+  return {
+    success: true,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  };
+}
+
+export default burnItem;
@@ -0,0 +1,37 @@
+import { ethers } from 'ethers';
+
+/**
+ * Reads a number from an environment variable
+ *
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Returned if the variable is not set or is not a number
+ * @returns {number}
+ */
+export function envNumber(name, defaultValue) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && !isNaN(value) ? value : defaultValue;
+}
+
+/**
+ * Reads an amount of MATIC from an environment variable, in wei. The value must be a plain decimal
+ * such as 0.5 or 0.0000001; exponent forms and negative amounts are rejected.
+ *
+ * @param {string} name - Variable name
+ * @param {string} defaultValue - Decimal amount used if the variable is not set
+ * @returns {bigint}
+ * @throws {Error} If the value is not a decimal amount with at most 18 decimals
+ */
+export function envEther(name, defaultValue) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) {
+    return ethers.parseEther(defaultValue);
+  }
+  if (!/^\d+(\.\d+)?$/.test(raw)) {
+    throw new Error(`${name} must be a decimal amount in MATIC such as 0.5 (got "${raw}")`);
+  }
+  try {
+    return ethers.parseEther(raw);
+  } catch (error) {
+    throw new Error(`${name} must have at most 18 decimals (got "${raw}")`);
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped "" quotes, CRLF or LF line endings)
+ * into one object per row, keyed by the header row
+ *
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>} Rows as objects of column name -> string value
+ *
+ * @example
+ * parseCsv('destinationAddress,imageUrl\n0x0ad7...,https://example.com/a.png');
+ * // [{ destinationAddress: '0x0ad7...', imageUrl: 'https://example.com/a.png' }]
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark written by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(fields => fields.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(fields => {
+    const row = {};
+    header.forEach((name, index) => {
+      row[name] = fields[index] !== undefined ? fields[index].trim() : '';
+    });
+    return row;
+  });
+}
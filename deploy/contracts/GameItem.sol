@@ -11,6 +11,7 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  */
 contract GameItem is ERC721, ERC721URIStorage, Ownable {
     uint256 private _nextTokenId;
+    uint256 private _burnedCount;
     uint256 public constant MAX_SUPPLY = 1000000; // Maximum number of NFTs that can be minted
 
     constructor(address initialOwner) ERC721("GameItem", "GAME") Ownable(initialOwner) {
@@ -34,6 +35,30 @@ contract GameItem is ERC721, ERC721URIStorage, Ownable {
         return tokenId;
     }
 
+    /**
+     * @dev Mint multiple NFTs in a single transaction
+     * @param to Addresses to mint the NFTs to
+     * @param metadata JSON strings containing each item's traits and properties (same order as `to`)
+     */
+    function mintBatch(address[] calldata to, string[] calldata metadata) public onlyOwner returns (uint256[] memory) {
+        require(to.length > 0, "Empty batch");
+        require(to.length == metadata.length, "Array length mismatch");
+        require(_nextTokenId + to.length - 1 <= MAX_SUPPLY, "Max supply reached");
+
+        uint256[] memory tokenIds = new uint256[](to.length);
+        for (uint256 i = 0; i < to.length; i++) {
+            uint256 tokenId = _nextTokenId;
+            _nextTokenId++;
+
+            _safeMint(to[i], tokenId);
+            _setTokenURI(tokenId, metadata[i]);
+
+            tokenIds[i] = tokenId;
+        }
+
+        return tokenIds;
+    }
+
     /**
      * @dev Mint a new NFT with tokenURI (for IPFS/metadata URLs)
      * @param to Address to mint the NFT to
@@ -51,6 +76,18 @@ contract GameItem is ERC721, ERC721URIStorage, Ownable {
         return tokenId;
     }
 
+    /**
+     * @dev Replace the metadata of an existing NFT (e.g. when an item levels up).
+     * ERC721URIStorage implements ERC-4906, so _setTokenURI emits MetadataUpdate(tokenId)
+     * and marketplaces refresh the item.
+     * @param tokenId Token to update
+     * @param metadata New JSON string containing the item's traits and properties
+     */
+    function updateTokenURI(uint256 tokenId, string memory metadata) public onlyOwner {
+        _requireOwned(tokenId);
+        _setTokenURI(tokenId, metadata);
+    }
+
     /**
      * @dev Mint with metadata (alias for mint function for compatibility)
      */
@@ -59,12 +96,42 @@ contract GameItem is ERC721, ERC721URIStorage, Ownable {
     }
 
     /**
-     * @dev Get the total number of tokens minted
+     * @dev Burn (destroy) an NFT, e.g. when a consumable item is used.
+     * Callable by the token owner, an approved operator, or the contract owner (for moderation).
+     * @param tokenId Token to burn
+     */
+    function burn(uint256 tokenId) public {
+        address tokenOwner = _requireOwned(tokenId);
+        if (_msgSender() != owner()) {
+            _checkAuthorized(tokenOwner, _msgSender(), tokenId);
+        }
+
+        _burn(tokenId);
+        _burnedCount++;
+    }
+
+    /**
+     * @dev Get the number of tokens in existence (minted minus burned)
      */
     function totalSupply() public view returns (uint256) {
+        return _nextTokenId - 1 - _burnedCount;
+    }
+
+    /**
+     * @dev Get the total number of tokens ever minted.
+     * Token IDs run from 1 to totalMinted(); burned IDs are never reused.
+     */
+    function totalMinted() public view returns (uint256) {
         return _nextTokenId - 1;
     }
 
+    /**
+     * @dev Get the total number of tokens burned
+     */
+    function totalBurned() public view returns (uint256) {
+        return _burnedCount;
+    }
+
     // Required overrides
     function tokenURI(uint256 tokenId)
         public
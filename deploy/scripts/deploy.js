@@ -7,6 +7,23 @@ import { fileURLToPath } from "url";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Deployments are registered in the API's network registry
+const NETWORKS_PATH = path.join(__dirname, "..", "..", "networks.json");
+const NETWORK = "polygon";
+
+function saveDeployment(deploymentInfo) {
+  const collection = process.env.COLLECTION || "game-items";
+  const registry = JSON.parse(fs.readFileSync(NETWORKS_PATH, "utf8"));
+  const network = registry.networks[NETWORK];
+
+  network.deployments = network.deployments || {};
+  network.deployments[collection] = deploymentInfo;
+  network.defaultCollection = network.defaultCollection || collection;
+
+  fs.writeFileSync(NETWORKS_PATH, JSON.stringify(registry, null, 2) + "\n");
+  console.log(`\nDeployment saved to networks.json as ${NETWORK}/${collection}`);
+}
+
 async function main() {
   console.log("=== Starting Deployment ===");
   console.log("Deploying GameItem contract to Polygon...\n");
@@ -126,19 +143,12 @@ async function main() {
         console.log("\nYou can view your contract on PolygonScan:");
         console.log(`https://polygonscan.com/address/${addr}`);
         
-        // Save deployment info
-        const deploymentInfo = {
+        saveDeployment({
           contractAddress: addr,
           ownerAddress: wallet.address,
-          network: "polygon",
+          deploymentBlock: receipt.blockNumber,
           deployedAt: new Date().toISOString()
-        };
-        
-        fs.writeFileSync(
-          "deployment.json",
-          JSON.stringify(deploymentInfo, null, 2)
-        );
-        console.log("\nDeployment info saved to deployment.json");
+        });
         return;
       }
     } catch (e) {
@@ -153,19 +163,12 @@ async function main() {
   console.log("\nYou can view your contract on PolygonScan:");
   console.log(`https://polygonscan.com/address/${contractAddress}`);
   
-  // Save the contract address to a file for easy reference
-  const deploymentInfo = {
+  saveDeployment({
     contractAddress: contractAddress,
     ownerAddress: wallet.address,
-    network: "polygon",
+    deploymentBlock: receipt.blockNumber,
     deployedAt: new Date().toISOString()
-  };
-  
-  fs.writeFileSync(
-    "deployment.json",
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  console.log("\nDeployment info saved to deployment.json");
+  });
 }
 
 main()
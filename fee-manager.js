@@ -0,0 +1,374 @@
+import { ethers } from 'ethers';
+import { trackReplacement } from './nonce-manager.js';
+import { recordGasSpent } from './rate-limits.js';
+import { envNumber } from './config.js';
+
+/**
+ * Gets the fee policy, configured through environment variables:
+ *   GAS_MAX_FEE_GWEI - Cap on maxFeePerGas for new transactions (default: 500)
+ *   GAS_MIN_PRIORITY_FEE_GWEI - Minimum priority tip (default: 30, Polygon's minimum)
+ *   GAS_PRIORITY_FEE_MULTIPLIER - Multiplier applied to the RPC's suggested tip (default: 1.25)
+ *   GAS_FEE_CEILING_GWEI - Hard ceiling no transaction or replacement may exceed (default: 1000)
+ *   GAS_REPLACE_AFTER_SECONDS - Time before a pending transaction is replaced with a higher fee (default: 120)
+ *   GAS_BUMP_PERCENT - Fee increase for each replacement, at least 10 (default: 20)
+ *   GAS_MAX_REPLACEMENTS - Maximum automatic replacements per transaction (default: 3)
+ *
+ * @returns {Object} Fee policy with fees in wei
+ */
+export function getFeePolicy() {
+  return {
+    maxFeePerGas: ethers.parseUnits(String(envNumber('GAS_MAX_FEE_GWEI', 500)), 'gwei'),
+    minPriorityFeePerGas: ethers.parseUnits(String(envNumber('GAS_MIN_PRIORITY_FEE_GWEI', 30)), 'gwei'),
+    priorityFeeMultiplier: envNumber('GAS_PRIORITY_FEE_MULTIPLIER', 1.25),
+    feeCeiling: ethers.parseUnits(String(envNumber('GAS_FEE_CEILING_GWEI', 1000)), 'gwei'),
+    replaceAfterMs: envNumber('GAS_REPLACE_AFTER_SECONDS', 120) * 1000,
+    bumpPercent: Math.max(10, envNumber('GAS_BUMP_PERCENT', 20)),
+    maxReplacements: envNumber('GAS_MAX_REPLACEMENTS', 3),
+    pollIntervalMs: 5000
+  };
+}
+
+function scale(value, factor) {
+  return value * BigInt(Math.round(factor * 1000)) / 1000n;
+}
+
+function minBigInt(a, b) {
+  return a < b ? a : b;
+}
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+function formatGwei(value) {
+  return `${ethers.formatUnits(value, 'gwei')} gwei`;
+}
+
+/**
+ * Computes fee overrides for a new transaction according to the fee policy
+ *
+ * @param {ethers.Provider} provider - Provider for the target network
+ * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice } on non EIP-1559 networks
+ * @throws {Error} If the network base fee is above the hard ceiling
+ */
+export async function getFeeOverrides(provider) {
+  const policy = getFeePolicy();
+  const cap = minBigInt(policy.maxFeePerGas, policy.feeCeiling);
+  const [block, feeData] = await Promise.all([provider.getBlock('latest'), provider.getFeeData()]);
+
+  // Legacy pricing for networks without EIP-1559
+  if (!block || block.baseFeePerGas === null || block.baseFeePerGas === undefined) {
+    const gasPrice = scale(feeData.gasPrice || 0n, policy.priorityFeeMultiplier);
+    if (gasPrice > policy.feeCeiling) {
+      throw new Error(`Network gas price ${formatGwei(gasPrice)} exceeds the fee ceiling of ${formatGwei(policy.feeCeiling)}`);
+    }
+    return { gasPrice: minBigInt(gasPrice, cap) };
+  }
+
+  const baseFee = block.baseFeePerGas;
+  if (baseFee >= policy.feeCeiling) {
+    throw new Error(`Network base fee ${formatGwei(baseFee)} exceeds the fee ceiling of ${formatGwei(policy.feeCeiling)}`);
+  }
+
+  const suggestedTip = feeData.maxPriorityFeePerGas || 0n;
+  let maxPriorityFeePerGas = maxBigInt(scale(suggestedTip, policy.priorityFeeMultiplier), policy.minPriorityFeePerGas);
+  const maxFeePerGas = minBigInt(baseFee * 2n + maxPriorityFeePerGas, cap);
+
+  if (maxFeePerGas < baseFee) {
+    console.warn(`[GAS] Max fee ${formatGwei(maxFeePerGas)} is below the current base fee ${formatGwei(baseFee)}; transaction may be slow`);
+  }
+  maxPriorityFeePerGas = minBigInt(maxPriorityFeePerGas, maxFeePerGas);
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Estimates the gas price a new transaction pays under the fee policy: the legacy gas price,
+ * or the current base fee plus the priority tip, up to the max fee
+ *
+ * @param {ethers.Provider} provider - Provider for the target network
+ * @returns {Promise<bigint>} Gas price in wei
+ * @throws {Error} If the network base fee is above the hard ceiling
+ */
+export async function estimateGasPrice(provider) {
+  const [fees, block] = await Promise.all([getFeeOverrides(provider), provider.getBlock('latest')]);
+  if (fees.gasPrice !== undefined) {
+    return fees.gasPrice;
+  }
+  return minBigInt(block.baseFeePerGas + fees.maxPriorityFeePerGas, fees.maxFeePerGas);
+}
+
+function txError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Pending transactions being watched, keyed by "<chainId>:<address>:<nonce>", since the owner
+// wallet uses the same address (and overlapping nonces) on every network
+const pending = new Map();
+
+function pendingKey(chainId, address, nonce) {
+  return `${chainId}:${address.toLowerCase()}:${nonce}`;
+}
+
+async function walletChainId(wallet) {
+  return (await wallet.provider.getNetwork()).chainId;
+}
+
+function registerPending(tx, onReplaced) {
+  const chainId = BigInt(tx.chainId);
+  const key = pendingKey(chainId, tx.from, tx.nonce);
+  let entry = pending.get(key);
+
+  if (!entry) {
+    entry = {
+      chainId,
+      nonce: tx.nonce,
+      from: tx.from,
+      request: {
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        gasLimit: tx.gasLimit,
+        chainId: tx.chainId
+      },
+      fees: tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined
+        ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+        : { gasPrice: tx.gasPrice },
+      hashes: new Set([tx.hash]),
+      cancelHashes: new Set(),
+      latestHash: tx.hash,
+      lastSentAt: Date.now(),
+      replacements: 0,
+      onReplaced: null
+    };
+    pending.set(key, entry);
+  }
+
+  if (onReplaced) {
+    entry.onReplaced = onReplaced;
+  }
+  return entry;
+}
+
+function findPendingByHash(hash, chainId) {
+  for (const entry of pending.values()) {
+    if (entry.chainId === chainId && entry.hashes.has(hash)) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Bumps fees by the policy's bump percentage, never below current market fees or above the ceiling.
+ * Returns null if the ceiling does not leave room for a valid replacement (nodes require +10%).
+ */
+async function bumpFees(provider, fees) {
+  const policy = getFeePolicy();
+  const factor = 1 + policy.bumpPercent / 100;
+  let market;
+  try {
+    market = await getFeeOverrides(provider);
+  } catch {
+    market = {};
+  }
+
+  if (fees.gasPrice !== undefined) {
+    const gasPrice = minBigInt(maxBigInt(scale(fees.gasPrice, factor), market.gasPrice || 0n), policy.feeCeiling);
+    return gasPrice >= scale(fees.gasPrice, 1.1) ? { gasPrice } : null;
+  }
+
+  const maxFeePerGas = minBigInt(maxBigInt(scale(fees.maxFeePerGas, factor), market.maxFeePerGas || 0n), policy.feeCeiling);
+  const maxPriorityFeePerGas = minBigInt(
+    maxBigInt(scale(fees.maxPriorityFeePerGas, factor), market.maxPriorityFeePerGas || 0n),
+    maxFeePerGas
+  );
+
+  if (maxFeePerGas < scale(fees.maxFeePerGas, 1.1) || maxPriorityFeePerGas < scale(fees.maxPriorityFeePerGas, 1.1)) {
+    return null;
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Sends a replacement for a pending transaction with the same nonce and higher fees
+ */
+async function replace(wallet, entry, cancel) {
+  const fees = await bumpFees(wallet.provider, entry.fees);
+  if (!fees) {
+    throw txError(`Cannot bump fees for nonce ${entry.nonce} without exceeding the fee ceiling`, 'FEE_CEILING_REACHED');
+  }
+
+  const request = cancel
+    ? { to: wallet.address, data: '0x', value: 0n, gasLimit: 21000n, chainId: entry.request.chainId }
+    : { ...entry.request };
+
+  const tx = await wallet.sendTransaction({ ...request, ...fees, nonce: entry.nonce });
+
+  entry.fees = fees;
+  entry.hashes.add(tx.hash);
+  if (cancel) {
+    entry.cancelHashes.add(tx.hash);
+  }
+  entry.latestHash = tx.hash;
+  entry.lastSentAt = Date.now();
+  trackReplacement(wallet, entry.nonce, tx.hash);
+
+  console.log(`[GAS] ${cancel ? 'Cancelled' : 'Sped up'} nonce ${entry.nonce} with ${tx.hash}`);
+  if (entry.onReplaced) {
+    await entry.onReplaced(tx.hash);
+  }
+  return tx;
+}
+
+/**
+ * Waits for a transaction to confirm, replacing it with a higher fee if it stays pending
+ * longer than the policy's replacement timeout. Any of the transaction's replacements
+ * (automatic or manual speed-ups) count as confirmation.
+ *
+ * @param {ethers.Wallet} wallet - Signer that sent the transaction
+ * @param {ethers.TransactionResponse} tx - The broadcast transaction
+ * @param {Object} options - Optional:
+ *   @param {Function} onReplaced - Called with the new hash whenever the transaction is replaced
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of whichever transaction for this nonce was mined
+ * @throws {Error} If the mined transaction reverted, was cancelled, or was replaced by an unknown transaction
+ */
+export async function waitForConfirmation(wallet, tx, options = {}) {
+  const policy = getFeePolicy();
+  const provider = wallet.provider;
+  const canReplace = tx.from.toLowerCase() === wallet.address.toLowerCase();
+  const entry = registerPending(tx, options.onReplaced);
+  let minedWithoutReceipt = 0;
+
+  try {
+    while (true) {
+      for (const hash of entry.hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+          // Cancelled and reverted transactions pay for gas too
+          recordGasSpent(receipt);
+          if (entry.cancelHashes.has(hash)) {
+            throw new Error(`Transaction was cancelled by ${hash}`);
+          }
+          if (receipt.status !== 1) {
+            throw new Error(`Transaction ${hash} reverted`);
+          }
+          return receipt;
+        }
+      }
+
+      // The nonce was used, but not by any transaction we know about
+      const minedCount = await provider.getTransactionCount(tx.from, 'latest');
+      if (minedCount > entry.nonce && ++minedWithoutReceipt > 2) {
+        throw new Error(`Transaction nonce ${entry.nonce} was used by an unknown replacement transaction`);
+      }
+
+      if (canReplace &&
+          entry.cancelHashes.size === 0 &&
+          entry.replacements < policy.maxReplacements &&
+          Date.now() - entry.lastSentAt >= policy.replaceAfterMs) {
+        entry.replacements++;
+        try {
+          await replace(wallet, entry, false);
+        } catch (error) {
+          console.warn(`[GAS] Automatic speed-up failed: ${error.message}`);
+          entry.lastSentAt = Date.now();
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, policy.pollIntervalMs));
+    }
+  } finally {
+    pending.delete(pendingKey(entry.chainId, entry.from, entry.nonce));
+  }
+}
+
+/**
+ * Lists the transactions of a wallet on one chain that are being watched until they confirm, lowest nonce first
+ *
+ * @param {string} address - Sender address
+ * @param {number|bigint} chainId - Chain ID of the network
+ * @returns {Array<Object>} { nonce, transactionHash, replacements, cancelled, lastSentAt, gasLimit, fees }
+ *   with the latest replacement's hash, and the gas limit and fees in wei
+ */
+export function getPendingTransactions(address, chainId) {
+  return [...pending.values()]
+    .filter(entry => entry.chainId === BigInt(chainId) && entry.from.toLowerCase() === address.toLowerCase())
+    .sort((a, b) => a.nonce - b.nonce)
+    .map(entry => ({
+      nonce: entry.nonce,
+      transactionHash: entry.latestHash,
+      replacements: entry.hashes.size - 1,
+      cancelled: entry.cancelHashes.size > 0,
+      lastSentAt: new Date(entry.lastSentAt).toISOString(),
+      gasLimit: entry.request.gasLimit,
+      fees: { ...entry.fees }
+    }));
+}
+
+async function findEntry(wallet, transactionHash) {
+  const known = findPendingByHash(transactionHash, await walletChainId(wallet));
+  if (known) {
+    return known;
+  }
+
+  const tx = await wallet.provider.getTransaction(transactionHash);
+  if (!tx) {
+    throw txError(`Transaction ${transactionHash} not found`, 'TX_NOT_FOUND');
+  }
+  if (tx.blockNumber !== null && tx.blockNumber !== undefined) {
+    throw txError(`Transaction ${transactionHash} is already mined`, 'TX_NOT_PENDING');
+  }
+  if (tx.from.toLowerCase() !== wallet.address.toLowerCase()) {
+    throw txError(`Transaction ${transactionHash} was not sent by the owner wallet`, 'TX_NOT_OWNED');
+  }
+
+  // Not watched by this process; track it until its nonce is used
+  const entry = registerPending(tx);
+  waitForConfirmation(wallet, tx).catch(() => {});
+  return entry;
+}
+
+/**
+ * Manually speeds up a pending owner wallet transaction by resending it with bumped fees
+ *
+ * @param {ethers.Wallet} wallet - Owner signer
+ * @param {string} transactionHash - Hash of the pending transaction (or any of its replacements)
+ * @returns {Promise<Object>} Original and replacement hashes, nonce and new fees
+ * @throws {Error} With code TX_NOT_FOUND, TX_NOT_PENDING, TX_NOT_OWNED or FEE_CEILING_REACHED
+ */
+export async function speedUpTransaction(wallet, transactionHash) {
+  const entry = await findEntry(wallet, transactionHash);
+  const tx = await replace(wallet, entry, false);
+  return describeReplacement(transactionHash, entry, tx);
+}
+
+/**
+ * Manually cancels a pending owner wallet transaction by sending a zero-value
+ * transaction to itself with the same nonce and bumped fees
+ *
+ * @param {ethers.Wallet} wallet - Owner signer
+ * @param {string} transactionHash - Hash of the pending transaction (or any of its replacements)
+ * @returns {Promise<Object>} Original and cancellation hashes, nonce and new fees
+ * @throws {Error} With code TX_NOT_FOUND, TX_NOT_PENDING, TX_NOT_OWNED or FEE_CEILING_REACHED
+ */
+export async function cancelTransaction(wallet, transactionHash) {
+  const entry = await findEntry(wallet, transactionHash);
+  const tx = await replace(wallet, entry, true);
+  return describeReplacement(transactionHash, entry, tx);
+}
+
+function describeReplacement(transactionHash, entry, tx) {
+  const fees = {};
+  for (const [name, value] of Object.entries(entry.fees)) {
+    fees[name] = formatGwei(value);
+  }
+  return {
+    originalHash: transactionHash,
+    replacementHash: tx.hash,
+    nonce: entry.nonce,
+    fees: fees
+  };
+}
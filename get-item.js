@@ -1,14 +1,37 @@
 import { ethers } from 'ethers';
-import fs from 'fs';
+import { parseTokenURI, getTraits } from './metadata.js';
+import { resolveDeployment } from './networks.js';
+import { getProvider } from './provider-pool.js';
+import { useIndex, getIndexedToken } from './indexer.js';
+
+/**
+ * Explains why ownerOf failed: IDs up to totalMinted() were minted, so they have been burned
+ */
+async function describeMissingToken(contract, tokenIdNumber) {
+  try {
+    const totalMinted = await contract.totalMinted();
+    if (tokenIdNumber >= 1 && BigInt(tokenIdNumber) <= totalMinted) {
+      return `Token ID ${tokenIdNumber} has been burned`;
+    }
+    return `Token ID ${tokenIdNumber} does not exist`;
+  } catch {
+    // Contract deployed before totalMinted() was added
+    return `Token ID ${tokenIdNumber} does not exist or has been burned`;
+  }
+}
 
 /**
  * Retrieves a specific game item (NFT) by token ID
  * 
  * @param {number|string} tokenId - The token ID to look up
  * @param {Object} config - Optional configuration:
- *   @param {string} contractAddress - Contract address (defaults to deployment.json)
- *   @param {string} rpcUrl - RPC endpoint URL (default: https://polygon-rpc.com/)
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ *   @param {string} source - "chain" to skip the index and read from the chain
  * @returns {Promise<Object>} Item object with tokenId, metadata, traits, owner, etc.
+ * @throws {Error} With code 'TOKEN_NOT_FOUND' if the token was never minted or has been burned
  * 
  * @example
  * const item = await getItem(1);
@@ -27,44 +50,40 @@ async function getItem(tokenId, config = {}) {
       throw new Error('Token ID must be a valid number');
     }
 
-    // Load configuration
-    let contractAddress = config.contractAddress;
-    const rpcUrl = config.rpcUrl || 'https://polygon-rpc.com/';
+    // Network and contract from the registry (see networks.js)
+    const { network, contractAddress } = resolveDeployment(config);
 
-    // Load contract address from deployment.json if not provided
-    if (!contractAddress) {
-      try {
-        const deploymentInfo = JSON.parse(fs.readFileSync('deployment.json', 'utf8'));
-        contractAddress = deploymentInfo.contractAddress;
-      } catch (error) {
-        throw new Error('Contract address not provided and deployment.json not found');
-      }
-    }
-
-    if (!contractAddress || !ethers.isAddress(contractAddress)) {
-      throw new Error('Invalid contract address');
-    }
-
-    // Create provider
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    // Shared provider of the network, with failover between its RPC URLs
+    const provider = getProvider(network, config.rpcUrl);
 
     // Contract ABI
     const contractABI = [
       "function tokenURI(uint256 tokenId) public view returns (string memory)",
       "function ownerOf(uint256 tokenId) public view returns (address)",
-      "function totalSupply() public view returns (uint256)"
+      "function totalSupply() public view returns (uint256)",
+      "function totalMinted() public view returns (uint256)"
     ];
 
     const contract = new ethers.Contract(contractAddress, contractABI, provider);
 
     console.log(`Looking up token ID ${tokenId} from contract ${contractAddress}...`);
 
-    // Get owner of the token
+    // Get owner of the token, from the index when it is in sync and knows the token
+    const indexStatus = useIndex(contractAddress, { ...config, network });
+    const indexedToken = indexStatus ? getIndexedToken(contractAddress, tokenIdNumber) : null;
+    const fromIndex = indexedToken !== null && !indexedToken.burned;
+
     let owner;
-    try {
-      owner = await contract.ownerOf(tokenIdNumber);
-    } catch (error) {
-      throw new Error(`Token ID ${tokenId} does not exist or has been burned`);
+    if (fromIndex) {
+      owner = indexedToken.owner;
+    } else {
+      try {
+        owner = await contract.ownerOf(tokenIdNumber);
+      } catch (error) {
+        const missing = new Error(await describeMissingToken(contract, tokenIdNumber));
+        missing.code = 'TOKEN_NOT_FOUND';
+        throw missing;
+      }
     }
 
     // Get token URI (metadata)
@@ -75,26 +94,13 @@ async function getItem(tokenId, config = {}) {
     let image = '';
 
     try {
-      const tokenURI = await contract.tokenURI(tokenIdNumber);
+      const tokenURI = (fromIndex ? indexedToken.tokenURI : null) ?? await contract.tokenURI(tokenIdNumber);
       
-      // Parse metadata (could be JSON string or data URI)
-      if (tokenURI.startsWith('data:application/json')) {
-        // Base64 encoded JSON
-        const base64Data = tokenURI.split(',')[1];
-        metadata = JSON.parse(Buffer.from(base64Data, 'base64').toString());
-      } else if (tokenURI.startsWith('{')) {
-        // Direct JSON string
-        metadata = JSON.parse(tokenURI);
-      } else if (tokenURI.startsWith('http')) {
-        // URL to metadata - would need to fetch, but for now return URL
-        metadata = { uri: tokenURI };
-      } else {
-        // Fallback: treat as raw data
-        metadata = { raw: tokenURI };
-      }
+      // Parse metadata (data URI, legacy JSON string, or URL)
+      metadata = parseTokenURI(tokenURI);
 
       // Extract common fields
-      traits = metadata.traits || {};
+      traits = getTraits(metadata);
       name = metadata.name || `Item #${tokenId}`;
       description = metadata.description || '';
       image = metadata.image || '';
@@ -112,7 +118,9 @@ async function getItem(tokenId, config = {}) {
       name: name,
       description: description,
       image: image,
-      contractAddress: contractAddress
+      contractAddress: contractAddress,
+      source: fromIndex ? 'index' : 'chain',
+      syncedBlock: fromIndex ? indexStatus.syncedBlock : null
     };
 
   } catch (error) {
@@ -0,0 +1,358 @@
+import fs from 'fs';
+import { fetchImage } from './outbound-policy.js';
+import { getAsset, parseAssetUrl } from './asset-store.js';
+
+// Required image size in pixels (SVGs are vector images and only sanitized)
+const IMAGE_WIDTH = Number(process.env.IMAGE_WIDTH) || 512;
+const IMAGE_HEIGHT = Number(process.env.IMAGE_HEIGHT) || 512;
+
+// Limits for images fetched from a URL
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = Number(process.env.IMAGE_FETCH_TIMEOUT_MS) || 10000;
+
+// URLs that passed validation recently, so a mint is not downloaded again by every step that checks it
+const VALIDATION_CACHE_MS = 10 * 60 * 1000;
+const validatedUrls = new Map();
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+const FORMAT_NAMES = {
+  png: 'PNG',
+  jpeg: 'JPEG',
+  gif: 'GIF',
+  webp: 'WebP',
+  svg: 'SVG'
+};
+
+function imageError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+}
+
+/**
+ * Detects an image format from the file's magic bytes
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} 'png', 'jpeg', 'gif', 'webp', 'svg' or null if not a supported image
+ */
+export function detectImageFormat(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  // SVG: optional BOM, XML declaration, comments and doctype before the <svg> root element
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).replace(/^\uFEFF/, '');
+  if (/^\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>\s*)*<svg[\s>]/i.test(head)) {
+    return 'svg';
+  }
+
+  return null;
+}
+
+function readJpegDimensions(buffer) {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+
+    // Fill bytes and markers without a length field
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2;
+      continue;
+    }
+
+    // Start of frame markers (except DHT, JPG and DAC, which share the range)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+function readWebpDimensions(buffer) {
+  if (buffer.length < 30) {
+    return null;
+  }
+
+  switch (buffer.toString('latin1', 12, 16)) {
+    case 'VP8 ':
+      // Lossy: 14-bit dimensions after the frame tag and start code
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      // Lossless: 14-bit dimensions minus one, packed after the 0x2f signature byte
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      // Extended: 24-bit canvas dimensions minus one
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads the pixel dimensions from a raster image's header
+ *
+ * @param {Buffer} buffer - File content
+ * @param {string} format - Format returned by detectImageFormat()
+ * @returns {Object|null} { width, height } or null if the header is missing or truncated
+ */
+export function getImageDimensions(buffer, format) {
+  switch (format) {
+    case 'png':
+      if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+        return null;
+      }
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    case 'gif':
+      return buffer.length < 10 ? null : { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    case 'jpeg':
+      return readJpegDimensions(buffer);
+    case 'webp':
+      return readWebpDimensions(buffer);
+    default:
+      return null;
+  }
+}
+
+function isSafeReference(value) {
+  const reference = value.replace(/^["']|["']$/g, '').trim();
+  return reference.startsWith('#') || /^data:image\/(png|jpeg|gif|webp);base64,/i.test(reference);
+}
+
+/**
+ * Removes scripts, event handlers and external references from an SVG.
+ * Internal references (#id) and embedded raster images (data:image/...;base64) are kept.
+ *
+ * @param {string} svg - SVG source
+ * @returns {Object} { svg, removed } - Sanitized source and a list of what was removed
+ */
+export function sanitizeSvg(svg) {
+  const removed = new Set();
+  const strip = (source, pattern, description, keep = () => false) =>
+    source.replace(pattern, (match, ...groups) => {
+      if (keep(match, ...groups)) {
+        return match;
+      }
+      removed.add(typeof description === 'function' ? description(match, ...groups) : description);
+      return '';
+    });
+
+  let previous;
+  do {
+    previous = svg;
+    svg = strip(svg, /<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, 'DOCTYPE (entity declarations)');
+    svg = strip(svg, /<\?xml-stylesheet[\s\S]*?\?>/gi, 'external stylesheet');
+    svg = strip(svg, /<(script|foreignObject|iframe|embed|object|audio|video)\b[\s\S]*?<\/\1\s*>/gi, (match, tag) => `<${tag}> element`);
+    svg = strip(svg, /<\/?(script|foreignObject|iframe|embed|object|audio|video)\b[^>]*>/gi, (match, tag) => `<${tag}> element`);
+    svg = strip(svg, /<(animate|set)\b[^>]*attributeName\s*=\s*["']?(xlink:)?href[^>]*>/gi, 'href animation');
+    svg = strip(svg, /\s(on[a-z]+)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, (match, name) => `${name} event handler`);
+    svg = strip(svg, /\s((?:xlink:)?href|src)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, 'external reference',
+      (match, name, value) => isSafeReference(value));
+    svg = strip(svg, /\s[\w:-]+\s*=\s*("[^"]*javascript:[^"]*"|'[^']*javascript:[^']*')/gi, 'javascript: URL');
+    svg = strip(svg, /@import[^;]*;?/gi, 'stylesheet @import');
+    svg = svg.replace(/url\(\s*([^)]*)\)/gi, (match, value) => {
+      if (isSafeReference(value)) {
+        return match;
+      }
+      removed.add('external reference');
+      return 'none';
+    });
+  } while (svg !== previous);
+
+  return { svg, removed: [...removed] };
+}
+
+/**
+ * Validates an image: the content must be a PNG, JPEG, GIF, WebP or SVG image
+ * matching its declared type, and raster images must be exactly IMAGE_WIDTH x IMAGE_HEIGHT pixels.
+ * SVGs are sanitized (see sanitizeSvg); pass allowSvgChanges: false to reject unsafe SVGs instead.
+ *
+ * @param {Buffer} buffer - File content
+ * @param {Object} options - Optional:
+ *   @param {string} mimeType - Declared content type (upload mimetype or Content-Type header)
+ *   @param {boolean} allowSvgChanges - Sanitize unsafe SVGs instead of rejecting them (default: true)
+ * @returns {Object} { format, mimeType, width, height, buffer } - buffer is the sanitized content for SVGs
+ * @throws {Error} With code 'INVALID_IMAGE' and a message saying what is wrong
+ *
+ * @example
+ * const image = validateImage(req.file.buffer, { mimeType: req.file.mimetype });
+ * storeAsset(image.buffer, image.mimeType);
+ */
+export function validateImage(buffer, options = {}) {
+  const { mimeType, allowSvgChanges = true } = options;
+
+  if (!buffer || buffer.length === 0) {
+    throw imageError('Image is empty');
+  }
+
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw imageError('Image content is not a PNG, JPEG, GIF, WebP or SVG image');
+  }
+
+  const declared = mimeType ? mimeType.split(';')[0].trim().toLowerCase() : null;
+  if (declared && declared.startsWith('image/') && declared !== MIME_TYPES[format] && !(format === 'jpeg' && declared === 'image/jpg')) {
+    throw imageError(`Image content is ${FORMAT_NAMES[format]} but it was sent as ${declared}`);
+  }
+
+  if (format === 'svg') {
+    const result = sanitizeSvg(buffer.toString('utf8'));
+    if (result.removed.length > 0) {
+      if (!allowSvgChanges) {
+        throw imageError(`SVG contains unsafe content (${result.removed.join(', ')}); upload the file instead so it can be sanitized`);
+      }
+      console.log(`[IMAGE] Sanitized SVG, removed: ${result.removed.join(', ')}`);
+    }
+    return { format, mimeType: MIME_TYPES.svg, width: null, height: null, buffer: Buffer.from(result.svg) };
+  }
+
+  const dimensions = getImageDimensions(buffer, format);
+  if (!dimensions) {
+    throw imageError(`Could not read the dimensions of the ${FORMAT_NAMES[format]} image; the file may be truncated or corrupt`);
+  }
+  if (dimensions.width !== IMAGE_WIDTH || dimensions.height !== IMAGE_HEIGHT) {
+    throw imageError(`Image is ${dimensions.width}x${dimensions.height} pixels; it must be exactly ${IMAGE_WIDTH}x${IMAGE_HEIGHT} pixels`);
+  }
+
+  return { format, mimeType: MIME_TYPES[format], width: dimensions.width, height: dimensions.height, buffer };
+}
+
+/**
+ * Reads an uploaded asset (an /assets/<cid> URL under PUBLIC_BASE_URL) from the asset store instead of
+ * downloading it, so uploads validate even when this server is only reachable on a private address.
+ * Asset-looking URLs on other hosts are downloaded and checked like any other URL, since that host
+ * could serve anything.
+ *
+ * @returns {Object|null} { buffer, mimeType }, or null if the URL is not a stored asset
+ */
+function readStoredAsset(imageUrl) {
+  const cid = parseAssetUrl(imageUrl);
+  const asset = cid && getAsset(cid);
+  if (!asset) {
+    return null;
+  }
+  return { buffer: fs.readFileSync(asset.path), mimeType: asset.mimeType };
+}
+
+async function readDataUrl(imageUrl) {
+  let buffer;
+  let mimeType;
+  try {
+    const response = await fetch(imageUrl);
+    buffer = Buffer.from(await response.arrayBuffer());
+    mimeType = response.headers.get('content-type');
+  } catch (error) {
+    throw imageError(`Could not read data URL: ${error.message}`);
+  }
+  if (buffer.length > IMAGE_MAX_BYTES) {
+    throw imageError('Image at URL is larger than 5MB');
+  }
+  return { buffer, mimeType };
+}
+
+async function downloadImage(imageUrl) {
+  let response;
+  try {
+    response = await fetchImage(imageUrl, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+  } catch (error) {
+    throw imageError(`Could not fetch image URL: ${fetchErrorReason(error)}`);
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.resume();
+    throw imageError(`Could not fetch image URL: HTTP ${response.statusCode}`);
+  }
+  if (Number(response.headers['content-length']) > IMAGE_MAX_BYTES) {
+    response.destroy();
+    throw imageError('Image at URL is larger than 5MB');
+  }
+
+  // Read the body in chunks so a server that does not send Content-Length cannot exceed the limit
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > IMAGE_MAX_BYTES) {
+        throw imageError('Image at URL is larger than 5MB');
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    response.destroy();
+    throw error.code === 'INVALID_IMAGE' ? error : imageError(`Could not fetch image URL: ${fetchErrorReason(error)}`);
+  }
+
+  return { buffer: Buffer.concat(chunks), mimeType: response.headers['content-type'] };
+}
+
+function fetchErrorReason(error) {
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return 'request timed out';
+  }
+  return error.message;
+}
+
+/**
+ * Downloads an image URL (http(s) or data:image) and validates it with validateImage().
+ * Fetched SVGs cannot be sanitized, so SVGs with unsafe content are rejected.
+ *
+ * @param {string} imageUrl - URL to the image
+ * @returns {Promise<Object>} { format, mimeType, width, height }
+ * @throws {Error} With code 'INVALID_IMAGE' and a message saying what is wrong
+ *
+ * @example
+ * await validateImageUrl('https://example.com/sword-512x512.png');
+ */
+export async function validateImageUrl(imageUrl) {
+  if (typeof imageUrl !== 'string' || !/^(https?:|data:image\/)/i.test(imageUrl)) {
+    throw imageError('imageUrl must be an http(s) URL or a data:image URL');
+  }
+
+  const cached = validatedUrls.get(imageUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.image;
+  }
+
+  const { buffer, mimeType } = /^data:/i.test(imageUrl)
+    ? await readDataUrl(imageUrl)
+    : readStoredAsset(imageUrl) || await downloadImage(imageUrl);
+  const { buffer: content, ...image } = validateImage(buffer, { mimeType, allowSvgChanges: false });
+
+  for (const [url, entry] of validatedUrls) {
+    if (entry.expiresAt <= Date.now()) {
+      validatedUrls.delete(url);
+    }
+  }
+  validatedUrls.set(imageUrl, { image, expiresAt: Date.now() + VALIDATION_CACHE_MS });
+
+  return image;
+}
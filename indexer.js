@@ -0,0 +1,703 @@
+import Database from 'better-sqlite3';
+import { ethers } from 'ethers';
+import { EventEmitter } from 'events';
+import path from 'path';
+import { STORAGE_PATH } from './storage.js';
+import { resolveDeployment } from './networks.js';
+import { getProvider } from './provider-pool.js';
+import { envNumber } from './config.js';
+
+const DB_PATH = path.join(STORAGE_PATH, 'index.db');
+
+// Indexer settings
+const POLL_INTERVAL_MS = envNumber('INDEXER_POLL_INTERVAL_MS', 5000);
+const MAX_BLOCK_RANGE = envNumber('INDEXER_BLOCK_RANGE', 2000); // Blocks per eth_getLogs request
+const REORG_DEPTH = envNumber('INDEXER_REORG_DEPTH', 128); // Block hashes kept to detect reorgs
+const MAX_LAG_BLOCKS = envNumber('INDEXER_MAX_LAG_BLOCKS', 20); // Readers fall back to the chain when further behind
+const METADATA_BATCH = envNumber('INDEXER_METADATA_BATCH', 100); // tokenURI reads per sync round
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const METADATA_UPDATE_TOPIC = ethers.id('MetadataUpdate(uint256)');
+const BATCH_METADATA_UPDATE_TOPIC = ethers.id('BatchMetadataUpdate(uint256,uint256)');
+
+const contractABI = [
+  "function tokenURI(uint256 tokenId) public view returns (string memory)"
+];
+
+/**
+ * Events of the indexed contract, emitted once they are stored in the index:
+ *   'transfer' - { type: 'mint'|'transfer'|'burn', contractAddress, tokenId, from, to,
+ *                 blockNumber, blockHash, transactionHash, logIndex, live }
+ *                live is false while the index is catching up on past blocks
+ *   'metadata' - { type: 'metadata', contractAddress, fromTokenId, toTokenId,
+ *                 blockNumber, blockHash, transactionHash, logIndex, live }
+ *                from an ERC-4906 MetadataUpdate (fromTokenId = toTokenId) or BatchMetadataUpdate
+ *   'reorg'    - { contractAddress, blockNumber } - everything after blockNumber was undone
+ *   'synced'   - { contractAddress, syncedBlock, headBlock } - after every sync round
+ */
+export const indexerEvents = new EventEmitter();
+indexerEvents.setMaxListeners(0); // One listener per open wallet stream
+
+// Indexer state: one contract is indexed per server
+let db = null;
+let indexed = null; // { network, contractAddress, deploymentBlock, provider, contract, headBlock, lastError, timer }
+
+function openDatabase() {
+  const database = new Database(DB_PATH);
+  database.pragma('journal_mode = WAL');
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      contract TEXT PRIMARY KEY,
+      start_block INTEGER NOT NULL,
+      synced_block INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS blocks (
+      contract TEXT NOT NULL,
+      number INTEGER NOT NULL,
+      hash TEXT NOT NULL,
+      PRIMARY KEY (contract, number)
+    );
+    CREATE TABLE IF NOT EXISTS transfers (
+      contract TEXT NOT NULL,
+      block_number INTEGER NOT NULL,
+      log_index INTEGER NOT NULL,
+      transaction_hash TEXT NOT NULL,
+      token_id INTEGER NOT NULL,
+      from_address TEXT NOT NULL,
+      to_address TEXT NOT NULL,
+      PRIMARY KEY (contract, block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS transfers_token ON transfers (contract, token_id, block_number);
+    CREATE INDEX IF NOT EXISTS transfers_from ON transfers (contract, from_address, block_number);
+    CREATE INDEX IF NOT EXISTS transfers_to ON transfers (contract, to_address, block_number);
+    CREATE TABLE IF NOT EXISTS metadata_updates (
+      contract TEXT NOT NULL,
+      block_number INTEGER NOT NULL,
+      log_index INTEGER NOT NULL,
+      transaction_hash TEXT NOT NULL,
+      from_token_id INTEGER NOT NULL,
+      to_token_id INTEGER NOT NULL,
+      PRIMARY KEY (contract, block_number, log_index)
+    );
+    CREATE TABLE IF NOT EXISTS tokens (
+      contract TEXT NOT NULL,
+      token_id INTEGER NOT NULL,
+      owner TEXT,
+      burned INTEGER NOT NULL DEFAULT 0,
+      token_uri TEXT,
+      minted_block INTEGER NOT NULL,
+      minted_at INTEGER,
+      metadata_block INTEGER NOT NULL,
+      PRIMARY KEY (contract, token_id)
+    );
+    CREATE INDEX IF NOT EXISTS tokens_owner ON tokens (contract, owner, token_id);
+  `);
+  return database;
+}
+
+/**
+ * Finds the block a contract was deployed in, by binary search over eth_getCode
+ */
+async function findDeploymentBlock(provider, contractAddress, headBlock) {
+  let low = 0;
+  let high = headBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const code = await provider.getCode(contractAddress, middle);
+    if (code && code !== '0x') {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+async function getStartBlock(provider, contractAddress, headBlock) {
+  if (process.env.INDEXER_START_BLOCK) {
+    return Number(process.env.INDEXER_START_BLOCK);
+  }
+
+  // Known from the registry (deploymentBlock in networks.json)
+  if (indexed.deploymentBlock !== null) {
+    return indexed.deploymentBlock;
+  }
+
+  console.log('[INDEXER] Searching for the contract deployment block...');
+  return findDeploymentBlock(provider, contractAddress, headBlock);
+}
+
+function topicToAddress(topic) {
+  return ethers.getAddress(ethers.dataSlice(topic, 12)).toLowerCase();
+}
+
+/**
+ * Applies a range of logs to the index, in one database transaction
+ */
+function applyLogs(contract, logs, toBlock, toBlockHash) {
+  const events = [];
+
+  const insertTransfer = db.prepare(`
+    INSERT OR IGNORE INTO transfers (contract, block_number, log_index, transaction_hash, token_id, from_address, to_address)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const mintToken = db.prepare(`
+    INSERT INTO tokens (contract, token_id, owner, burned, token_uri, minted_block, metadata_block)
+    VALUES (?, ?, ?, 0, NULL, ?, ?)
+    ON CONFLICT (contract, token_id) DO UPDATE SET owner = excluded.owner, burned = 0, token_uri = NULL,
+      minted_block = excluded.minted_block, minted_at = NULL, metadata_block = excluded.metadata_block
+  `);
+  const moveToken = db.prepare('UPDATE tokens SET owner = ? WHERE contract = ? AND token_id = ?');
+  const burnToken = db.prepare('UPDATE tokens SET owner = NULL, burned = 1 WHERE contract = ? AND token_id = ?');
+  const staleMetadata = db.prepare(`
+    UPDATE tokens SET token_uri = NULL, metadata_block = ? WHERE contract = ? AND token_id BETWEEN ? AND ?
+  `);
+  const insertMetadataUpdate = db.prepare(`
+    INSERT OR IGNORE INTO metadata_updates (contract, block_number, log_index, transaction_hash, from_token_id, to_token_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const insertBlock = db.prepare('INSERT OR REPLACE INTO blocks (contract, number, hash) VALUES (?, ?, ?)');
+
+  db.transaction(() => {
+    for (const log of logs) {
+      const topic = log.topics[0];
+
+      if (topic === TRANSFER_TOPIC && log.topics.length === 4) {
+        const tokenId = Number(BigInt(log.topics[3]));
+        const from = topicToAddress(log.topics[1]);
+        const to = topicToAddress(log.topics[2]);
+
+        insertTransfer.run(contract, log.blockNumber, log.index, log.transactionHash, tokenId, from, to);
+        events.push({
+          type: from === ethers.ZeroAddress ? 'mint' : to === ethers.ZeroAddress ? 'burn' : 'transfer',
+          tokenId: tokenId.toString(),
+          from: ethers.getAddress(from),
+          to: ethers.getAddress(to),
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index
+        });
+
+        if (from === ethers.ZeroAddress) {
+          mintToken.run(contract, tokenId, to, log.blockNumber, log.blockNumber);
+        } else if (to === ethers.ZeroAddress) {
+          burnToken.run(contract, tokenId);
+        } else {
+          moveToken.run(to, contract, tokenId);
+        }
+      } else if (topic === METADATA_UPDATE_TOPIC || topic === BATCH_METADATA_UPDATE_TOPIC) {
+        const [fromTokenId, toTokenId = fromTokenId] = topic === METADATA_UPDATE_TOPIC
+          ? ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], log.data)
+          : ethers.AbiCoder.defaultAbiCoder().decode(['uint256', 'uint256'], log.data);
+
+        staleMetadata.run(log.blockNumber, contract, Number(fromTokenId), Number(toTokenId));
+        insertMetadataUpdate.run(contract, log.blockNumber, log.index, log.transactionHash, Number(fromTokenId), Number(toTokenId));
+        events.push({
+          type: 'metadata',
+          fromTokenId: fromTokenId.toString(),
+          toTokenId: toTokenId.toString(),
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index
+        });
+      }
+
+      insertBlock.run(contract, log.blockNumber, log.blockHash);
+    }
+
+    insertBlock.run(contract, toBlock, toBlockHash);
+    db.prepare('UPDATE sync_state SET synced_block = ? WHERE contract = ?').run(toBlock, contract);
+    db.prepare('DELETE FROM blocks WHERE contract = ? AND number < ?').run(contract, toBlock - REORG_DEPTH);
+  })();
+
+  return events;
+}
+
+/**
+ * Undoes everything indexed after a block: transfers are deleted and the affected tokens
+ * are rebuilt from the transfers that remain
+ */
+function rollbackTo(contract, blockNumber) {
+  db.transaction(() => {
+    const affected = db.prepare(`
+      SELECT DISTINCT token_id FROM transfers WHERE contract = ? AND block_number > ?
+    `).all(contract, blockNumber);
+
+    db.prepare('DELETE FROM transfers WHERE contract = ? AND block_number > ?').run(contract, blockNumber);
+    db.prepare('DELETE FROM metadata_updates WHERE contract = ? AND block_number > ?').run(contract, blockNumber);
+    db.prepare('DELETE FROM blocks WHERE contract = ? AND number > ?').run(contract, blockNumber);
+
+    const lastTransfer = db.prepare(`
+      SELECT from_address, to_address FROM transfers WHERE contract = ? AND token_id = ?
+      ORDER BY block_number DESC, log_index DESC LIMIT 1
+    `);
+    for (const { token_id: tokenId } of affected) {
+      const transfer = lastTransfer.get(contract, tokenId);
+      if (!transfer) {
+        db.prepare('DELETE FROM tokens WHERE contract = ? AND token_id = ?').run(contract, tokenId);
+      } else if (transfer.to_address === ethers.ZeroAddress) {
+        db.prepare('UPDATE tokens SET owner = NULL, burned = 1 WHERE contract = ? AND token_id = ?').run(contract, tokenId);
+      } else {
+        db.prepare('UPDATE tokens SET owner = ?, burned = 0 WHERE contract = ? AND token_id = ?').run(transfer.to_address, contract, tokenId);
+      }
+    }
+
+    // Metadata read after the fork point may have come from the abandoned chain
+    db.prepare(`
+      UPDATE tokens SET token_uri = NULL, metadata_block = ? WHERE contract = ? AND metadata_block > ?
+    `).run(blockNumber, contract, blockNumber);
+    db.prepare('UPDATE sync_state SET synced_block = ? WHERE contract = ?').run(blockNumber, contract);
+  })();
+}
+
+/**
+ * Compares stored block hashes with the chain and rolls back to the last block that still matches
+ */
+async function handleReorg(contractAddress, provider) {
+  const contract = contractAddress.toLowerCase();
+  const stored = db.prepare('SELECT number, hash FROM blocks WHERE contract = ? ORDER BY number DESC').all(contract);
+  if (stored.length === 0) {
+    return;
+  }
+
+  for (const [position, row] of stored.entries()) {
+    const block = await provider.getBlock(row.number);
+    if (block && block.hash === row.hash) {
+      if (position > 0) {
+        console.log(`⚠️  [INDEXER] Reorg detected, rolling back to block ${row.number}`);
+        rollbackTo(contract, row.number);
+        indexerEvents.emit('reorg', { contractAddress, blockNumber: row.number });
+      }
+      return;
+    }
+  }
+
+  // Deeper than the stored hashes: rebuild from before the oldest one
+  const fallback = stored[stored.length - 1].number - 1;
+  console.log(`⚠️  [INDEXER] Reorg deeper than ${REORG_DEPTH} blocks, rolling back to block ${fallback}`);
+  rollbackTo(contract, fallback);
+  indexerEvents.emit('reorg', { contractAddress, blockNumber: fallback });
+}
+
+/**
+ * Reads tokenURI for tokens minted or updated since their metadata was last read
+ *
+ * @returns {Promise<number>} Number of token URIs read
+ */
+async function refreshMetadata(contract, tokenContract) {
+  const stale = db.prepare(`
+    SELECT token_id FROM tokens WHERE contract = ? AND burned = 0 AND token_uri IS NULL ORDER BY token_id LIMIT ?
+  `).all(contract, METADATA_BATCH);
+
+  const saveURI = db.prepare('UPDATE tokens SET token_uri = ? WHERE contract = ? AND token_id = ? AND token_uri IS NULL');
+  let saved = 0;
+
+  for (let i = 0; i < stale.length; i += 10) {
+    await Promise.all(stale.slice(i, i + 10).map(async ({ token_id: tokenId }) => {
+      try {
+        saveURI.run(await tokenContract.tokenURI(tokenId), contract, tokenId);
+        saved++;
+      } catch (error) {
+        // Burned in a block not indexed yet, or RPC error: retried next round
+      }
+    }));
+  }
+
+  return saved;
+}
+
+/**
+ * Reads the time of the blocks tokens were minted in, for tokens indexed without it
+ *
+ * @returns {Promise<number>} Number of blocks read
+ */
+async function refreshMintTimes(contract, provider) {
+  const blocks = db.prepare(`
+    SELECT DISTINCT minted_block FROM tokens WHERE contract = ? AND minted_at IS NULL ORDER BY minted_block LIMIT ?
+  `).all(contract, METADATA_BATCH);
+
+  const saveTime = db.prepare('UPDATE tokens SET minted_at = ? WHERE contract = ? AND minted_block = ? AND minted_at IS NULL');
+  let saved = 0;
+
+  for (let i = 0; i < blocks.length; i += 10) {
+    await Promise.all(blocks.slice(i, i + 10).map(async ({ minted_block: blockNumber }) => {
+      try {
+        const block = await provider.getBlock(blockNumber);
+        if (block) {
+          saveTime.run(block.timestamp, contract, blockNumber);
+          saved++;
+        }
+      } catch (error) {
+        // RPC error: retried next round
+      }
+    }));
+  }
+
+  return saved;
+}
+
+/**
+ * Runs one sync round: handles reorgs, indexes new blocks up to the chain head and refreshes metadata
+ *
+ * @returns {Promise<boolean>} true if there is more work to do right away
+ */
+async function syncOnce() {
+  const { contractAddress, provider } = indexed;
+  const contract = contractAddress.toLowerCase();
+
+  const headBlock = await provider.getBlockNumber();
+  indexed.headBlock = headBlock;
+
+  let syncState = db.prepare('SELECT synced_block FROM sync_state WHERE contract = ?').get(contract);
+  if (!syncState) {
+    const startBlock = await getStartBlock(provider, contractAddress, headBlock);
+    db.prepare('INSERT INTO sync_state (contract, start_block, synced_block) VALUES (?, ?, ?)')
+      .run(contract, startBlock, startBlock - 1);
+    console.log(`[INDEXER] Indexing ${contractAddress} from block ${startBlock}`);
+  }
+
+  await handleReorg(contractAddress, provider);
+
+  let range = MAX_BLOCK_RANGE;
+  let rounds = 0;
+  syncState = db.prepare('SELECT synced_block FROM sync_state WHERE contract = ?').get(contract);
+
+  // Index at most 10 ranges per round so reorg checks and metadata reads keep up during a long catch-up
+  while (syncState.synced_block < headBlock && rounds < 10) {
+    const fromBlock = syncState.synced_block + 1;
+    const toBlock = Math.min(headBlock, fromBlock + range - 1);
+
+    let logs;
+    try {
+      logs = await provider.getLogs({
+        address: contractAddress,
+        fromBlock,
+        toBlock,
+        topics: [[TRANSFER_TOPIC, METADATA_UPDATE_TOPIC, BATCH_METADATA_UPDATE_TOPIC]]
+      });
+    } catch (error) {
+      // Providers limit the block range or number of results of eth_getLogs
+      if (range > 1) {
+        range = Math.max(1, Math.floor(range / 2));
+        continue;
+      }
+      throw error;
+    }
+
+    const block = await provider.getBlock(toBlock);
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    const events = applyLogs(contract, logs, toBlock, block.hash);
+
+    const live = headBlock - toBlock <= MAX_LAG_BLOCKS;
+    for (const event of events) {
+      indexerEvents.emit(event.type === 'metadata' ? 'metadata' : 'transfer', { ...event, contractAddress, live });
+    }
+
+    syncState = { synced_block: toBlock };
+    rounds++;
+  }
+  indexerEvents.emit('synced', { contractAddress, syncedBlock: syncState.synced_block, headBlock });
+
+  const refreshed = await refreshMetadata(contract, indexed.contract);
+  const timed = await refreshMintTimes(contract, provider);
+  return syncState.synced_block < headBlock || refreshed === METADATA_BATCH || timed === METADATA_BATCH;
+}
+
+async function tick() {
+  let moreWork = false;
+  try {
+    moreWork = await syncOnce();
+    indexed.lastError = null;
+  } catch (error) {
+    if (indexed.lastError !== error.message) {
+      console.error('[INDEXER] Sync error:', error.message);
+    }
+    indexed.lastError = error.message;
+  }
+  if (indexed) {
+    indexed.timer = setTimeout(tick, moreWork ? 0 : POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Starts the background indexer: follows Transfer and ERC-4906 metadata events of the contract
+ * and keeps ownership, token URIs and mint times in a local SQLite database (index.db in the storage folder)
+ *
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: INDEXER_NETWORK or the default network)
+ *   @param {string} collection - Collection name on that network (default: INDEXER_COLLECTION or the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: INDEXER_RPC_URL or the network's RPC pool)
+ * @returns {boolean} true if the indexer was started
+ *
+ * @example
+ * startIndexer();
+ * // later
+ * const status = getIndexStatus();
+ * console.log(`Indexed up to block ${status.syncedBlock}`);
+ */
+export function startIndexer(config = {}) {
+  if (indexed) {
+    return true;
+  }
+
+  let deployment;
+  try {
+    deployment = resolveDeployment({
+      network: process.env.INDEXER_NETWORK,
+      collection: process.env.INDEXER_COLLECTION,
+      ...config
+    });
+  } catch (error) {
+    console.warn(`⚠️  [INDEXER] Not started: ${error.message}`);
+    return false;
+  }
+  const { network, contractAddress, deploymentBlock } = deployment;
+
+  // INDEXER_RPC_URL is set by the operator, so it does not have to be in the RPC allowlist
+  const rpcUrl = config.rpcUrl || process.env.INDEXER_RPC_URL || null;
+
+  db = db || openDatabase();
+
+  const provider = getProvider(network, rpcUrl);
+  indexed = {
+    network,
+    contractAddress,
+    deploymentBlock,
+    provider,
+    contract: new ethers.Contract(contractAddress, contractABI, provider),
+    headBlock: null,
+    lastError: null,
+    timer: null
+  };
+
+  console.log(`[INDEXER] Started for ${indexed.contractAddress} on ${network}`);
+  tick();
+  return true;
+}
+
+/**
+ * Stops the background indexer
+ */
+export function stopIndexer() {
+  if (indexed) {
+    clearTimeout(indexed.timer);
+    indexed = null;
+  }
+}
+
+/**
+ * Reports how far the index has synced
+ *
+ * @param {string} contractAddress - Contract address (defaults to the indexed contract)
+ * @returns {Object|null} { network, contractAddress, syncedBlock, headBlock, ready, lastError }, or null if the contract is not indexed.
+ *   ready is true when the index is at most INDEXER_MAX_LAG_BLOCKS behind the chain head.
+ */
+export function getIndexStatus(contractAddress) {
+  if (!indexed || (contractAddress && contractAddress.toLowerCase() !== indexed.contractAddress.toLowerCase())) {
+    return null;
+  }
+
+  const syncState = db.prepare('SELECT synced_block FROM sync_state WHERE contract = ?')
+    .get(indexed.contractAddress.toLowerCase());
+  const syncedBlock = syncState ? syncState.synced_block : null;
+
+  return {
+    network: indexed.network,
+    contractAddress: indexed.contractAddress,
+    syncedBlock,
+    headBlock: indexed.headBlock,
+    ready: syncedBlock !== null && indexed.headBlock !== null && indexed.headBlock - syncedBlock <= MAX_LAG_BLOCKS,
+    lastError: indexed.lastError
+  };
+}
+
+/**
+ * Returns the index status if reads for a contract should be answered from the index
+ *
+ * @param {string} contractAddress - Contract address of the request
+ * @param {Object} config - Request configuration; source: "chain" bypasses the index, and requests
+ *   on another network than the indexed one (network, resolved by the caller) are read from the chain
+ * @returns {Object|null} Index status, or null to read from the chain
+ */
+export function useIndex(contractAddress, config = {}) {
+  if (config.source === 'chain') {
+    return null;
+  }
+  const status = getIndexStatus(contractAddress);
+  if (status && config.network && config.network !== status.network) {
+    return null;
+  }
+  return status && status.ready ? status : null;
+}
+
+/**
+ * Looks up a token in the index
+ *
+ * @param {string} contractAddress - Contract address
+ * @param {number|string} tokenId - Token ID
+ * @returns {Object|null} { tokenId, owner, burned, tokenURI } (tokenURI is null until it has been read), or null if not indexed
+ */
+export function getIndexedToken(contractAddress, tokenId) {
+  const row = db.prepare(`
+    SELECT token_id, owner, burned, token_uri FROM tokens WHERE contract = ? AND token_id = ?
+  `).get(contractAddress.toLowerCase(), Number(tokenId));
+
+  if (!row) {
+    return null;
+  }
+  return {
+    tokenId: row.token_id.toString(),
+    owner: row.owner ? ethers.getAddress(row.owner) : null,
+    burned: row.burned === 1,
+    tokenURI: row.token_uri
+  };
+}
+
+/**
+ * Lists the tokens a wallet owns according to the index
+ *
+ * @param {string} contractAddress - Contract address
+ * @param {string} walletAddress - Owner wallet address
+ * @returns {Array<Object>} { tokenId, tokenURI } in token ID order
+ */
+export function getIndexedTokensOfOwner(contractAddress, walletAddress) {
+  return db.prepare(`
+    SELECT token_id, token_uri FROM tokens WHERE contract = ? AND owner = ? ORDER BY token_id
+  `).all(contractAddress.toLowerCase(), walletAddress.toLowerCase()).map(row => ({
+    tokenId: row.token_id.toString(),
+    tokenURI: row.token_uri
+  }));
+}
+
+/**
+ * Lists every token of a contract that has not been burned, for searches across the collection
+ *
+ * @param {string} contractAddress - Contract address
+ * @returns {Array<Object>} { tokenId, owner, tokenURI, mintedAt } in token ID order.
+ *   tokenURI is null until it has been read; mintedAt is the mint block's time in seconds, null until it has been read.
+ */
+export function getIndexedTokens(contractAddress) {
+  return db.prepare(`
+    SELECT token_id, owner, token_uri, minted_at FROM tokens WHERE contract = ? AND burned = 0 ORDER BY token_id
+  `).all(contractAddress.toLowerCase()).map(row => ({
+    tokenId: row.token_id.toString(),
+    owner: ethers.getAddress(row.owner),
+    tokenURI: row.token_uri,
+    mintedAt: row.minted_at
+  }));
+}
+
+/**
+ * Lists the tokens of a range that a wallet owned just before a log, e.g. to find which of a wallet's
+ * items a BatchMetadataUpdate changed
+ *
+ * @param {string} contractAddress - Contract address
+ * @param {string} walletAddress - Owner wallet address
+ * @param {Object} range - { fromTokenId, toTokenId, blockNumber, logIndex }
+ * @returns {Array<string>} Token IDs in token ID order
+ */
+export function getTokensOwnedAt(contractAddress, walletAddress, range) {
+  const { fromTokenId, toTokenId, blockNumber, logIndex } = range;
+
+  // The last transfer of each token before the log must have gone to the wallet
+  return db.prepare(`
+    SELECT t.token_id FROM transfers t
+    WHERE t.contract = ? AND t.to_address = ? AND t.token_id BETWEEN ? AND ?
+      AND (t.block_number < ? OR (t.block_number = ? AND t.log_index < ?))
+      AND NOT EXISTS (
+        SELECT 1 FROM transfers later
+        WHERE later.contract = t.contract AND later.token_id = t.token_id
+          AND (later.block_number > t.block_number OR (later.block_number = t.block_number AND later.log_index > t.log_index))
+          AND (later.block_number < ? OR (later.block_number = ? AND later.log_index < ?))
+      )
+    ORDER BY t.token_id
+  `).all(
+    contractAddress.toLowerCase(), walletAddress.toLowerCase(), Number(fromTokenId), Number(toTokenId),
+    blockNumber, blockNumber, logIndex, blockNumber, blockNumber, logIndex
+  ).map(row => row.token_id.toString());
+}
+
+/**
+ * Lists the indexed transfers (mints and burns included) of a block range, in chain order.
+ * Transfers have the same shape as the 'transfer' events of indexerEvents, without live;
+ * blockHash is null once the block is older than the INDEXER_REORG_DEPTH hashes kept.
+ *
+ * @param {string} contractAddress - Contract address
+ * @param {number} fromBlock - First block of the range
+ * @param {number} toBlock - Last block of the range
+ * @returns {Array<Object>} Transfers
+ */
+export function getIndexedTransfers(contractAddress, fromBlock, toBlock) {
+  const contract = contractAddress.toLowerCase();
+
+  return db.prepare(`
+    SELECT transfers.*, blocks.hash AS block_hash FROM transfers
+    LEFT JOIN blocks ON blocks.contract = transfers.contract AND blocks.number = transfers.block_number
+    WHERE transfers.contract = ? AND transfers.block_number BETWEEN ? AND ?
+    ORDER BY transfers.block_number, transfers.log_index
+  `).all(contract, fromBlock, toBlock).map(row => ({
+    type: row.from_address === ethers.ZeroAddress ? 'mint' : row.to_address === ethers.ZeroAddress ? 'burn' : 'transfer',
+    contractAddress: ethers.getAddress(contract),
+    tokenId: row.token_id.toString(),
+    from: ethers.getAddress(row.from_address),
+    to: ethers.getAddress(row.to_address),
+    blockNumber: row.block_number,
+    blockHash: row.block_hash,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index
+  }));
+}
+
+/**
+ * Lists indexed events after a log position, in chain order: the wallet's transfers and
+ * every metadata update of the contract. Events have the same shape as those of indexerEvents,
+ * without blockHash.
+ *
+ * @param {string} contractAddress - Contract address
+ * @param {string} walletAddress - Wallet whose transfers are listed
+ * @param {Object} position - { blockNumber, logIndex } of the last event already seen
+ * @param {number} limit - Maximum number of events
+ * @returns {Array<Object>} Events
+ */
+export function getIndexedEventsSince(contractAddress, walletAddress, position, limit) {
+  const contract = contractAddress.toLowerCase();
+  const wallet = walletAddress.toLowerCase();
+  const { blockNumber, logIndex } = position;
+
+  const transfers = db.prepare(`
+    SELECT * FROM transfers
+    WHERE contract = ? AND (from_address = ? OR to_address = ?)
+      AND (block_number > ? OR (block_number = ? AND log_index > ?))
+    ORDER BY block_number, log_index LIMIT ?
+  `).all(contract, wallet, wallet, blockNumber, blockNumber, logIndex, limit).map(row => ({
+    type: row.from_address === ethers.ZeroAddress ? 'mint' : row.to_address === ethers.ZeroAddress ? 'burn' : 'transfer',
+    contractAddress: ethers.getAddress(contract),
+    tokenId: row.token_id.toString(),
+    from: ethers.getAddress(row.from_address),
+    to: ethers.getAddress(row.to_address),
+    blockNumber: row.block_number,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index
+  }));
+
+  const metadataUpdates = db.prepare(`
+    SELECT * FROM metadata_updates
+    WHERE contract = ? AND (block_number > ? OR (block_number = ? AND log_index > ?))
+    ORDER BY block_number, log_index LIMIT ?
+  `).all(contract, blockNumber, blockNumber, logIndex, limit).map(row => ({
+    type: 'metadata',
+    contractAddress: ethers.getAddress(contract),
+    fromTokenId: row.from_token_id.toString(),
+    toTokenId: row.to_token_id.toString(),
+    blockNumber: row.block_number,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index
+  }));
+
+  return [...transfers, ...metadataUpdates]
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .slice(0, limit);
+}
@@ -0,0 +1,378 @@
+import crypto from 'crypto';
+import { envNumber } from './config.js';
+
+// Largest page a client may ask for. Without a limit, every matching item is returned unless the caller sets a default.
+const MAX_LIMIT = envNumber('RETRIEVE_MAX_LIMIT', 100);
+
+// Values listed per trait in facet counts, most common first
+const FACET_MAX_VALUES = envNumber('FACET_MAX_VALUES', 50);
+
+// Item fields a client may select; tokenId (and error, for items whose metadata could not be read) are always included
+export const ITEM_FIELDS = ['tokenId', 'name', 'description', 'image', 'traits', 'metadata'];
+
+const TRAIT_PREFIX = 'trait.';
+
+function queryError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+/**
+ * Flattens a list given as an array, a comma-separated string, or both (e.g. repeated query parameters)
+ *
+ * @param {Array|string} value - List
+ * @returns {Array<string>} Non-empty entries
+ */
+export function toList(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(toList);
+  }
+  return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function toNumber(value, name) {
+  const number = Number(value);
+  if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(number)) {
+    throw queryError(`${name} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Normalizes one trait filter to { in, min, max }
+ */
+function parseFilter(trait, filter) {
+  if (Array.isArray(filter)) {
+    return { in: filter, min: null, max: null };
+  }
+  if (filter === null || typeof filter !== 'object') {
+    return { in: [filter], min: null, max: null };
+  }
+
+  const unknown = Object.keys(filter).filter(key => !['eq', 'in', 'min', 'max'].includes(key));
+  if (unknown.length > 0) {
+    throw queryError(`filter on ${trait} has unknown keys: ${unknown.join(', ')} (use eq, in, min, max)`);
+  }
+  if (filter.in !== undefined && !Array.isArray(filter.in)) {
+    throw queryError(`filter on ${trait}: in must be an array`);
+  }
+
+  const values = filter.eq !== undefined ? [filter.eq] : filter.in || null;
+  const min = filter.min !== undefined ? toNumber(filter.min, `${trait} min`) : null;
+  const max = filter.max !== undefined ? toNumber(filter.max, `${trait} max`) : null;
+  if (values === null && min === null && max === null) {
+    throw queryError(`filter on ${trait} needs eq, in, min or max`);
+  }
+  return { in: values, min, max };
+}
+
+/**
+ * Turns GET query parameters into the query object that POST requests send:
+ *   trait.rarity=legendary         -> filters.rarity = "legendary"
+ *   trait.element=fire,ice         -> filters.element = ["fire", "ice"]
+ *   trait.attack.min=100           -> filters.attack = { min: 100 }
+ *
+ * @param {Object} params - req.query
+ * @returns {Object} { filters, sort, order, limit, cursor, fields }
+ */
+export function queryFromParams(params = {}) {
+  const filters = {};
+
+  for (const [key, value] of Object.entries(params)) {
+    if (!key.startsWith(TRAIT_PREFIX)) {
+      continue;
+    }
+    const name = key.slice(TRAIT_PREFIX.length);
+    const range = /^(.+)\.(min|max)$/.exec(name);
+    if (range) {
+      const [, trait, bound] = range;
+      const previous = filters[trait] !== null && typeof filters[trait] === 'object' && !Array.isArray(filters[trait]) ? filters[trait] : {};
+      filters[trait] = { ...previous, [bound]: value };
+    } else {
+      const values = toList(value);
+      filters[name] = values.length === 1 ? values[0] : values;
+    }
+  }
+
+  return {
+    filters,
+    sort: params.sort,
+    order: params.order,
+    limit: params.limit,
+    cursor: params.cursor,
+    fields: params.fields
+  };
+}
+
+/**
+ * Checks a query and fills in defaults
+ *
+ * @param {Object} query - Optional query:
+ *   @param {Object} filters - Trait filters by trait name: a value, an array of values, or { eq, in, min, max }
+ *   @param {string} sort - "tokenId" (default) or "trait.<name>"
+ *   @param {string} order - "asc" (default) or "desc"
+ *   @param {number} limit - Items per page, 1 to RETRIEVE_MAX_LIMIT (default: all items)
+ *   @param {string} cursor - nextCursor of the previous page
+ *   @param {Array<string>|string} fields - Item fields to return (see ITEM_FIELDS; default: all)
+ * @param {Object} options - Optional settings of the caller:
+ *   @param {Array<string>} fields - Fields its items have (default: ITEM_FIELDS)
+ *   @param {Object} context - Other criteria its results depend on, e.g. an owner filter; cursors only work with the same context
+ *   @param {number} defaultLimit - Items per page when the query has no limit, at most RETRIEVE_MAX_LIMIT (default: all items)
+ * @returns {Object} The parsed query
+ * @throws {Error} With code 'INVALID_QUERY' and a message saying what is wrong
+ */
+export function parseItemQuery(query = {}, options = {}) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw queryError('query must be an object');
+  }
+
+  const filters = {};
+  if (query.filters !== undefined && query.filters !== null) {
+    if (typeof query.filters !== 'object' || Array.isArray(query.filters)) {
+      throw queryError('filters must be an object of trait filters');
+    }
+    for (const [trait, filter] of Object.entries(query.filters)) {
+      filters[trait] = parseFilter(trait, filter);
+    }
+  }
+
+  const sort = query.sort || 'tokenId';
+  if (typeof sort !== 'string' || (sort !== 'tokenId' && !(sort.startsWith(TRAIT_PREFIX) && sort.length > TRAIT_PREFIX.length))) {
+    throw queryError('sort must be "tokenId" or "trait.<name>"');
+  }
+
+  const order = query.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw queryError('order must be "asc" or "desc"');
+  }
+
+  let limit = options.defaultLimit ? Math.min(options.defaultLimit, MAX_LIMIT) : null;
+  if (query.limit !== undefined && query.limit !== null && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw queryError(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+    }
+  }
+
+  let fields = null;
+  if (query.fields !== undefined && query.fields !== null && query.fields !== '') {
+    const allowed = options.fields || ITEM_FIELDS;
+    fields = toList(query.fields);
+    const unknown = fields.filter(field => !allowed.includes(field));
+    if (unknown.length > 0) {
+      throw queryError(`Unknown field(s): ${unknown.join(', ')} (fields: ${allowed.join(', ')})`);
+    }
+  }
+
+  const parsed = { filters, sort, order, limit, fields, after: null };
+  parsed.fingerprint = crypto.createHash('sha256')
+    .update(JSON.stringify({ filters, sort, order, context: options.context || null }))
+    .digest('hex')
+    .slice(0, 16);
+
+  if (query.cursor) {
+    parsed.after = decodeCursor(query.cursor, parsed.fingerprint);
+  }
+
+  return parsed;
+}
+
+/**
+ * Value of a trait for filtering and sorting: { value } traits (with display_type or max_value) use their value
+ */
+function traitValue(item, trait) {
+  const value = item.traits ? item.traits[trait] : undefined;
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    return value.value;
+  }
+  return value;
+}
+
+function matchesValue(value, expected) {
+  if (typeof value === 'number') {
+    return value === Number(expected);
+  }
+  if (typeof value === 'string') {
+    return value.toLowerCase() === String(expected).toLowerCase();
+  }
+  return String(value) === String(expected);
+}
+
+function matchesFilter(item, trait, filter) {
+  const value = traitValue(item, trait);
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (filter.in && !filter.in.some(expected => matchesValue(value, expected))) {
+    return false;
+  }
+  if (filter.min !== null || filter.max !== null) {
+    const number = Number(value);
+    if (typeof value === 'boolean' || value === '' || !Number.isFinite(number)) return false;
+    if (filter.min !== null && number < filter.min) return false;
+    if (filter.max !== null && number > filter.max) return false;
+  }
+  return true;
+}
+
+function matches(item, filters) {
+  return Object.entries(filters).every(([trait, filter]) => matchesFilter(item, trait, filter));
+}
+
+/**
+ * Sort key of an item: the sort value (null if the item has none) and the token ID as a tie-breaker
+ */
+function sortKey(item, sort) {
+  let value = sort === 'tokenId' ? null : traitValue(item, sort.slice(TRAIT_PREFIX.length));
+  if (value !== null && typeof value !== 'number' && typeof value !== 'string') {
+    value = value === undefined ? null : String(value);
+  }
+  return { value, tokenId: String(item.tokenId) };
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1; // Numbers before strings
+  if (typeof b === 'number') return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares sort keys in the query's order. Items without the sort trait come last in either order.
+ */
+function compareKeys(a, b, order) {
+  const direction = order === 'desc' ? -1 : 1;
+  if (a.value !== b.value) {
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+    const result = compareValues(a.value, b.value);
+    if (result !== 0) return result * direction;
+  }
+  const idA = BigInt(a.tokenId);
+  const idB = BigInt(b.tokenId);
+  return idA === idB ? 0 : (idA < idB ? -1 : 1) * direction;
+}
+
+function encodeCursor(key, fingerprint) {
+  return Buffer.from(JSON.stringify({ v: key.value, t: key.tokenId, q: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw queryError('cursor is not valid');
+  }
+  if (!decoded || typeof decoded.t !== 'string' || !/^\d+$/.test(decoded.t) || decoded.v === undefined) {
+    throw queryError('cursor is not valid');
+  }
+  if (decoded.q !== fingerprint) {
+    throw queryError('cursor belongs to a query with other filters or sorting');
+  }
+  return { value: decoded.v, tokenId: decoded.t };
+}
+
+function project(item, fields) {
+  const projected = { tokenId: item.tokenId };
+  for (const field of fields) {
+    if (item[field] !== undefined) {
+      projected[field] = item[field];
+    }
+  }
+  if (item.error) {
+    projected.error = item.error;
+  }
+  return projected;
+}
+
+/**
+ * Filters, sorts, pages and projects a wallet's items.
+ * Pages are keyed on the last item's sort value, so items that are added or removed
+ * between requests do not shift later pages.
+ *
+ * @param {Array<Object>} items - Items from retrieve()
+ * @param {Object} query - Query from parseItemQuery()
+ * @returns {Object} { total, nextCursor, items } where total counts all matching items
+ *   and nextCursor is null on the last page
+ *
+ * @example
+ * const query = parseItemQuery({ filters: { rarity: 'legendary' }, sort: 'trait.attack', order: 'desc', limit: 20 });
+ * const { items, nextCursor } = queryItems(await retrieve(walletAddress), query);
+ */
+export function queryItems(items, query) {
+  const hasFilters = Object.keys(query.filters).length > 0;
+  const keyed = items
+    .filter(item => !hasFilters || matches(item, query.filters))
+    .map(item => ({ item, key: sortKey(item, query.sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, query.order));
+
+  const remaining = query.after
+    ? keyed.filter(entry => compareKeys(entry.key, query.after, query.order) > 0)
+    : keyed;
+  const page = query.limit ? remaining.slice(0, query.limit) : remaining;
+  const hasMore = page.length < remaining.length;
+
+  return {
+    total: keyed.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].key, query.fingerprint) : null,
+    items: page.map(({ item }) => query.fields ? project(item, query.fields) : item)
+  };
+}
+
+/**
+ * Counts the items per trait value. The counts of a trait ignore the query's filter on that trait
+ * (but not the other filters), so they show how many items each value would match.
+ *
+ * @param {Array<Object>} items - Items to count
+ * @param {Object} query - Query from parseItemQuery()
+ * @param {Array<string>} traits - Traits to count (default: every trait the items have)
+ * @returns {Object} { <trait>: [{ value, count }] } with the FACET_MAX_VALUES most common values of each trait
+ *
+ * @example
+ * const facets = countFacets(items, parseItemQuery({ filters: { rarity: 'legendary' } }), ['rarity', 'element']);
+ * // { rarity: [{ value: 'common', count: 120 }, { value: 'legendary', count: 4 }], element: [...] }
+ */
+export function countFacets(items, query, traits = null) {
+  const filters = Object.entries(query.filters);
+  const counts = new Map(traits ? traits.map(trait => [trait, new Map()]) : []);
+
+  for (const item of items) {
+    const failed = filters.filter(([trait, filter]) => !matchesFilter(item, trait, filter));
+    if (failed.length > 1) {
+      continue;
+    }
+
+    for (const trait of traits || Object.keys(item.traits || {})) {
+      // An item that only fails the filter on this trait still counts for its value
+      if (failed.length === 1 && failed[0][0] !== trait) {
+        continue;
+      }
+      let value = traitValue(item, trait);
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (typeof value === 'object') {
+        value = JSON.stringify(value);
+      }
+
+      if (!counts.has(trait)) {
+        counts.set(trait, new Map());
+      }
+      const values = counts.get(trait);
+      const key = `${typeof value}:${value}`;
+      const entry = values.get(key) || { value, count: 0 };
+      entry.count++;
+      values.set(key, entry);
+    }
+  }
+
+  const facets = {};
+  for (const [trait, values] of counts) {
+    facets[trait] = [...values.values()]
+      .sort((a, b) => b.count - a.count || compareValues(a.value, b.value))
+      .slice(0, FACET_MAX_VALUES);
+  }
+  return facets;
+}
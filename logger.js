@@ -1,77 +1,320 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { STORAGE_PATH } from './storage.js';
+import { envNumber } from './config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Audit log settings
+const AUDIT_DIR = path.join(STORAGE_PATH, 'audit');
+const MAX_FILE_BYTES = envNumber('AUDIT_LOG_MAX_BYTES', 10 * 1024 * 1024); // A new file is started past this size
+const ROTATE_HOURS = envNumber('AUDIT_LOG_ROTATE_HOURS', 24); // ... or when the current file is this old
+const MAX_FILES = envNumber('AUDIT_LOG_MAX_FILES', 30); // Oldest files are deleted beyond this
+const MAX_QUERY_LIMIT = envNumber('AUDIT_QUERY_MAX_LIMIT', 1000);
 
-// Determine storage path - use /storage if mounted, otherwise use relative path
-const STORAGE_PATH = fs.existsSync('/storage') ? '/storage' : path.join(__dirname, 'storage');
+// Audit record outcomes: 2xx/3xx responses and confirmed transactions succeed,
+// 4xx responses are rejected, 5xx responses and failed transactions are errors
+export const AUDIT_OUTCOMES = ['success', 'rejected', 'error'];
 
-// Ensure storage directory exists
-if (!fs.existsSync(STORAGE_PATH)) {
-  fs.mkdirSync(STORAGE_PATH, { recursive: true });
+// Columns of the CSV export, in order
+export const AUDIT_CSV_COLUMNS = [
+  'at', 'type', 'requestId', 'apiKeyId', 'route', 'event', 'status', 'outcome', 'durationMs',
+  'wallet', 'tokenId', 'jobId', 'transactionHash', 'blockNumber', 'gasUsed', 'fee', 'error', 'params'
+];
+
+// Request fields that are never written to the log
+const SECRET_PARAMS = ['apiKey', 'privateKey', 'secret', 'sessionToken', 'signature'];
+const MAX_PARAM_LENGTH = 200;
+
+const FILE_PATTERN = /^audit-(\d{8}T\d{9}Z)\.jsonl$/;
+
+let currentFile = null; // { name, startedAt, size }
+
+function auditError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
 }
 
 /**
- * Write a log entry to mint_logs.csv
+ * File names are audit-<start time>.jsonl, so name order is time order
  */
-export function logMint(walletAddress, destinationAddress, imageUrl, tokenId, transactionHash, blockNumber, success, errorMessage = '') {
+function fileName(date) {
+  return `audit-${date.toISOString().replace(/[-:.]/g, '')}.jsonl`;
+}
+
+function fileStart(name) {
+  const [, stamp] = FILE_PATTERN.exec(name);
+  return new Date(`${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`);
+}
+
+function listFiles() {
   try {
-    const timestamp = new Date().toISOString();
-    const csvLine = [
-      timestamp,
-      walletAddress || '',
-      destinationAddress || '',
-      imageUrl || '',
-      tokenId || '',
-      transactionHash || '',
-      blockNumber || '',
-      success ? 'true' : 'false',
-      errorMessage.replace(/,/g, ';').replace(/\n/g, ' ') // Sanitize for CSV
-    ].map(field => `"${field}"`).join(',') + '\n';
-
-    const logFile = path.join(STORAGE_PATH, 'mint_logs.csv');
-    
-    // Write header if file doesn't exist
-    if (!fs.existsSync(logFile)) {
-      const header = 'timestamp,wallet_address,destination_address,image_url,token_id,transaction_hash,block_number,success,error_message\n';
-      fs.writeFileSync(logFile, header);
+    return fs.readdirSync(AUDIT_DIR).filter(name => FILE_PATTERN.test(name)).sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Picks the file to append to: the newest one, unless it is too large or too old
+ */
+function getCurrentFile(now) {
+  if (!currentFile) {
+    const newest = listFiles().pop();
+    if (newest) {
+      currentFile = { name: newest, startedAt: fileStart(newest), size: fs.statSync(path.join(AUDIT_DIR, newest)).size };
     }
+  }
 
-    // Append log entry
-    fs.appendFileSync(logFile, csvLine, 'utf8');
-  } catch (error) {
-    console.error('[LOGGER] Error writing mint log:', error.message);
+  const expired = currentFile && ROTATE_HOURS > 0 && now - currentFile.startedAt >= ROTATE_HOURS * 3600 * 1000;
+  if (!currentFile || currentFile.size >= MAX_FILE_BYTES || expired) {
+    fs.mkdirSync(AUDIT_DIR, { recursive: true });
+    currentFile = { name: fileName(now), startedAt: now, size: 0 };
+
+    const files = listFiles();
+    for (const name of files.slice(0, Math.max(0, files.length + 1 - MAX_FILES))) {
+      fs.unlinkSync(path.join(AUDIT_DIR, name));
+    }
+  }
+  return currentFile;
+}
+
+/**
+ * Copies request parameters without secrets, shortening long values such as image data URIs
+ */
+function sanitizeParams(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > MAX_PARAM_LENGTH ? `${value.slice(0, MAX_PARAM_LENGTH)}... (${value.length} chars)` : value;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 3) {
+    return Array.isArray(value) ? `[${value.length} items]` : '{...}';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 20
+      ? `[${value.length} items]`
+      : value.map(entry => sanitizeParams(entry, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (!SECRET_PARAMS.includes(key)) {
+      copy[key] = sanitizeParams(entry, depth + 1);
+    }
   }
+  return copy;
 }
 
 /**
- * Write a log entry to retrieve_logs.csv
+ * Appends a record to the audit log (JSON lines in the audit folder of the storage path).
+ * Files are rotated by size (AUDIT_LOG_MAX_BYTES) and age (AUDIT_LOG_ROTATE_HOURS).
+ * Writing never throws; failures are logged to the console.
+ *
+ * @param {Object} record - Audit record:
+ *   @param {string} type - "request" for API requests, "job" for background transactions
+ *   @param {string} requestId - ID of the API request (X-Request-Id)
+ *   @param {string} apiKeyId - API key that made the request
+ *   @param {string} route - "<METHOD> <route path>" (requests)
+ *   @param {string} event - "mint", "update" or "burn" (jobs)
+ *   @param {number} status - HTTP status (requests)
+ *   @param {string} outcome - One of AUDIT_OUTCOMES
+ *   @param {number} durationMs - Time the request or job took
+ *   @param {string} wallet - Wallet the record is about (e.g. mint destination)
+ *   @param {string} tokenId - Token the record is about
+ *   @param {string} jobId, transactionHash, blockNumber, gasUsed, fee - Transaction details (fee of mints only)
+ *   @param {string} error - Error message
+ *   @param {Object} params - Request parameters (secrets are removed and long values shortened)
  */
-export function logRetrieve(walletAddress, itemsCount, success, errorMessage = '') {
+export function logAudit(record) {
   try {
-    const timestamp = new Date().toISOString();
-    const csvLine = [
-      timestamp,
-      walletAddress || '',
-      itemsCount || 0,
-      success ? 'true' : 'false',
-      errorMessage.replace(/,/g, ';').replace(/\n/g, ' ') // Sanitize for CSV
-    ].map(field => `"${field}"`).join(',') + '\n';
-
-    const logFile = path.join(STORAGE_PATH, 'retrieve_logs.csv');
-    
-    // Write header if file doesn't exist
-    if (!fs.existsSync(logFile)) {
-      const header = 'timestamp,wallet_address,items_count,success,error_message\n';
-      fs.writeFileSync(logFile, header);
+    const now = new Date();
+    const entry = { at: now.toISOString(), ...record };
+    if (entry.params) {
+      entry.params = sanitizeParams(entry.params);
     }
+    if (entry.tokenId !== undefined && entry.tokenId !== null) {
+      entry.tokenId = String(entry.tokenId);
+    }
+
+    const line = JSON.stringify(entry) + '\n';
+    const file = getCurrentFile(now);
+    fs.appendFileSync(path.join(AUDIT_DIR, file.name), line, 'utf8');
+    file.size += Buffer.byteLength(line);
+  } catch (error) {
+    console.error('[AUDIT] Error writing audit record:', error.message);
+  }
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) * 1000 : Date.parse(value);
+  if (isNaN(time)) {
+    throw auditError(`${name} must be an ISO 8601 date or a Unix time in seconds`);
+  }
+  return time;
+}
 
-    // Append log entry
-    fs.appendFileSync(logFile, csvLine, 'utf8');
+function encodeCursor(file, line) {
+  return Buffer.from(JSON.stringify({ f: file, l: line })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { f, l } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (FILE_PATTERN.test(f) && Number.isInteger(l) && l >= 0) {
+      return { file: f, line: l };
+    }
   } catch (error) {
-    console.error('[LOGGER] Error writing retrieve log:', error.message);
+    // Reported below
+  }
+  throw auditError('cursor is not valid');
+}
+
+/**
+ * Checks audit log query parameters
+ *
+ * @param {Object} query - See queryAudit()
+ * @returns {Object} The parsed query
+ * @throws {Error} With code 'INVALID_QUERY'
+ */
+function parseAuditQuery(query = {}, maxLimit = MAX_QUERY_LIMIT) {
+  const parsed = {
+    from: parseTime(query.from, 'from'),
+    to: parseTime(query.to, 'to'),
+    wallet: query.wallet ? String(query.wallet).toLowerCase() : null,
+    tokenId: query.tokenId ? String(query.tokenId) : null,
+    outcome: query.outcome || null,
+    type: query.type || null,
+    route: query.route || null,
+    apiKeyId: query.apiKeyId || null,
+    requestId: query.requestId || null,
+    limit: 100,
+    after: query.cursor ? decodeCursor(query.cursor) : null
+  };
+
+  if (parsed.outcome && !AUDIT_OUTCOMES.includes(parsed.outcome)) {
+    throw auditError(`outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`);
+  }
+  if (parsed.type && parsed.type !== 'request' && parsed.type !== 'job') {
+    throw auditError('type must be "request" or "job"');
+  }
+  if (query.limit !== undefined && query.limit !== '') {
+    parsed.limit = Number(query.limit);
+    if (!Number.isInteger(parsed.limit) || parsed.limit < 1 || parsed.limit > maxLimit) {
+      throw auditError(`limit must be an integer from 1 to ${maxLimit}`);
+    }
+  }
+  return parsed;
+}
+
+function matches(record, query) {
+  const time = Date.parse(record.at);
+  if (query.from !== null && time < query.from) return false;
+  if (query.to !== null && time >= query.to) return false;
+  if (query.wallet && (!record.wallet || record.wallet.toLowerCase() !== query.wallet)) return false;
+  if (query.tokenId && record.tokenId !== query.tokenId) return false;
+  if (query.outcome && record.outcome !== query.outcome) return false;
+  if (query.type && record.type !== query.type) return false;
+  if (query.route && record.route !== query.route) return false;
+  if (query.apiKeyId && record.apiKeyId !== query.apiKeyId) return false;
+  if (query.requestId && record.requestId !== query.requestId) return false;
+  return true;
+}
+
+/**
+ * Reads audit records, newest first
+ *
+ * @param {Object} query - Optional filters:
+ *   @param {string} from - Only records at or after this time (ISO 8601 or Unix seconds)
+ *   @param {string} to - Only records before this time
+ *   @param {string} wallet - Only records about this wallet
+ *   @param {string} tokenId - Only records about this token
+ *   @param {string} outcome - "success", "rejected" or "error"
+ *   @param {string} type - "request" or "job"
+ *   @param {string} route - e.g. "POST /api/mint"
+ *   @param {string} apiKeyId - Only records of this API key
+ *   @param {string} requestId - Only records of this request (the request and the jobs it started)
+ *   @param {number} limit - Records per page (default 100, at most AUDIT_QUERY_MAX_LIMIT)
+ *   @param {string} cursor - nextCursor of the previous page
+ * @param {number} maxLimit - Largest limit allowed (default AUDIT_QUERY_MAX_LIMIT)
+ * @returns {Promise<Object>} { records, nextCursor } with nextCursor null on the last page
+ * @throws {Error} With code 'INVALID_QUERY' if a filter is invalid
+ *
+ * @example
+ * const { records } = await queryAudit({ wallet: '0x0ad7...2813', outcome: 'error', from: '2026-10-01' });
+ */
+export async function queryAudit(query = {}, maxLimit = MAX_QUERY_LIMIT) {
+  const parsed = parseAuditQuery(query, maxLimit);
+  const files = listFiles();
+  const records = [];
+
+  for (let index = files.length - 1; index >= 0; index--) {
+    const file = files[index];
+    if (parsed.after && file > parsed.after.file) {
+      continue;
+    }
+    // Records in a file are from between its start and the next file's start
+    if (parsed.to !== null && fileStart(file).getTime() >= parsed.to) {
+      continue;
+    }
+    if (parsed.from !== null && index + 1 < files.length && fileStart(files[index + 1]).getTime() <= parsed.from) {
+      break;
+    }
+
+    let content;
+    try {
+      content = await fs.promises.readFile(path.join(AUDIT_DIR, file), 'utf8');
+    } catch (error) {
+      continue; // Deleted by rotation meanwhile
+    }
+    const lines = content.split('\n');
+    const last = parsed.after && file === parsed.after.file ? parsed.after.line - 1 : lines.length - 1;
+
+    for (let line = last; line >= 0; line--) {
+      if (!lines[line]) continue;
+      let record;
+      try {
+        record = JSON.parse(lines[line]);
+      } catch (error) {
+        continue; // Partly written line
+      }
+      if (!matches(record, parsed)) continue;
+
+      if (records.length === parsed.limit) {
+        return { records, nextCursor: encodeCursor(file, line + 1) };
+      }
+      records.push(record);
+    }
   }
+
+  return { records, nextCursor: null };
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheets from running text as a formula
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
+/**
+ * Formats audit records as CSV (RFC 4180) with a header row of AUDIT_CSV_COLUMNS
+ *
+ * @param {Array<Object>} records - Records from queryAudit()
+ * @returns {string} CSV text
+ */
+export function toAuditCsv(records) {
+  const lines = [AUDIT_CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    lines.push(AUDIT_CSV_COLUMNS.map(column => csvField(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
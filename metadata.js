@@ -0,0 +1,149 @@
+// Defaults used when traits have no name/description
+const DEFAULT_NAME = 'Game Item';
+const DEFAULT_DESCRIPTION = 'A game item NFT';
+
+// Traits stored as top-level metadata fields rather than attributes
+const TOP_LEVEL_TRAITS = ['name', 'description'];
+
+/**
+ * Converts a traits object to an OpenSea-style attributes array.
+ * Plain values become { trait_type, value }, numbers also get display_type "number".
+ * A trait given as an object with a "value" key is passed through with its
+ * display_type and max_value, e.g. { value: 5, max_value: 10, display_type: "boost_number" }.
+ *
+ * @param {Object} traits - The item's traits
+ * @returns {Array<Object>} Attributes array
+ */
+export function traitsToAttributes(traits) {
+  const attributes = [];
+
+  for (const [traitType, trait] of Object.entries(traits)) {
+    if (TOP_LEVEL_TRAITS.includes(traitType)) {
+      continue;
+    }
+
+    if (trait && typeof trait === 'object' && !Array.isArray(trait) && 'value' in trait) {
+      const attribute = { trait_type: traitType, value: trait.value };
+      if (trait.display_type !== undefined) attribute.display_type = trait.display_type;
+      if (trait.max_value !== undefined) attribute.max_value = trait.max_value;
+      attributes.push(attribute);
+    } else if (typeof trait === 'number') {
+      attributes.push({ trait_type: traitType, value: trait, display_type: 'number' });
+    } else {
+      attributes.push({ trait_type: traitType, value: trait });
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Converts an attributes array back to the traits object it was built from (inverse of traitsToAttributes)
+ *
+ * @param {Array<Object>} attributes - Attributes array
+ * @returns {Object} Traits object
+ */
+export function attributesToTraits(attributes) {
+  const traits = {};
+
+  for (const attribute of attributes) {
+    if (!attribute || attribute.trait_type === undefined) {
+      continue;
+    }
+
+    const { trait_type: traitType, value, display_type: displayType, max_value: maxValue } = attribute;
+    const isPlainNumber = typeof value === 'number' && displayType === 'number' && maxValue === undefined;
+    const isPlainValue = typeof value !== 'number' && displayType === undefined && maxValue === undefined;
+
+    if (isPlainNumber || isPlainValue) {
+      traits[traitType] = value;
+    } else {
+      traits[traitType] = { value };
+      if (displayType !== undefined) traits[traitType].display_type = displayType;
+      if (maxValue !== undefined) traits[traitType].max_value = maxValue;
+    }
+  }
+
+  return traits;
+}
+
+/**
+ * Builds the token URI for an item: ERC-721 metadata JSON, base64-encoded as a data URI
+ *
+ * @param {string} imageUrl - URL to the image
+ * @param {Object} traits - The item's traits/metadata
+ * @param {number} version - Metadata version, incremented on every update (default: 1)
+ * @param {string} itemType - Item type whose trait schema the traits follow, stored as item_type (default: none)
+ * @returns {string} data:application/json;base64 token URI
+ */
+export function buildMetadata(imageUrl, traits, version = 1, itemType = null) {
+  const metadata = {
+    name: traits.name || DEFAULT_NAME,
+    description: traits.description || DEFAULT_DESCRIPTION,
+    image: imageUrl,
+    attributes: traitsToAttributes(traits),
+    version: version
+  };
+  if (itemType) {
+    metadata.item_type = itemType;
+  }
+
+  return `data:application/json;base64,${Buffer.from(JSON.stringify(metadata)).toString('base64')}`;
+}
+
+/**
+ * Parses a token URI into a metadata object.
+ * Handles base64 data URIs, raw JSON strings (legacy mints), metadata URLs and raw values.
+ *
+ * @param {string} tokenURI - Token URI read from the contract
+ * @returns {Object} Metadata object ({ uri } for URLs, { raw } for anything else)
+ */
+export function parseTokenURI(tokenURI) {
+  if (tokenURI.startsWith('data:application/json')) {
+    const separator = tokenURI.indexOf(',');
+    const header = tokenURI.slice(0, separator);
+    const data = tokenURI.slice(separator + 1);
+    // Base64 encoded JSON, or URL-encoded JSON without the ;base64 marker
+    const json = header.endsWith(';base64') ? Buffer.from(data, 'base64').toString() : decodeURIComponent(data);
+    return JSON.parse(json);
+  } else if (tokenURI.startsWith('{')) {
+    // Direct JSON string
+    return JSON.parse(tokenURI);
+  } else if (tokenURI.startsWith('http')) {
+    // URL to metadata - would need to fetch, but for now return URL
+    return { uri: tokenURI };
+  }
+  // Fallback: treat as raw data
+  return { raw: tokenURI };
+}
+
+/**
+ * Gets an item's traits from its metadata, in the same shape they were minted with.
+ * Legacy metadata stores them as "traits"; ERC-721 metadata as "attributes" plus name/description.
+ *
+ * @param {Object} metadata - Parsed metadata
+ * @returns {Object} Traits object
+ */
+export function getTraits(metadata) {
+  if (!metadata) {
+    return {};
+  }
+  if (!Array.isArray(metadata.attributes)) {
+    return metadata.traits || {};
+  }
+
+  const traits = {};
+  if (metadata.name && metadata.name !== DEFAULT_NAME) traits.name = metadata.name;
+  if (metadata.description && metadata.description !== DEFAULT_DESCRIPTION) traits.description = metadata.description;
+  return { ...traits, ...attributesToTraits(metadata.attributes) };
+}
+
+/**
+ * Gets the item type an item was minted with, so later trait updates are checked against the same schema
+ *
+ * @param {Object} metadata - Parsed metadata
+ * @returns {string|null} Item type, or null for items minted without one
+ */
+export function getItemType(metadata) {
+  return metadata && typeof metadata.item_type === 'string' ? metadata.item_type : null;
+}
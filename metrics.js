@@ -0,0 +1,150 @@
+import { ethers } from 'ethers';
+
+// Histogram buckets
+const REQUEST_SECONDS_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const CONFIRMATION_SECONDS_BUCKETS = [2, 5, 10, 20, 30, 60, 120, 300, 600, 1800];
+const GAS_BUCKETS = [50000, 100000, 150000, 200000, 300000, 500000, 1000000];
+const FEE_BUCKETS = [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1];
+
+// Metrics by name, in the order they are listed
+const registry = new Map();
+
+function defineMetric(type, name, help, buckets = null) {
+  const metric = { type, name, help, buckets, series: new Map() };
+  registry.set(name, metric);
+  return metric;
+}
+
+const httpRequests = defineMetric('counter', 'http_requests_total', 'API requests by route and status');
+const httpDuration = defineMetric('histogram', 'http_request_duration_seconds', 'API request latency by route', REQUEST_SECONDS_BUCKETS);
+const mintConfirmation = defineMetric('histogram', 'nft_mint_confirmation_seconds', 'Time from broadcasting a mint transaction to its confirmation', CONFIRMATION_SECONDS_BUCKETS);
+const mintGas = defineMetric('histogram', 'nft_mint_gas_used', 'Gas used per minted item (batch transactions are split evenly between their items)', GAS_BUCKETS);
+const mintFee = defineMetric('histogram', 'nft_mint_fee', 'Fee paid per minted item, in the network\'s native currency', FEE_BUCKETS);
+const rpcRequests = defineMetric('counter', 'rpc_requests_total', 'JSON-RPC calls by network and method');
+const rpcErrors = defineMetric('counter', 'rpc_errors_total', 'Failed JSON-RPC calls by network, method and kind (transport: endpoint unreachable or timed out; rpc: error response)');
+const ownerBalance = defineMetric('gauge', 'nft_owner_wallet_balance', 'Owner wallet balance, in the network\'s native currency');
+const startTime = defineMetric('gauge', 'process_start_time_seconds', 'Start time of the process since the Unix epoch, in seconds');
+
+function getSeries(metric, labels) {
+  const key = JSON.stringify(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, metric.type === 'histogram'
+      ? { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return metric.series.get(key);
+}
+
+function increment(metric, labels, amount = 1) {
+  getSeries(metric, labels).value += amount;
+}
+
+function observe(metric, labels, value) {
+  const series = getSeries(metric, labels);
+  metric.buckets.forEach((bound, index) => {
+    if (value <= bound) series.buckets[index]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+getSeries(startTime, {}).value = Math.floor(Date.now() / 1000);
+
+/**
+ * Counts an API request. Routes are labelled by their path pattern (e.g. /api/item/:tokenId).
+ *
+ * @param {string} method - HTTP method
+ * @param {string} route - Route path pattern, or "unmatched"
+ * @param {number} status - HTTP status
+ * @param {number} seconds - Time the request took
+ */
+export function recordRequest(method, route, status, seconds) {
+  increment(httpRequests, { method, route, status: String(status) });
+  observe(httpDuration, { method, route }, seconds);
+}
+
+/**
+ * Records a confirmed mint transaction: its confirmation latency and the gas and fee of each item it minted
+ *
+ * @param {string} network - Network name
+ * @param {ethers.TransactionReceipt} receipt - Receipt of the mint transaction
+ * @param {Object} options - Optional:
+ *   @param {number} items - Items the transaction minted (default 1)
+ *   @param {number} submittedAt - When the transaction was broadcast, in milliseconds
+ *     (unknown for transactions resumed after a restart, which are left out of the latency)
+ */
+export function recordMintReceipt(network, receipt, options = {}) {
+  const items = Math.max(1, options.items || 1);
+  const fee = receipt.gasUsed * receipt.gasPrice;
+
+  if (options.submittedAt) {
+    observe(mintConfirmation, { network }, (Date.now() - options.submittedAt) / 1000);
+  }
+  for (let i = 0; i < items; i++) {
+    observe(mintGas, { network }, Number(receipt.gasUsed) / items);
+    observe(mintFee, { network }, Number(ethers.formatEther(fee)) / items);
+  }
+}
+
+/**
+ * Counts a JSON-RPC call and whether it failed
+ *
+ * @param {string} network - Network name
+ * @param {string} method - JSON-RPC method, e.g. eth_call
+ * @param {string} failure - null if it succeeded, "transport" or "rpc" if it failed
+ */
+export function recordRpcCall(network, method, failure = null) {
+  increment(rpcRequests, { network, method });
+  if (failure) {
+    increment(rpcErrors, { network, method, kind: failure });
+  }
+}
+
+/**
+ * Sets the owner wallet balance gauge
+ *
+ * @param {string} network - Network name
+ * @param {string} address - Owner wallet address
+ * @param {bigint} balance - Balance in wei
+ */
+export function setOwnerBalance(network, address, balance) {
+  getSeries(ownerBalance, { network, address }).value = Number(ethers.formatEther(balance));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Formats every metric in the Prometheus text exposition format (version 0.0.4)
+ *
+ * @returns {string} Metrics text
+ */
+export function renderMetrics() {
+  const lines = [];
+
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
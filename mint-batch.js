@@ -0,0 +1,279 @@
+import { ethers } from 'ethers';
+import { getOwnerSigner, signAndSend } from './mint.js';
+import { resolveDeployment, checkChainId } from './networks.js';
+import { buildMetadata } from './metadata.js';
+import { validateImageUrl } from './image-validator.js';
+import { sendWithNonce, confirmNonce } from './nonce-manager.js';
+import { getFeeOverrides, waitForConfirmation } from './fee-manager.js';
+import { recordMintReceipt } from './metrics.js';
+import { envNumber } from './config.js';
+
+// Contract ABI - mintBatch plus single mint as a fallback for contracts deployed without mintBatch
+const contractABI = [
+  "function mintBatch(address[] to, string[] metadata) public returns (uint256[])",
+  "function mint(address to, string memory metadata) public returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
+];
+
+/**
+ * Extracts minted token IDs from a receipt, in the order they were minted
+ *
+ * @param {ethers.Contract} contract - Contract instance used to parse logs
+ * @param {Object} receipt - Transaction receipt
+ * @returns {Array<Object>} { to, tokenId } for each mint Transfer event
+ */
+function extractMintedTokens(contract, receipt) {
+  const minted = [];
+
+  for (const log of receipt.logs || []) {
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (parsed && parsed.name === 'Transfer' && parsed.args.from === ethers.ZeroAddress) {
+      minted.push({
+        to: parsed.args.to,
+        tokenId: parsed.args.tokenId.toString()
+      });
+    }
+  }
+
+  return minted;
+}
+
+/**
+ * Pairs each item of a chunk with the token minted for it
+ */
+function matchTokens(items, minted) {
+  return items.map((item, index) => {
+    const token = minted[index];
+    if (!token || token.to.toLowerCase() !== item.destinationAddress.toLowerCase()) {
+      return { item, tokenId: null };
+    }
+    return { item, tokenId: token.tokenId };
+  });
+}
+
+/**
+ * Estimates gas for the next chunk, halving the chunk until it fits under the gas target.
+ * Returns the chunk size to use and its gas estimate (null if only a single mint() fallback works).
+ */
+async function sizeChunk(contract, items, maxSize, gasTarget) {
+  let size = Math.min(items.length, maxSize);
+
+  while (true) {
+    const chunk = items.slice(0, size);
+    try {
+      const estimate = await contract.mintBatch.estimateGas(
+        chunk.map(item => item.destinationAddress),
+        chunk.map(item => item.metadataJson)
+      );
+      if (estimate <= gasTarget || size === 1) {
+        return { size, estimate, useBatch: true };
+      }
+    } catch (error) {
+      if (size === 1) {
+        return { size, estimate: null, useBatch: false };
+      }
+    }
+    size = Math.ceil(size / 2);
+  }
+}
+
+/**
+ * Mints multiple NFT items using the contract's mintBatch function.
+ * Items are split into chunks whose gas estimate fits within a fraction of the block gas limit;
+ * chunks are broadcast one after another and confirmed in parallel.
+ *
+ * @param {Array<Object>} items - Items to mint, each with:
+ *   @param {string} destinationAddress - The address to mint the NFT to
+ *   @param {string} imageUrl - URL to the image (must be 512x512 pixels)
+ *   @param {Object} traits - JSON object containing the item's traits/metadata
+ *   @param {string} itemType - Item type whose trait schema the traits follow, stored in the metadata (default: none)
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ *   @param {Function} onChunkSending - Called with (items, nonce, transactionHash) when a chunk is signed, just before it is broadcast
+ *   @param {Function} onChunkSubmitted - Called with (items, transactionHash) when a chunk is broadcast or replaced
+ *   @param {Function} onChunkConfirmed - Called with (results, receipt) when a chunk confirms
+ *   @param {Function} onChunkFailed - Called with (items, error) when a chunk fails
+ * @returns {Promise<Array<Object>>} Per-item results with tokenId, transactionHash, blockNumber, gasUsed, gasPrice
+ *   and fee (the item's share of the chunk's fee), or error
+ *
+ * @example
+ * const results = await mintBatch([
+ *   { destinationAddress: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb", imageUrl: "https://example.com/a.png", traits: { attack: 10 } },
+ *   { destinationAddress: "0x0ad71CEf14201B7fC7de53Ff2b4d40B9a96C2813", imageUrl: "https://example.com/b.png", traits: { attack: 20 } }
+ * ]);
+ */
+async function mintBatch(items, config = {}) {
+  try {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Items must be a non-empty array');
+    }
+
+    // Validate every item before sending anything
+    for (const item of items) {
+      if (!item.destinationAddress || !ethers.isAddress(item.destinationAddress)) {
+        throw new Error(`Invalid destination address: ${item.destinationAddress}`);
+      }
+      if (!item.traits || typeof item.traits !== 'object') {
+        throw new Error('Traits must be a valid object');
+      }
+      if (!item.imageUrl || typeof item.imageUrl !== 'string') {
+        throw new Error('Image URL is required');
+      }
+    }
+
+    for (const imageUrl of new Set(items.map(item => item.imageUrl))) {
+      await validateImageUrl(imageUrl);
+    }
+
+    // Network and contract from the registry (see networks.js)
+    const { contractAddress } = resolveDeployment(config);
+
+    // Nothing is signed until the RPC endpoint is known to be on the network's chain
+    await checkChainId(config);
+
+    const wallet = await getOwnerSigner(config);
+    const contract = new ethers.Contract(contractAddress, contractABI, wallet);
+
+    // Chunk sizing: MINT_BATCH_MAX_SIZE items at most, and at most MINT_BATCH_GAS_FRACTION of the block gas limit
+    const maxSize = envNumber('MINT_BATCH_MAX_SIZE', 100);
+    const block = await wallet.provider.getBlock('latest');
+    const gasTarget = block.gasLimit * BigInt(Math.round(envNumber('MINT_BATCH_GAS_FRACTION', 0.5) * 100)) / 100n;
+
+    console.log(`Batch minting ${items.length} item(s)...`);
+    console.log(`Contract: ${contractAddress}`);
+
+    let remaining = items.map(item => ({
+      ...item,
+      metadataJson: buildMetadata(item.imageUrl, item.traits, 1, item.itemType)
+    }));
+    const confirmations = [];
+
+    while (remaining.length > 0) {
+      const { size, estimate, useBatch } = await sizeChunk(contract, remaining, maxSize, gasTarget);
+      const chunk = remaining.slice(0, size);
+      remaining = remaining.slice(size);
+      const chunkItems = chunk.map(({ metadataJson, ...item }) => item);
+
+      let tx;
+      try {
+        const fees = await getFeeOverrides(wallet.provider);
+        const onSending = config.onChunkSending && ((nonce, hash) => config.onChunkSending(chunkItems, nonce, hash));
+        tx = await sendWithNonce(wallet, (nonce) => {
+          if (!useBatch) {
+            // Contract without mintBatch (or a single item that cannot be batched)
+            return signAndSend(wallet, contract.mint, [chunk[0].destinationAddress, chunk[0].metadataJson], { nonce, ...fees }, onSending);
+          }
+          return signAndSend(wallet, contract.mintBatch, [
+            chunk.map(item => item.destinationAddress),
+            chunk.map(item => item.metadataJson)
+          ], { nonce, ...fees, gasLimit: estimate * 12n / 10n }, onSending);
+        });
+      } catch (error) {
+        console.error(`Batch chunk of ${chunk.length} item(s) failed to send: ${error.message}`);
+        confirmations.push(Promise.resolve(chunkItems.map(item => ({ ...item, tokenId: null, error: error.message }))));
+        if (config.onChunkFailed) {
+          await config.onChunkFailed(chunkItems, error);
+        }
+        continue;
+      }
+
+      const submittedAt = Date.now();
+      console.log(`Chunk of ${chunk.length} item(s) sent: ${tx.hash}`);
+      if (config.onChunkSubmitted) {
+        await config.onChunkSubmitted(chunkItems, tx.hash);
+      }
+
+      confirmations.push(confirmChunk(wallet, contract, tx, chunkItems, config, submittedAt));
+    }
+
+    const results = (await Promise.all(confirmations)).flat();
+    console.log(`✅ Batch finished: ${results.filter(result => result.tokenId).length}/${items.length} minted`);
+    return results;
+
+  } catch (error) {
+    console.error('Batch minting error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Waits for a chunk's transaction and matches the minted tokens to its items
+ *
+ * @param {number} submittedAt - When the chunk was broadcast, in milliseconds (null when resumed after a restart)
+ */
+async function confirmChunk(wallet, contract, tx, chunkItems, config, submittedAt = null) {
+  try {
+    const receipt = await waitForConfirmation(wallet, tx, {
+      onReplaced: (hash) => config.onChunkSubmitted && config.onChunkSubmitted(chunkItems, hash)
+    });
+    confirmNonce(wallet, tx.nonce);
+
+    const minted = matchTokens(chunkItems, extractMintedTokens(contract, receipt));
+    const mintedCount = minted.filter(({ tokenId }) => tokenId).length;
+    recordMintReceipt(resolveDeployment(config).network, receipt, { items: mintedCount, submittedAt });
+
+    // The chunk's fee is split evenly between the items it minted
+    const itemFee = receipt.gasUsed * receipt.gasPrice / BigInt(Math.max(1, mintedCount));
+
+    const results = minted.map(({ item, tokenId }) => ({
+      ...item,
+      tokenId: tokenId,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(), // Of the whole chunk's transaction
+      gasPrice: receipt.gasPrice.toString(),
+      fee: tokenId ? ethers.formatEther(itemFee) : null,
+      error: tokenId ? null : 'Token ID not found in Transfer events'
+    }));
+
+    if (config.onChunkConfirmed) {
+      await config.onChunkConfirmed(results, receipt);
+    }
+    return results;
+  } catch (error) {
+    if (config.onChunkFailed) {
+      await config.onChunkFailed(chunkItems, error);
+    }
+    return chunkItems.map(item => ({ ...item, tokenId: null, transactionHash: tx.hash, error: error.message }));
+  }
+}
+
+/**
+ * Waits for an already-broadcast batch mint transaction to confirm.
+ * Used to resume watching chunks that were in flight when the server restarted.
+ *
+ * @param {string} transactionHash - Hash of the batch mint transaction
+ * @param {Array<Object>} items - The items minted by that transaction, in order
+ * @param {Object} config - Optional configuration (see mintBatch)
+ * @returns {Promise<Array<Object>>} Per-item results
+ */
+export async function waitForBatch(transactionHash, items, config = {}) {
+  // Network and contract from the registry (see networks.js)
+  const { contractAddress } = resolveDeployment(config);
+
+  const wallet = await getOwnerSigner(config);
+  const contract = new ethers.Contract(contractAddress, contractABI, wallet.provider);
+
+  console.log(`Resuming confirmation wait for batch ${transactionHash}...`);
+
+  const tx = await wallet.provider.getTransaction(transactionHash);
+  if (!tx) {
+    const error = new Error(`Transaction ${transactionHash} not found (it may have been dropped)`);
+    if (config.onChunkFailed) {
+      await config.onChunkFailed(items, error);
+    }
+    return items.map(item => ({ ...item, tokenId: null, transactionHash, error: error.message }));
+  }
+
+  return confirmChunk(wallet, contract, tx, items, config);
+}
+
+export default mintBatch;
@@ -0,0 +1,880 @@
+import crypto from 'crypto';
+import mint, { waitForMint, getOwnerSigner } from './mint.js';
+import mintBatch, { waitForBatch } from './mint-batch.js';
+import updateTraits, { waitForUpdate } from './update-item.js';
+import burnItem, { waitForBurn } from './burn-item.js';
+import { resolveNetwork } from './networks.js';
+import { logAudit } from './logger.js';
+import { releaseMints } from './rate-limits.js';
+import { readJson, writeJson } from './storage.js';
+import { envNumber } from './config.js';
+
+const JOBS_FILE = 'mint_jobs.json';
+
+// Job states
+export const JOB_STATES = {
+  QUEUED: 'queued',
+  SENDING: 'sending', // Transaction signed with the recorded nonce and hash, about to be broadcast
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  PARTIAL: 'partial' // Batch jobs only: some rows confirmed, some failed
+};
+
+const FINISHED_STATES = [JOB_STATES.CONFIRMED, JOB_STATES.FAILED, JOB_STATES.PARTIAL];
+
+const RESUME_RETRY_SECONDS = 30;
+const RETENTION_MS = envNumber('MINT_JOB_RETENTION_HOURS', 24) * 60 * 60 * 1000; // Also the idempotency window
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Jobs are kept in memory and persisted to disk on every change
+const jobs = readJson(JOBS_FILE, {});
+
+// Jobs with an idempotency key, by "<apiKeyId>:<idempotencyKey>"
+const idempotentJobs = new Map();
+
+function idempotencyIndexKey(idempotencyKey, apiKeyId) {
+  return `${apiKeyId || ''}:${idempotencyKey}`;
+}
+
+function indexJob(job) {
+  if (job.idempotencyKey) {
+    idempotentJobs.set(idempotencyIndexKey(job.idempotencyKey, job.apiKeyId), job);
+  }
+}
+
+/**
+ * Deletes jobs that finished more than MINT_JOB_RETENTION_HOURS ago, which also frees their idempotency keys
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - RETENTION_MS;
+  let removed = 0;
+  for (const job of Object.values(jobs)) {
+    if (FINISHED_STATES.includes(job.state) && Date.parse(job.updatedAt) < cutoff) {
+      delete jobs[job.id];
+      if (job.idempotencyKey) {
+        idempotentJobs.delete(idempotencyIndexKey(job.idempotencyKey, job.apiKeyId));
+      }
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    saveJobs();
+    console.log(`[MINT_JOBS] Removed ${removed} finished job(s) older than the retention window`);
+  }
+}
+
+function saveJobs() {
+  try {
+    writeJson(JOBS_FILE, jobs);
+  } catch (error) {
+    console.error('[MINT_JOBS] Error saving jobs:', error.message);
+  }
+}
+
+Object.values(jobs).forEach(indexJob);
+pruneJobs();
+setInterval(pruneJobs, PRUNE_INTERVAL_MS).unref();
+
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  saveJobs();
+}
+
+/**
+ * Hash of the request payload, used to detect an Idempotency-Key being reused for a different request
+ */
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * Writes the outcome of a job's transaction to the audit log, under the request that created the job
+ */
+function auditJob(job, details) {
+  logAudit({
+    type: 'job',
+    requestId: job.requestId || null,
+    apiKeyId: job.apiKeyId,
+    event: job.type,
+    jobId: job.id,
+    durationMs: Date.now() - Date.parse(job.createdAt),
+    ...details
+  });
+}
+
+function finishJob(job, result) {
+  updateJob(job, {
+    state: JOB_STATES.CONFIRMED,
+    transactionHash: result.transactionHash,
+    blockNumber: result.blockNumber,
+    tokenId: result.tokenId,
+    gasUsed: result.gasUsed,
+    gasPrice: result.gasPrice,
+    fee: result.fee,
+    error: null
+  });
+  auditJob(job, {
+    outcome: 'success',
+    wallet: job.request.destinationAddress,
+    tokenId: result.tokenId,
+    transactionHash: result.transactionHash,
+    blockNumber: result.blockNumber,
+    gasUsed: result.gasUsed,
+    fee: result.fee
+  });
+  console.log(`[MINT_JOBS] Job ${job.id} confirmed (token ${result.tokenId})`);
+}
+
+/**
+ * UTC day a job was accepted on, which its mints were counted against
+ */
+function jobDay(job) {
+  return job.createdAt.slice(0, 10);
+}
+
+function failJob(job, error) {
+  updateJob(job, {
+    state: JOB_STATES.FAILED,
+    error: error.message
+  });
+  releaseMints([job.request.destinationAddress], jobDay(job));
+  auditJob(job, {
+    outcome: 'error',
+    wallet: job.request.destinationAddress,
+    transactionHash: job.transactionHash,
+    error: error.message
+  });
+  console.error(`[MINT_JOBS] Job ${job.id} failed:`, error.message);
+}
+
+/**
+ * Sends the mint transaction for a queued job and waits for confirmation
+ */
+async function runJob(job) {
+  const { destinationAddress, imageUrl, traits, itemType, config } = job.request;
+  const mintConfig = { ...config, itemType };
+
+  // Jobs queued by older versions with a private key from the request must not be signed by the owner wallet
+  if (job.hasPrivateKey) {
+    failJob(job, new Error('Job used a request private key, which is no longer supported'));
+    return;
+  }
+
+  // Recorded before the broadcast, so a restart can tell whether the transaction went out
+  mintConfig.onSending = (nonce, transactionHash) => {
+    updateJob(job, { state: JOB_STATES.SENDING, nonce, transactionHash });
+  };
+  mintConfig.onSubmitted = (transactionHash) => {
+    updateJob(job, { state: JOB_STATES.SUBMITTED, transactionHash });
+  };
+
+  try {
+    const result = await mint(destinationAddress, imageUrl, traits, mintConfig);
+    finishJob(job, result);
+  } catch (error) {
+    failJob(job, error);
+  }
+}
+
+/**
+ * Resumes watching a job whose transaction was already broadcast
+ */
+async function watchJob(job) {
+  try {
+    const result = await waitForMint(job.transactionHash, {
+      ...job.request.config,
+      onSubmitted: (transactionHash) => updateJob(job, { transactionHash })
+    });
+    finishJob(job, result);
+  } catch (error) {
+    failJob(job, error);
+  }
+}
+
+/**
+ * Looks up a transaction that was signed before the server stopped, by its hash and nonce
+ *
+ * @returns {Promise<string>} 'sent' if the node knows the hash, 'unsent' if it does not and the nonce is
+ *   still unused, or 'nonce-used' if the hash is unknown but the nonce was taken. A lagging RPC endpoint
+ *   or a replacement can hide a transaction that went out, so only 'unsent' is safe to send again.
+ * @throws {Error} If the RPC cannot be reached
+ */
+async function findSignedTransaction(config, nonce, transactionHash) {
+  const wallet = await getOwnerSigner(config);
+  if (await wallet.provider.getTransaction(transactionHash)) {
+    return 'sent';
+  }
+  const pendingCount = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+  return pendingCount > nonce ? 'nonce-used' : 'unsent';
+}
+
+function nonceUsedError(nonce, transactionHash) {
+  return new Error(`Transaction ${transactionHash} is not known to the network, but nonce ${nonce} has been used; ` +
+    'it may have been mined or replaced, so it was not sent again. Check the owner wallet\'s transactions before retrying');
+}
+
+async function settleSendingJob(job) {
+  const status = await findSignedTransaction(job.request.config, job.nonce, job.transactionHash);
+  if (status === 'sent') {
+    updateJob(job, { state: JOB_STATES.SUBMITTED });
+  } else if (status === 'unsent') {
+    console.warn(`[MINT_JOBS] Job ${job.id}: transaction ${job.transactionHash} was not broadcast and nonce ${job.nonce} is unused; sending it again`);
+    updateJob(job, { state: JOB_STATES.QUEUED, nonce: null, transactionHash: null });
+  } else if (TOKEN_JOB_HANDLERS[job.type]) {
+    failTokenJob(job, nonceUsedError(job.nonce, job.transactionHash));
+  } else {
+    failJob(job, nonceUsedError(job.nonce, job.transactionHash));
+  }
+}
+
+async function settleSendingChunks(job) {
+  const chunks = new Map();
+  for (const result of job.results) {
+    if (result.state === JOB_STATES.SENDING) {
+      if (!chunks.has(result.transactionHash)) {
+        chunks.set(result.transactionHash, []);
+      }
+      chunks.get(result.transactionHash).push(result);
+    }
+  }
+
+  for (const [transactionHash, rows] of chunks) {
+    const { nonce } = rows[0];
+    const items = rows.map(row => job.request.items[row.row]);
+    const status = await findSignedTransaction(job.request.config, nonce, transactionHash);
+    if (status === 'sent') {
+      updateRows(job, items, { state: JOB_STATES.SUBMITTED });
+    } else if (status === 'unsent') {
+      console.warn(`[MINT_JOBS] Batch job ${job.id}: chunk ${transactionHash} was not broadcast and nonce ${nonce} is unused; sending its ${items.length} row(s) again`);
+      updateRows(job, items, { state: JOB_STATES.QUEUED, nonce: null, transactionHash: null });
+    } else {
+      batchCallbacks(job).onChunkFailed(items, nonceUsedError(nonce, transactionHash));
+    }
+  }
+}
+
+function isSending(job) {
+  return job.type === 'batch'
+    ? job.results.some(result => result.state === JOB_STATES.SENDING)
+    : job.state === JOB_STATES.SENDING;
+}
+
+/**
+ * Settles a job that was broadcasting a transaction when the server stopped: it goes back to
+ * waiting on the transaction if the network has it, back to the queue if it never went out, and
+ * fails if its nonce was used by a transaction that cannot be found. If the RPC cannot be reached,
+ * the check is retried and the job resumed afterwards.
+ *
+ * @returns {Promise<boolean>} true if the job can be resumed now
+ */
+async function checkSendingJob(job) {
+  try {
+    if (job.type === 'batch') {
+      await settleSendingChunks(job);
+    } else {
+      await settleSendingJob(job);
+    }
+  } catch (error) {
+    // Sending again without knowing whether the first transaction went out could mint twice
+    console.error(`[MINT_JOBS] Job ${job.id}: could not check its signed transaction, retrying in ${RESUME_RETRY_SECONDS}s:`, error.message);
+    setTimeout(async () => {
+      if (await checkSendingJob(job)) {
+        resumeJob(job);
+      }
+    }, RESUME_RETRY_SECONDS * 1000).unref();
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Public view of a job (omits the stored request payload)
+ *
+ * @param {Object} job - Stored job
+ * @returns {Object} Job status
+ */
+export function toJobStatus(job) {
+  if (job.type === 'batch') {
+    return {
+      jobId: job.id,
+      type: job.type,
+      idempotencyKey: job.idempotencyKey,
+      state: job.state,
+      total: job.results.length,
+      confirmed: job.results.filter(result => result.state === JOB_STATES.CONFIRMED).length,
+      failed: job.results.filter(result => result.state === JOB_STATES.FAILED).length,
+      results: job.results,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  if (job.type === 'update') {
+    return {
+      jobId: job.id,
+      type: job.type,
+      idempotencyKey: job.idempotencyKey,
+      state: job.state,
+      tokenId: job.request.tokenId,
+      transactionHash: job.transactionHash,
+      blockNumber: job.blockNumber,
+      version: job.version,
+      traits: job.traits,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  if (job.type === 'burn') {
+    return {
+      jobId: job.id,
+      type: job.type,
+      idempotencyKey: job.idempotencyKey,
+      state: job.state,
+      tokenId: job.request.tokenId,
+      previousOwner: job.previousOwner,
+      transactionHash: job.transactionHash,
+      blockNumber: job.blockNumber,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  return {
+    jobId: job.id,
+    type: 'mint',
+    idempotencyKey: job.idempotencyKey,
+    state: job.state,
+    destinationAddress: job.request.destinationAddress,
+    transactionHash: job.transactionHash,
+    blockNumber: job.blockNumber,
+    tokenId: job.tokenId,
+    gasUsed: job.gasUsed || null,
+    gasPrice: job.gasPrice || null,
+    fee: job.fee || null,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Finds the job created for an idempotency key. Each API key has its own idempotency keys.
+ *
+ * @throws {Error} With code 'IDEMPOTENCY_CONFLICT' if the key was used for a different request
+ */
+function findIdempotentJob(idempotencyKey, requestHash, apiKeyId) {
+  if (!idempotencyKey) {
+    return null;
+  }
+
+  const existing = idempotentJobs.get(idempotencyIndexKey(idempotencyKey, apiKeyId));
+  if (existing && existing.requestHash !== requestHash) {
+    const error = new Error('Idempotency-Key has already been used for a different mint request');
+    error.code = 'IDEMPOTENCY_CONFLICT';
+    throw error;
+  }
+  return existing || null;
+}
+
+/**
+ * Returns true if an API key already has a job for an idempotency key, so a retried request
+ * returns that job instead of creating a new one
+ *
+ * @param {string} idempotencyKey - Client-supplied idempotency key
+ * @param {string} apiKeyId - ID of the API key that made the request
+ * @returns {boolean}
+ */
+export function hasIdempotentJob(idempotencyKey, apiKeyId) {
+  return Boolean(idempotencyKey) && idempotentJobs.has(idempotencyIndexKey(idempotencyKey, apiKeyId));
+}
+
+/**
+ * Accepts a mint request as a persisted job and starts processing it in the background.
+ * If a job with the same idempotency key exists, that job is returned instead of creating a new one.
+ *
+ * @param {Object} request - Mint request:
+ *   @param {string} destinationAddress - The address to mint the NFT to
+ *   @param {string} imageUrl - Image URL or data URI
+ *   @param {Object} traits - Item traits
+ *   @param {string} itemType - Optional item type the traits were checked against, stored in the metadata
+ *   @param {Object} config - Optional mint configuration (see mint.js)
+ * @param {string} idempotencyKey - Optional client-supplied idempotency key
+ * @param {string} apiKeyId - ID of the API key that made the request, recorded in the audit log
+ * @param {string} requestId - ID of the API request, recorded in the audit log with the job's outcome
+ * @returns {{ job: Object, created: boolean }} The job and whether it was newly created
+ * @throws {Error} With code 'IDEMPOTENCY_CONFLICT' if the key was used for a different request
+ */
+export function createMintJob(request, idempotencyKey, apiKeyId, requestId) {
+  const storedRequest = {
+    destinationAddress: request.destinationAddress,
+    imageUrl: request.imageUrl,
+    traits: request.traits,
+    itemType: request.itemType || null,
+    config: request.config || {}
+  };
+  const requestHash = hashRequest(storedRequest);
+
+  const existing = findIdempotentJob(idempotencyKey, requestHash, apiKeyId);
+  if (existing) {
+    return { job: existing, created: false };
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'mint',
+    idempotencyKey: idempotencyKey || null,
+    apiKeyId: apiKeyId || null,
+    requestId: requestId || null,
+    requestHash,
+    state: JOB_STATES.QUEUED,
+    request: storedRequest,
+    nonce: null,
+    transactionHash: null,
+    blockNumber: null,
+    tokenId: null,
+    gasUsed: null,
+    gasPrice: null,
+    fee: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs[job.id] = job;
+  indexJob(job);
+  saveJobs();
+
+  console.log(`[MINT_JOBS] Job ${job.id} queued for ${job.request.destinationAddress}`);
+  runJob(job);
+
+  return { job, created: true };
+}
+
+function batchState(job) {
+  const states = job.results.map(result => result.state);
+  if (states.some(state => state === JOB_STATES.QUEUED || state === JOB_STATES.SENDING || state === JOB_STATES.SUBMITTED)) {
+    return states.some(state => state !== JOB_STATES.QUEUED) ? JOB_STATES.SUBMITTED : JOB_STATES.QUEUED;
+  }
+  if (states.every(state => state === JOB_STATES.CONFIRMED)) {
+    return JOB_STATES.CONFIRMED;
+  }
+  return states.every(state => state === JOB_STATES.FAILED) ? JOB_STATES.FAILED : JOB_STATES.PARTIAL;
+}
+
+function updateRows(job, items, changes) {
+  for (const item of items) {
+    Object.assign(job.results[item.row], typeof changes === 'function' ? changes(item) : changes);
+  }
+  updateJob(job, { state: batchState(job) });
+}
+
+/**
+ * Callbacks that record batch chunk progress on the job's per-row results
+ */
+function batchCallbacks(job) {
+  return {
+    // Recorded before the broadcast, so a restart can tell whether the chunk went out
+    onChunkSending: (items, nonce, transactionHash) => {
+      updateRows(job, items, { state: JOB_STATES.SENDING, nonce, transactionHash });
+    },
+    onChunkSubmitted: (items, transactionHash) => {
+      updateRows(job, items, { state: JOB_STATES.SUBMITTED, transactionHash });
+    },
+    onChunkConfirmed: (results) => {
+      updateRows(job, results, (result) => ({
+        state: result.tokenId ? JOB_STATES.CONFIRMED : JOB_STATES.FAILED,
+        tokenId: result.tokenId,
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        gasUsed: result.gasUsed,
+        gasPrice: result.gasPrice,
+        fee: result.fee,
+        error: result.error
+      }));
+      releaseMints(results.filter(result => !result.tokenId).map(result => result.destinationAddress), jobDay(job));
+      for (const result of results) {
+        auditJob(job, {
+          outcome: result.tokenId ? 'success' : 'error',
+          wallet: result.destinationAddress,
+          tokenId: result.tokenId,
+          transactionHash: result.transactionHash,
+          blockNumber: result.blockNumber,
+          gasUsed: result.gasUsed,
+          fee: result.fee,
+          error: result.error || null,
+          params: { row: result.row }
+        });
+      }
+    },
+    onChunkFailed: (items, error) => {
+      updateRows(job, items, { state: JOB_STATES.FAILED, error: error.message });
+      releaseMints(items.map(item => item.destinationAddress), jobDay(job));
+      for (const item of items) {
+        auditJob(job, {
+          outcome: 'error',
+          wallet: item.destinationAddress,
+          transactionHash: job.results[item.row].transactionHash,
+          error: error.message,
+          params: { row: item.row }
+        });
+      }
+    }
+  };
+}
+
+/**
+ * Processes a batch job: resumes watching submitted chunks and mints all queued rows
+ */
+async function runBatchJob(job) {
+  const { items, config } = job.request;
+  const callbacks = batchCallbacks(job);
+  const work = [];
+
+  // Chunks already broadcast (only after a restart) are grouped by transaction hash
+  const submitted = new Map();
+  for (const result of job.results) {
+    if (result.state === JOB_STATES.SUBMITTED && result.transactionHash) {
+      if (!submitted.has(result.transactionHash)) {
+        submitted.set(result.transactionHash, []);
+      }
+      submitted.get(result.transactionHash).push(items[result.row]);
+    }
+  }
+  for (const [transactionHash, chunkItems] of submitted) {
+    work.push(waitForBatch(transactionHash, chunkItems, { ...config, ...callbacks }));
+  }
+
+  const queued = items.filter(item => job.results[item.row].state === JOB_STATES.QUEUED);
+  if (queued.length > 0) {
+    work.push(mintBatch(queued, { ...config, ...callbacks }).catch((error) => {
+      callbacks.onChunkFailed(queued.filter(item => job.results[item.row].state === JOB_STATES.QUEUED), error);
+      updateJob(job, { error: error.message });
+    }));
+  }
+
+  await Promise.all(work);
+  console.log(`[MINT_JOBS] Batch job ${job.id} finished: ${job.state}`);
+}
+
+/**
+ * Accepts a batch mint request as a persisted job and starts processing it in the background.
+ * Each row is tracked separately in the job's results.
+ *
+ * @param {Object} request - Batch mint request:
+ *   @param {Array<Object>} items - Rows with destinationAddress, imageUrl, traits and an optional itemType
+ *   @param {Object} config - Optional mint configuration (see mint-batch.js)
+ * @param {string} idempotencyKey - Optional client-supplied idempotency key
+ * @param {string} apiKeyId - ID of the API key that made the request, recorded in the audit log
+ * @param {string} requestId - ID of the API request, recorded in the audit log with the job's outcome
+ * @returns {{ job: Object, created: boolean }} The job and whether it was newly created
+ * @throws {Error} With code 'IDEMPOTENCY_CONFLICT' if the key was used for a different request
+ */
+export function createBatchMintJob(request, idempotencyKey, apiKeyId, requestId) {
+  const storedRequest = {
+    items: request.items.map((item, row) => ({
+      row,
+      destinationAddress: item.destinationAddress,
+      imageUrl: item.imageUrl,
+      traits: item.traits,
+      itemType: item.itemType || null
+    })),
+    config: request.config || {}
+  };
+  const requestHash = hashRequest(storedRequest);
+
+  const existing = findIdempotentJob(idempotencyKey, requestHash, apiKeyId);
+  if (existing) {
+    return { job: existing, created: false };
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'batch',
+    idempotencyKey: idempotencyKey || null,
+    apiKeyId: apiKeyId || null,
+    requestId: requestId || null,
+    requestHash,
+    state: JOB_STATES.QUEUED,
+    request: storedRequest,
+    results: storedRequest.items.map(item => ({
+      row: item.row,
+      destinationAddress: item.destinationAddress,
+      state: JOB_STATES.QUEUED,
+      nonce: null,
+      transactionHash: null,
+      blockNumber: null,
+      tokenId: null,
+      gasUsed: null, // Of the whole chunk's transaction
+      gasPrice: null,
+      fee: null,     // This row's share of the chunk's fee
+      error: null
+    })),
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs[job.id] = job;
+  indexJob(job);
+  saveJobs();
+
+  console.log(`[MINT_JOBS] Batch job ${job.id} queued with ${job.results.length} row(s)`);
+  runBatchJob(job);
+
+  return { job, created: true };
+}
+
+// Jobs that send one owner transaction for an existing token: how to send it and how to resume watching it
+const TOKEN_JOB_HANDLERS = {
+  update: {
+    send: (request, config) => updateTraits(request.tokenId, request.traits, { ...config, itemType: request.itemType }),
+    resume: waitForUpdate
+  },
+  burn: {
+    send: (request, config) => burnItem(request.tokenId, config),
+    resume: waitForBurn
+  }
+};
+
+/**
+ * Sends (or, after a restart, resumes watching) the transaction of an update or burn job
+ */
+async function runTokenJob(job) {
+  const handler = TOKEN_JOB_HANDLERS[job.type];
+  // Recorded before the broadcast, so a restart can tell whether the transaction went out
+  const onSending = (nonce, transactionHash, details) => {
+    updateJob(job, { state: JOB_STATES.SENDING, nonce, transactionHash, ...details });
+  };
+  const onSubmitted = (transactionHash, details) => {
+    updateJob(job, { state: JOB_STATES.SUBMITTED, transactionHash, ...details });
+  };
+  const config = { ...job.request.config, onSending, onSubmitted };
+
+  try {
+    const result = job.state === JOB_STATES.SUBMITTED && job.transactionHash
+      ? await handler.resume(job.transactionHash, config)
+      : await handler.send(job.request, config);
+
+    updateJob(job, {
+      state: JOB_STATES.CONFIRMED,
+      transactionHash: result.transactionHash,
+      blockNumber: result.blockNumber,
+      error: null
+    });
+    auditJob(job, {
+      outcome: 'success',
+      wallet: job.previousOwner || null,
+      tokenId: job.request.tokenId,
+      transactionHash: result.transactionHash,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed
+    });
+    console.log(`[MINT_JOBS] ${job.type} job ${job.id} confirmed (token ${job.request.tokenId})`);
+  } catch (error) {
+    failTokenJob(job, error);
+  }
+}
+
+function failTokenJob(job, error) {
+  updateJob(job, { state: JOB_STATES.FAILED, error: error.message });
+  auditJob(job, {
+    outcome: 'error',
+    wallet: job.previousOwner || null,
+    tokenId: job.request.tokenId,
+    transactionHash: job.transactionHash,
+    error: error.message
+  });
+  console.error(`[MINT_JOBS] ${job.type} job ${job.id} failed:`, error.message);
+}
+
+function createTokenJob(type, storedRequest, idempotencyKey, apiKeyId, requestId, fields) {
+  const requestHash = hashRequest({ type, ...storedRequest });
+
+  const existing = findIdempotentJob(idempotencyKey, requestHash, apiKeyId);
+  if (existing) {
+    return { job: existing, created: false };
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    idempotencyKey: idempotencyKey || null,
+    apiKeyId: apiKeyId || null,
+    requestId: requestId || null,
+    requestHash,
+    state: JOB_STATES.QUEUED,
+    request: storedRequest,
+    nonce: null,
+    transactionHash: null,
+    blockNumber: null,
+    ...fields,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs[job.id] = job;
+  indexJob(job);
+  saveJobs();
+
+  console.log(`[MINT_JOBS] ${type} job ${job.id} queued for token ${storedRequest.tokenId}`);
+  runTokenJob(job);
+
+  return { job, created: true };
+}
+
+/**
+ * Accepts a trait update for an existing item as a persisted job and starts processing it in the background
+ *
+ * @param {Object} request - Update request:
+ *   @param {string} tokenId - Token to update
+ *   @param {Object} traits - Trait changes to merge (null removes a trait)
+ *   @param {string} itemType - Optional item type whose trait schema the merged traits must match
+ *   @param {Object} config - Optional configuration (see update-item.js)
+ * @param {string} idempotencyKey - Optional client-supplied idempotency key
+ * @param {string} apiKeyId - ID of the API key that made the request, recorded in the audit log
+ * @param {string} requestId - ID of the API request, recorded in the audit log with the job's outcome
+ * @returns {{ job: Object, created: boolean }} The job and whether it was newly created
+ * @throws {Error} With code 'IDEMPOTENCY_CONFLICT' if the key was used for a different request
+ */
+export function createUpdateJob(request, idempotencyKey, apiKeyId, requestId) {
+  return createTokenJob('update', {
+    tokenId: String(request.tokenId),
+    traits: request.traits,
+    itemType: request.itemType || null,
+    config: request.config || {}
+  }, idempotencyKey, apiKeyId, requestId, { version: null, traits: null });
+}
+
+/**
+ * Accepts a burn of an existing item as a persisted job and starts processing it in the background
+ *
+ * @param {Object} request - Burn request:
+ *   @param {string} tokenId - Token to burn
+ *   @param {Object} config - Optional configuration (see burn-item.js)
+ * @param {string} idempotencyKey - Optional client-supplied idempotency key
+ * @param {string} apiKeyId - ID of the API key that made the request, recorded in the audit log
+ * @param {string} requestId - ID of the API request, recorded in the audit log with the job's outcome
+ * @returns {{ job: Object, created: boolean }} The job and whether it was newly created
+ * @throws {Error} With code 'IDEMPOTENCY_CONFLICT' if the key was used for a different request
+ */
+export function createBurnJob(request, idempotencyKey, apiKeyId, requestId) {
+  return createTokenJob('burn', {
+    tokenId: String(request.tokenId),
+    config: request.config || {}
+  }, idempotencyKey, apiKeyId, requestId, { previousOwner: null });
+}
+
+/**
+ * Looks up a mint job by ID
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} The job, or null if not found
+ */
+export function getMintJob(jobId) {
+  return Object.prototype.hasOwnProperty.call(jobs, jobId) ? jobs[jobId] : null;
+}
+
+function jobNetwork(job) {
+  try {
+    return resolveNetwork(job.request.config).network;
+  } catch (error) {
+    return null; // Network removed from networks.json since the job ran
+  }
+}
+
+/**
+ * Averages the gas used and fee paid per item by the most recent confirmed mint and batch mint jobs on a network
+ *
+ * @param {string} network - Network name
+ * @param {number} sampleSize - Number of most recently minted items to average (default 50)
+ * @returns {Object} { samples, averageGasUsed, averageFee } with the fee in the network's native currency,
+ *   or null averages if nothing was minted yet
+ */
+export function getMintCosts(network, sampleSize = 50) {
+  const recent = Object.values(jobs)
+    .filter(job => (job.type === 'mint' || job.type === 'batch') && jobNetwork(job) === network)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  const costs = [];
+  for (const job of recent) {
+    if (costs.length >= sampleSize) break;
+
+    if (job.type === 'mint') {
+      if (job.state === JOB_STATES.CONFIRMED && job.gasUsed) {
+        costs.push({ gasUsed: Number(job.gasUsed), fee: Number(job.fee) });
+      }
+      continue;
+    }
+
+    // A chunk's gas is split between the rows it minted, like its fee
+    const rows = job.results.filter(result => result.state === JOB_STATES.CONFIRMED && result.gasUsed);
+    for (const row of rows) {
+      const chunkSize = rows.filter(other => other.transactionHash === row.transactionHash).length;
+      costs.push({ gasUsed: Number(row.gasUsed) / chunkSize, fee: Number(row.fee) });
+    }
+  }
+
+  const samples = costs.slice(0, sampleSize);
+  if (samples.length === 0) {
+    return { samples: 0, averageGasUsed: null, averageFee: null };
+  }
+  return {
+    samples: samples.length,
+    averageGasUsed: Math.round(samples.reduce((sum, cost) => sum + cost.gasUsed, 0) / samples.length),
+    averageFee: samples.reduce((sum, cost) => sum + cost.fee, 0) / samples.length
+  };
+}
+
+/**
+ * Resumes jobs left unfinished by a previous server run.
+ * Queued jobs are sent again; submitted jobs go back to waiting on their transaction;
+ * jobs that were sending are checked on-chain first (see checkSendingJob).
+ *
+ * @returns {Promise<void>} Resolves once every job has been started again
+ */
+export async function resumeMintJobs() {
+  const pending = Object.values(jobs).filter(
+    job => job.state === JOB_STATES.QUEUED || job.state === JOB_STATES.SENDING || job.state === JOB_STATES.SUBMITTED
+  );
+
+  if (pending.length === 0) {
+    return;
+  }
+
+  console.log(`[MINT_JOBS] Resuming ${pending.length} unfinished job(s)`);
+
+  // Sending jobs are settled before anything else is sent, so no other job takes the nonce of a
+  // transaction that never went out
+  const resumable = await Promise.all(pending.map(job =>
+    isSending(job) ? checkSendingJob(job) : true
+  ));
+  pending.filter((job, index) => resumable[index]).forEach(resumeJob);
+}
+
+/**
+ * Continues an unfinished job from its current state
+ */
+function resumeJob(job) {
+  // Failed while being settled (see checkSendingJob)
+  if (FINISHED_STATES.includes(job.state)) {
+    return;
+  }
+  if (job.type === 'batch') {
+    runBatchJob(job);
+  } else if (TOKEN_JOB_HANDLERS[job.type]) {
+    runTokenJob(job);
+  } else if (job.state === JOB_STATES.SUBMITTED && job.transactionHash) {
+    watchJob(job);
+  } else if (job.state === JOB_STATES.QUEUED) {
+    runJob(job);
+  }
+}
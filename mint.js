@@ -1,5 +1,88 @@
 import { ethers } from 'ethers';
-import fs from 'fs';
+import { resolveDeployment, resolveNetwork, checkChainId } from './networks.js';
+import { loadSigner } from './signer.js';
+import { getProvider } from './provider-pool.js';
+import { getSigner, sendWithNonce, confirmNonce, isNonceError, resyncNonce } from './nonce-manager.js';
+import { getFeeOverrides, waitForConfirmation } from './fee-manager.js';
+import { buildMetadata } from './metadata.js';
+import { validateImageUrl } from './image-validator.js';
+import { recordMintReceipt } from './metrics.js';
+
+// Contract ABI - supports multiple mint function signatures
+const contractABI = [
+  "function mint(address to, string memory metadata) public returns (uint256)",
+  "function safeMint(address to, string memory tokenURI) public returns (uint256)",
+  "function mintWithMetadata(address to, string memory metadata) public returns (uint256)",
+  "function totalSupply() public view returns (uint256)",
+  "function totalMinted() public view returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
+];
+
+/**
+ * Extracts the minted token ID from a transaction receipt
+ *
+ * @param {ethers.Contract} contract - Contract instance used to parse logs
+ * @param {Object} receipt - Transaction receipt
+ * @returns {Promise<string|null>} Token ID, or null if it could not be determined
+ */
+async function extractTokenId(contract, receipt) {
+  let tokenId = null;
+
+  // Try to extract token ID from Transfer event
+  if (receipt.logs) {
+    for (const log of receipt.logs) {
+      let parsed;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (parsed && parsed.name === 'Transfer' && parsed.args && parsed.args.tokenId !== undefined) {
+        tokenId = parsed.args.tokenId.toString();
+        break;
+      }
+    }
+  }
+
+  // If tokenId not found in events, fall back to the highest minted ID.
+  // Token IDs start at 1, so the last minted ID is totalMinted(); totalSupply() excludes burned
+  // tokens, so it only matches on contracts deployed before burning was added
+  if (!tokenId) {
+    try {
+      tokenId = (await contract.totalMinted()).toString();
+    } catch {
+      try {
+        tokenId = (await contract.totalSupply()).toString();
+      } catch {
+        // If we can't get either, tokenId will remain null
+      }
+    }
+  }
+
+  return tokenId;
+}
+
+/**
+ * Signs a contract call with the given nonce, passes its nonce and hash to onSending, then broadcasts it.
+ * The hash is known before the transaction leaves the server, so a job interrupted while sending
+ * can look it up on-chain instead of sending it again.
+ *
+ * @param {ethers.Wallet} wallet - Owner signer from getOwnerSigner()
+ * @param {ethers.BaseContractMethod} method - Contract method to call, e.g. contract.mint
+ * @param {Array} args - Arguments of the call
+ * @param {Object} overrides - Transaction overrides, including the nonce
+ * @param {Function} onSending - Optional, called with the nonce and hash of the signed transaction
+ * @returns {Promise<ethers.TransactionResponse>} The broadcast transaction
+ */
+export async function signAndSend(wallet, method, args, overrides, onSending) {
+  const request = await wallet.populateTransaction(await method.populateTransaction(...args, overrides));
+  const signedTransaction = await wallet.signTransaction(request);
+
+  if (typeof onSending === 'function') {
+    await onSending(request.nonce, ethers.keccak256(signedTransaction));
+  }
+  return wallet.provider.broadcastTransaction(signedTransaction);
+}
 
 /**
  * Mints an NFT item with image and traits to a destination address
@@ -8,10 +91,15 @@ import fs from 'fs';
  * @param {string} imageUrl - URL to the image (must be 512x512 pixels)
  * @param {Object} traits - JSON object containing the item's traits/metadata
  * @param {Object} config - Optional configuration:
- *   @param {string} contractAddress - Contract address (defaults to deployment.json)
- *   @param {string} privateKey - Private key (defaults to polygon_private_key.txt)
- *   @param {string} rpcUrl - RPC endpoint URL (default: https://polygon-rpc.com/)
- * @returns {Promise<Object>} Transaction receipt and token ID
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ *   @param {string} itemType - Item type whose trait schema the traits follow, stored in the metadata (default: none)
+ *   @param {Function} onSending - Called with the nonce and hash of the signed transaction just before it is broadcast
+ *   @param {Function} onSubmitted - Called with the transaction hash once it has been broadcast,
+ *     and again with the new hash whenever the transaction is replaced with a higher fee
+ * @returns {Promise<Object>} Transaction hash, block number, gas used, gas price (wei), fee (native currency) and token ID
  * 
  * @example
  * const result = await mint(
@@ -36,156 +124,78 @@ async function mint(destinationAddress, imageUrl, traits, config = {}) {
       throw new Error('Image URL is required');
     }
 
-    // Validate image URL format and ensure it points to an image
-    // Note: Full 256x256 validation requires downloading the image which is expensive
-    // Users should ensure their images are exactly 256x256 pixels
-    try {
-      if (typeof fetch !== 'undefined') {
-        const response = await fetch(imageUrl, { method: 'HEAD' });
-        const contentType = response.headers.get('content-type');
-        if (!contentType || !contentType.startsWith('image/')) {
-          throw new Error('URL does not point to an image');
-        }
-      }
-          console.log('⚠️  Note: Ensure your image is exactly 512x512 pixels');
-    } catch (error) {
-      if (error.message.includes('fetch') || error.message.includes('undefined')) {
-        // fetch not available (Node.js < 18) - just validate URL format
-        if (!imageUrl.match(/\.(jpg|jpeg|png|gif|webp|svg)(\?.*)?$/i) && !imageUrl.startsWith('data:image/')) {
-          console.log('⚠️  Warning: Image URL does not appear to be an image file');
-        }
-        console.log('⚠️  Note: Ensure your image is exactly 512x512 pixels');
-      } else {
-        throw error;
-      }
-    }
+    await validateImageUrl(imageUrl);
 
     if (!traits || typeof traits !== 'object') {
       throw new Error('Traits must be a valid object');
     }
 
-    // Load configuration
-    let contractAddress = config.contractAddress;
-    let privateKey = config.privateKey;
-    const rpcUrl = config.rpcUrl || 'https://polygon-rpc.com/';
-
-    // Load contract address from deployment.json if not provided
-    if (!contractAddress) {
-      try {
-        const deploymentInfo = JSON.parse(fs.readFileSync('deployment.json', 'utf8'));
-        contractAddress = deploymentInfo.contractAddress;
-      } catch (error) {
-        throw new Error('Contract address not provided and deployment.json not found');
-      }
-    }
-
-    if (!contractAddress || !ethers.isAddress(contractAddress)) {
-      throw new Error('Invalid contract address');
-    }
-
-    // Load private key from file if not provided
-    if (!privateKey) {
-      try {
-        privateKey = fs.readFileSync('polygon_private_key.txt', 'utf8').trim();
-        if (!privateKey.startsWith('0x')) {
-          privateKey = '0x' + privateKey;
-        }
-      } catch (error) {
-        throw new Error('Private key not provided and polygon_private_key.txt not found');
-      }
-    }
-
-    if (!privateKey || !privateKey.startsWith('0x')) {
-      throw new Error('Invalid private key format');
-    }
+    // Network and contract from the registry (see networks.js)
+    const { network, contractAddress } = resolveDeployment(config);
 
-    // Create provider and wallet
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const wallet = new ethers.Wallet(privateKey, provider);
+    // Nothing is signed until the RPC endpoint is known to be on the network's chain
+    await checkChainId(config);
 
-    // Contract ABI - supports multiple mint function signatures
-    const contractABI = [
-      "function mint(address to, string memory metadata) public returns (uint256)",
-      "function safeMint(address to, string memory tokenURI) public returns (uint256)",
-      "function mintWithMetadata(address to, string memory metadata) public returns (uint256)",
-      "function totalSupply() public view returns (uint256)",
-      "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
-    ];
+    // Get the shared owner signer so nonces are coordinated across concurrent mints
+    const wallet = await getOwnerSigner(config);
 
     const contract = new ethers.Contract(contractAddress, contractABI, wallet);
 
-    // Build metadata object
-    const metadata = {
-      name: traits.name || 'Game Item',
-      description: traits.description || 'A game item NFT',
-      image: imageUrl,
-      traits: traits
-    };
-
-    // Convert metadata to JSON string
-    const metadataJson = JSON.stringify(metadata);
+    // Build ERC-721 metadata token URI
+    const metadataJson = buildMetadata(imageUrl, traits, 1, config.itemType);
 
     console.log(`Minting NFT to ${destinationAddress}...`);
     console.log(`Contract: ${contractAddress}`);
 
-    // Attempt different mint function signatures
-    let tx;
-    let tokenId = null;
+    // Fees follow the configured fee policy (see fee-manager.js)
+    const fees = await getFeeOverrides(wallet.provider);
 
-    try {
-      // Try mint function first (what our contract uses)
-      tx = await contract.mint(destinationAddress, metadataJson);
-    } catch (error) {
+    // Attempt different mint function signatures, all with the nonce assigned by the nonce manager
+    const args = [destinationAddress, metadataJson];
+    const tx = await sendWithNonce(wallet, async (nonce) => {
       try {
-        // Fallback to safeMint
-        tx = await contract.safeMint(destinationAddress, metadataJson);
-      } catch (error2) {
+        // Try mint function first (what our contract uses)
+        return await signAndSend(wallet, contract.mint, args, { nonce, ...fees }, config.onSending);
+      } catch (error) {
+        if (isNonceError(error)) {
+          throw error;
+        }
         try {
-          // Fallback to mintWithMetadata
-          tx = await contract.mintWithMetadata(destinationAddress, metadataJson);
-        } catch (error3) {
-          throw new Error(`Minting failed. Tried mint, safeMint, and mintWithMetadata. Original error: ${error.message}`);
+          // Fallback to safeMint
+          return await signAndSend(wallet, contract.safeMint, args, { nonce, ...fees }, config.onSending);
+        } catch (error2) {
+          try {
+            // Fallback to mintWithMetadata
+            return await signAndSend(wallet, contract.mintWithMetadata, args, { nonce, ...fees }, config.onSending);
+          } catch (error3) {
+            throw new Error(`Minting failed. Tried mint, safeMint, and mintWithMetadata. Original error: ${error.message}`);
+          }
         }
       }
-    }
+    });
 
+    const submittedAt = Date.now();
     console.log(`Transaction hash: ${tx.hash}`);
-    console.log('Waiting for confirmation...');
 
-    // Wait for transaction confirmation
-    const receipt = await tx.wait();
-
-    // Try to extract token ID from Transfer event
-    if (receipt.logs) {
-      const transferEvent = contract.interface.parseLog(
-        receipt.logs.find(log => {
-          try {
-            return contract.interface.parseLog(log)?.name === 'Transfer';
-          } catch {
-            return false;
-          }
-        })
-      );
-
-      if (transferEvent && transferEvent.args && transferEvent.args.tokenId) {
-        tokenId = transferEvent.args.tokenId.toString();
-      }
+    if (typeof config.onSubmitted === 'function') {
+      await config.onSubmitted(tx.hash);
     }
 
-    // If tokenId not found in events, try getting totalSupply (tokenId would be totalSupply - 1)
-    if (!tokenId) {
-      try {
-        const totalSupply = await contract.totalSupply();
-        tokenId = (totalSupply - 1n).toString();
-      } catch {
-        // If we can't get totalSupply, tokenId will remain null
-      }
-    }
+    console.log('Waiting for confirmation...');
+
+    // Wait for transaction confirmation, speeding it up if it gets stuck
+    const receipt = await waitForConfirmation(wallet, tx, { onReplaced: config.onSubmitted });
+    confirmNonce(wallet, tx.nonce);
+    recordMintReceipt(network, receipt, { submittedAt });
+    const tokenId = await extractTokenId(contract, receipt);
 
     return {
       success: true,
-      transactionHash: tx.hash,
+      transactionHash: receipt.hash,
       blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      gasPrice: receipt.gasPrice.toString(),
+      fee: ethers.formatEther(receipt.gasUsed * receipt.gasPrice),
       tokenId: tokenId,
       destinationAddress: destinationAddress,
       imageUrl: imageUrl,
@@ -198,4 +208,78 @@ async function mint(destinationAddress, imageUrl, traits, config = {}) {
   }
 }
 
+/**
+ * Waits for an already-broadcast mint transaction to confirm.
+ * Used to resume watching transactions that were in flight when the server restarted.
+ *
+ * @param {string} transactionHash - Hash of the mint transaction
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ *   @param {Function} onSubmitted - Called with the new hash whenever the transaction is replaced
+ * @returns {Promise<Object>} Transaction hash, block number, gas used, gas price, fee and token ID
+ */
+export async function waitForMint(transactionHash, config = {}) {
+  // Network and contract from the registry (see networks.js)
+  const { network, contractAddress } = resolveDeployment(config);
+
+  const wallet = await getOwnerSigner(config);
+  const contract = new ethers.Contract(contractAddress, contractABI, wallet.provider);
+
+  console.log(`Resuming confirmation wait for ${transactionHash}...`);
+
+  const tx = await wallet.provider.getTransaction(transactionHash);
+  if (!tx) {
+    throw new Error(`Transaction ${transactionHash} not found (it may have been dropped)`);
+  }
+
+  const receipt = await waitForConfirmation(wallet, tx, { onReplaced: config.onSubmitted });
+  recordMintReceipt(network, receipt);
+  const tokenId = await extractTokenId(contract, receipt);
+
+  return {
+    success: true,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    gasPrice: receipt.gasPrice.toString(),
+    fee: ethers.formatEther(receipt.gasUsed * receipt.gasPrice),
+    tokenId: tokenId
+  };
+}
+
+/**
+ * Gets the shared signer for the owner wallet, from the configured signer backend (see signer.js)
+ *
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ * @returns {Promise<ethers.Signer>} Shared owner signer
+ */
+export async function getOwnerSigner(config = {}) {
+  const { network, chainId } = resolveNetwork(config);
+  return getSigner(await loadSigner(), getProvider(network, config.rpcUrl), chainId);
+}
+
+/**
+ * Syncs the owner wallet's nonce with the chain.
+ * Called on server startup so the first mint does not reuse a nonce left pending by a previous run.
+ *
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ * @returns {Promise<Object>} Owner address and next nonce
+ */
+export async function initSigner(config = {}) {
+  const wallet = await getOwnerSigner(config);
+  const nextNonce = await resyncNonce(wallet);
+
+  return {
+    address: wallet.address,
+    nextNonce: nextNonce
+  };
+}
+
 export default mint;
@@ -0,0 +1,390 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { isRpcUrlAllowed, isContractAllowed } from './outbound-policy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Registry of networks and the contracts deployed on them, shipped with the app
+const CONFIG_PATH = process.env.NETWORKS_FILE || path.join(__dirname, 'networks.json');
+
+// Written by older versions of deploy/scripts/deploy.js
+const LEGACY_DEPLOYMENT_PATH = 'deployment.json';
+const LEGACY_COLLECTION = 'default';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const RPC_TIMEOUT_MS = 10000;
+
+function networkError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Checks one network entry of the registry
+ *
+ * @returns {Object} The network with RPC URLs from RPC_URLS_<NAME> applied
+ * @throws {Error} If the entry is malformed
+ */
+function parseNetwork(name, network) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`network name "${name}" may only contain letters, digits, "-" and "_"`);
+  }
+  if (!network || typeof network !== 'object') {
+    throw new Error(`network ${name} must be an object`);
+  }
+  if (!Number.isInteger(network.chainId) || network.chainId <= 0) {
+    throw new Error(`network ${name}: chainId must be a positive integer`);
+  }
+
+  // RPC URLs often carry provider API keys, so they can be kept out of the file
+  const envUrls = process.env[`RPC_URLS_${name.toUpperCase().replace(/-/g, '_')}`];
+  const rpcUrls = envUrls ? envUrls.split(',').map(url => url.trim()).filter(Boolean) : network.rpcUrls;
+  if (!Array.isArray(rpcUrls) || rpcUrls.length === 0) {
+    throw new Error(`network ${name}: rpcUrls must be a non-empty array`);
+  }
+  for (const rpcUrl of rpcUrls) {
+    try {
+      new URL(rpcUrl);
+    } catch (error) {
+      throw new Error(`network ${name}: "${rpcUrl}" is not a valid RPC URL`);
+    }
+  }
+
+  const deployments = {};
+  for (const [collection, deployment] of Object.entries(network.deployments || {})) {
+    if (!NAME_PATTERN.test(collection)) {
+      throw new Error(`network ${name}: collection name "${collection}" may only contain letters, digits, "-" and "_"`);
+    }
+    if (!deployment || !ethers.isAddress(deployment.contractAddress)) {
+      throw new Error(`network ${name}: collection ${collection} needs a valid contractAddress`);
+    }
+    deployments[collection] = {
+      contractAddress: ethers.getAddress(deployment.contractAddress),
+      ownerAddress: deployment.ownerAddress || null,
+      deploymentBlock: deployment.deploymentBlock !== undefined ? Number(deployment.deploymentBlock) : null
+    };
+  }
+
+  const collections = Object.keys(deployments);
+  const defaultCollection = network.defaultCollection || (collections.length === 1 ? collections[0] : null);
+  if (defaultCollection && !deployments[defaultCollection]) {
+    throw new Error(`network ${name}: defaultCollection ${defaultCollection} is not one of its deployments`);
+  }
+
+  return { name, chainId: network.chainId, rpcUrls, defaultCollection, deployments };
+}
+
+/**
+ * Adds the contract from a legacy deployment.json as the "default" collection of its network
+ */
+function addLegacyDeployment(networks) {
+  let deploymentInfo;
+  try {
+    deploymentInfo = JSON.parse(fs.readFileSync(LEGACY_DEPLOYMENT_PATH, 'utf8'));
+  } catch (error) {
+    return;
+  }
+
+  const network = networks[deploymentInfo.network || 'polygon'];
+  if (!network || !ethers.isAddress(deploymentInfo.contractAddress) || network.deployments[LEGACY_COLLECTION]) {
+    return;
+  }
+
+  console.warn(`⚠️  [NETWORKS] deployment.json is deprecated: its contract is used as the "${LEGACY_COLLECTION}" collection on ${network.name}. Move it to networks.json.`);
+  network.deployments[LEGACY_COLLECTION] = {
+    contractAddress: ethers.getAddress(deploymentInfo.contractAddress),
+    ownerAddress: deploymentInfo.ownerAddress || null,
+    deploymentBlock: deploymentInfo.deploymentBlock !== undefined ? Number(deploymentInfo.deploymentBlock) : null
+  };
+  network.defaultCollection = network.defaultCollection || LEGACY_COLLECTION;
+}
+
+/**
+ * Loads and checks the registry. A malformed registry stops the server from starting.
+ */
+function loadRegistry() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`[NETWORKS] Could not read ${CONFIG_PATH}: ${error.message}`);
+  }
+
+  const networks = {};
+  for (const [name, network] of Object.entries(config.networks || {})) {
+    try {
+      networks[name] = parseNetwork(name, network);
+    } catch (error) {
+      throw new Error(`[NETWORKS] Invalid ${CONFIG_PATH}: ${error.message}`);
+    }
+  }
+  addLegacyDeployment(networks);
+
+  const defaultNetwork = process.env.DEFAULT_NETWORK || config.defaultNetwork;
+  if (!networks[defaultNetwork]) {
+    throw new Error(`[NETWORKS] Default network "${defaultNetwork}" is not in ${CONFIG_PATH}`);
+  }
+
+  return { defaultNetwork, networks };
+}
+
+const registry = loadRegistry();
+
+// Chain ID reported by each RPC URL, once it has been asked
+const chainIds = new Map();
+const chainIdRequests = new Map();
+
+/**
+ * Asks an RPC endpoint for its chain ID (without ethers' network detection, which retries forever)
+ */
+async function fetchChainId(rpcUrl) {
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+    signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  if (!body || typeof body.result !== 'string') {
+    throw new Error(body && body.error ? body.error.message : 'no chain ID in response');
+  }
+  return Number(BigInt(body.result));
+}
+
+/**
+ * Throws if every one of the RPC URLs is known to be on another chain than the network.
+ * The provider pool skips single endpoints on the wrong chain (see provider-pool.js).
+ */
+function checkKnownChainId(network, rpcUrls) {
+  const mismatched = rpcUrls.filter(rpcUrl => chainIds.has(rpcUrl) && chainIds.get(rpcUrl) !== network.chainId);
+  if (mismatched.length === rpcUrls.length) {
+    throw networkError(
+      `RPC endpoint for ${network.name} is on chain ${chainIds.get(mismatched[0])}, expected chain ${network.chainId}`,
+      'CHAIN_ID_MISMATCH'
+    );
+  }
+}
+
+/**
+ * Gets the chain ID an RPC URL reports. Each RPC URL is only asked once.
+ *
+ * @param {string} rpcUrl - RPC endpoint URL
+ * @returns {Promise<number>} Chain ID
+ * @throws {Error} If the RPC endpoint cannot be reached
+ */
+export async function getRpcChainId(rpcUrl) {
+  if (!chainIds.has(rpcUrl)) {
+    let request = chainIdRequests.get(rpcUrl);
+    if (!request) {
+      request = fetchChainId(rpcUrl).finally(() => chainIdRequests.delete(rpcUrl));
+      chainIdRequests.set(rpcUrl, request);
+    }
+    chainIds.set(rpcUrl, await request);
+  }
+  return chainIds.get(rpcUrl);
+}
+
+/**
+ * Gets a network's chain ID and RPC URLs (including RPC_URLS_<NAME> overrides).
+ * The URLs may contain provider API keys, so they are not for responses.
+ *
+ * @param {string} name - Network name
+ * @returns {Object} { name, chainId, rpcUrls }
+ * @throws {Error} With code 'UNKNOWN_NETWORK'
+ */
+export function getNetwork(name) {
+  const { network } = resolveNetwork({ network: name });
+  const { chainId, rpcUrls } = registry.networks[network];
+  return { name: network, chainId, rpcUrls: [...rpcUrls] };
+}
+
+/**
+ * Lists the configured networks and their collections
+ *
+ * @returns {Object} { defaultNetwork, networks: [{ name, chainId, defaultCollection, collections }] }
+ */
+export function listNetworks() {
+  return {
+    defaultNetwork: registry.defaultNetwork,
+    networks: Object.values(registry.networks).map(network => ({
+      name: network.name,
+      chainId: network.chainId,
+      defaultCollection: network.defaultCollection,
+      collections: Object.entries(network.deployments).map(([collection, deployment]) => ({
+        name: collection,
+        contractAddress: deployment.contractAddress
+      }))
+    }))
+  };
+}
+
+/**
+ * Resolves the network a request runs on
+ *
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name (default: the registry's defaultNetwork, or DEFAULT_NETWORK)
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's first RPC URL)
+ * @returns {Object} { network, chainId, rpcUrl }
+ * @throws {Error} With code 'UNKNOWN_NETWORK', 'RPC_URL_NOT_ALLOWED' if rpcUrl is neither one of the network's
+ *   RPC URLs nor in RPC_URL_ALLOWLIST, or 'CHAIN_ID_MISMATCH' if the RPC endpoint is known to be on another chain
+ */
+export function resolveNetwork(config = {}) {
+  const name = config.network || registry.defaultNetwork;
+  if (!Object.prototype.hasOwnProperty.call(registry.networks, name)) {
+    throw networkError(
+      `Unknown network "${name}" (networks: ${Object.keys(registry.networks).join(', ')})`,
+      'UNKNOWN_NETWORK'
+    );
+  }
+
+  const network = registry.networks[name];
+
+  // RPC URLs outside the registry are refused unless allowlisted, so requests cannot make the server call arbitrary URLs
+  if (config.rpcUrl && !isRpcUrlAllowed(config.rpcUrl, network.rpcUrls)) {
+    throw networkError(`rpcUrl is not an allowed RPC endpoint for ${name}`, 'RPC_URL_NOT_ALLOWED');
+  }
+
+  const rpcUrl = config.rpcUrl || network.rpcUrls[0];
+  checkKnownChainId(network, config.rpcUrl ? [config.rpcUrl] : network.rpcUrls);
+
+  return { network: name, chainId: network.chainId, rpcUrl };
+}
+
+/**
+ * Resolves the network and contract a request runs on. An explicit contractAddress
+ * overrides the collection.
+ *
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name (default: the registry's defaultNetwork, or DEFAULT_NETWORK)
+ *   @param {string} collection - Collection name (default: the network's defaultCollection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's first RPC URL)
+ * @returns {Object} { network, chainId, rpcUrl, collection, contractAddress, ownerAddress, deploymentBlock }
+ * @throws {Error} With code 'UNKNOWN_NETWORK', 'UNKNOWN_COLLECTION', 'INVALID_CONTRACT_ADDRESS', 'CHAIN_ID_MISMATCH',
+ *   'RPC_URL_NOT_ALLOWED', or 'CONTRACT_NOT_ALLOWED' if contractAddress is neither a collection nor in CONTRACT_ALLOWLIST
+ *
+ * @example
+ * const { contractAddress, rpcUrl } = resolveDeployment({ network: 'amoy', collection: 'test-items' });
+ */
+export function resolveDeployment(config = {}) {
+  const resolved = resolveNetwork(config);
+  const network = registry.networks[resolved.network];
+
+  if (config.contractAddress) {
+    if (!ethers.isAddress(config.contractAddress)) {
+      throw networkError('Invalid contract address', 'INVALID_CONTRACT_ADDRESS');
+    }
+    const contractAddress = ethers.getAddress(config.contractAddress);
+    const [collection, deployment] = Object.entries(network.deployments)
+      .find(([, entry]) => entry.contractAddress === contractAddress) || [null, {}];
+
+    // Only known contracts, so ownership cannot be "verified" against a look-alike contract
+    if (!collection && !isContractAllowed(contractAddress)) {
+      throw networkError(`Contract ${contractAddress} is not a collection on ${network.name}`, 'CONTRACT_NOT_ALLOWED');
+    }
+    return {
+      ...resolved,
+      collection,
+      contractAddress,
+      ownerAddress: deployment.ownerAddress || null,
+      deploymentBlock: deployment.deploymentBlock !== undefined ? deployment.deploymentBlock : null
+    };
+  }
+
+  const collection = config.collection || network.defaultCollection;
+  if (!collection || !Object.prototype.hasOwnProperty.call(network.deployments, collection)) {
+    throw networkError(
+      collection
+        ? `Unknown collection "${collection}" on ${network.name} (collections: ${Object.keys(network.deployments).join(', ') || 'none'})`
+        : `No collection is deployed on ${network.name}; pass a collection or contractAddress`,
+      'UNKNOWN_COLLECTION'
+    );
+  }
+
+  return { ...resolved, collection, ...network.deployments[collection] };
+}
+
+/**
+ * Checks that a network has an RPC endpoint on the network's chain (the rpcUrl, if one is given).
+ * Owner wallet transactions call this first, so nothing is signed for the wrong chain.
+ * Each RPC URL is only asked once.
+ *
+ * @param {Object} config - Same as resolveNetwork
+ * @returns {Promise<Object>} The resolved network ({ network, chainId, rpcUrl })
+ * @throws {Error} With code 'UNKNOWN_NETWORK' or 'CHAIN_ID_MISMATCH', or if no RPC endpoint can be reached
+ */
+export async function checkChainId(config = {}) {
+  const resolved = resolveNetwork(config);
+  const network = registry.networks[resolved.network];
+  const rpcUrls = config.rpcUrl ? [config.rpcUrl] : network.rpcUrls;
+
+  let lastError = null;
+  for (const rpcUrl of rpcUrls) {
+    try {
+      if (await getRpcChainId(rpcUrl) === network.chainId) {
+        return resolved;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  checkKnownChainId(network, rpcUrls);
+  throw new Error(`Could not get the chain ID of the ${resolved.network} RPC endpoint: ${lastError.message}`);
+}
+
+/**
+ * Checks the chain ID of every configured RPC URL. Called on startup so a wrong RPC URL
+ * is reported before anything is minted; RPC endpoints on another chain are not used from then on.
+ *
+ * @returns {Promise<Array<Object>>} One { network, chainId, rpcUrls, ok, error } per network
+ */
+export async function validateNetworks() {
+  const results = [];
+
+  for (const network of Object.values(registry.networks)) {
+    const result = { network: network.name, chainId: network.chainId, rpcUrls: network.rpcUrls.length, ok: true, error: null };
+
+    for (const rpcUrl of network.rpcUrls) {
+      try {
+        await checkChainId({ network: network.name, rpcUrl });
+      } catch (error) {
+        result.ok = false;
+        result.error = error.message;
+        if (error.code === 'CHAIN_ID_MISMATCH') {
+          console.error(`❌ [NETWORKS] ${error.message}. It will not be used.`);
+        } else {
+          console.warn(`⚠️  [NETWORKS] ${error.message}`);
+        }
+      }
+    }
+
+    if (result.ok) {
+      console.log(`✅ [NETWORKS] ${network.name} (chain ${network.chainId}): ${Object.keys(network.deployments).length} collection(s)`);
+    }
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Reports the chain ID checks of each network (for /health)
+ *
+ * @returns {Array<Object>} { network, chainId, verified, mismatch }
+ */
+export function getNetworkStatus() {
+  return Object.values(registry.networks).map(network => ({
+    network: network.name,
+    chainId: network.chainId,
+    verified: network.rpcUrls.every(rpcUrl => chainIds.get(rpcUrl) === network.chainId),
+    mismatch: network.rpcUrls.some(rpcUrl => chainIds.has(rpcUrl) && chainIds.get(rpcUrl) !== network.chainId)
+  }));
+}
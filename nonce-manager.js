@@ -0,0 +1,223 @@
+// One shared signer per provider and wallet address. Nonce state is kept per chain and address, so
+// signers of the same wallet on different providers of one chain (e.g. an rpcUrl override) share it.
+const signers = new WeakMap();
+const states = new WeakMap();
+const nonceStates = new Map();
+
+function getState(wallet) {
+  const state = states.get(wallet);
+  if (!state) {
+    throw new Error('Signer is not managed by the nonce manager; use getSigner()');
+  }
+  return state;
+}
+
+/**
+ * Returns true if an error was caused by a nonce the node rejected
+ * ("nonce too low", "already known", replacement errors)
+ *
+ * @param {Error} error - Error thrown while sending a transaction
+ * @returns {boolean}
+ */
+export function isNonceError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.code === 'NONCE_EXPIRED' || error.code === 'REPLACEMENT_UNDERPRICED') {
+    return true;
+  }
+  const message = (error.message || '').toLowerCase();
+  return message.includes('nonce too low') ||
+    message.includes('nonce has already been used') ||
+    message.includes('already known') ||
+    message.includes('replacement transaction underpriced');
+}
+
+/**
+ * Gets the shared signer for a wallet and provider.
+ * All transactions from the owner wallet should be sent through this signer with sendWithNonce().
+ *
+ * @param {ethers.Signer} signer - Signer of the wallet (see signer.js), with an address property
+ * @param {ethers.Provider} provider - Shared provider of the network (see provider-pool.js)
+ * @param {number} chainId - Chain ID of the network the provider is connected to
+ * @returns {ethers.Signer} Shared signer connected to the provider
+ */
+export function getSigner(signer, provider, chainId) {
+  const key = signer.address.toLowerCase();
+  const stateKey = `${chainId}:${key}`;
+
+  if (!signers.has(provider)) {
+    signers.set(provider, new Map());
+  }
+  const walletsByAddress = signers.get(provider);
+  if (walletsByAddress.has(key)) {
+    return walletsByAddress.get(key);
+  }
+
+  if (!nonceStates.has(stateKey)) {
+    nonceStates.set(stateKey, {
+      nextNonce: null,        // Next unused nonce, null until synced with the chain
+      freeNonces: new Set(),  // Nonces below nextNonce that must be reused (failed sends, dropped transactions)
+      inFlight: new Map(),    // nonce -> transaction hash for broadcast, unconfirmed transactions
+      lock: Promise.resolve()
+    });
+  }
+
+  const wallet = signer.connect(provider);
+  walletsByAddress.set(key, wallet);
+  states.set(wallet, nonceStates.get(stateKey));
+
+  return wallet;
+}
+
+/**
+ * Resyncs a signer's nonce with the chain, discarding any locally tracked gaps
+ *
+ * @param {ethers.Wallet} wallet - Signer from getSigner()
+ * @returns {Promise<number>} The next nonce that will be used
+ */
+export function resyncNonce(wallet) {
+  const state = getState(wallet);
+  return withLock(state, () => syncState(wallet, state));
+}
+
+async function syncState(wallet, state) {
+  const pendingCount = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+  const highestInFlight = Math.max(-1, ...state.inFlight.keys());
+
+  state.nextNonce = Math.max(pendingCount, highestInFlight + 1);
+  state.freeNonces.clear();
+
+  // Nonces between the pending count and our own in-flight transactions are gaps
+  for (let nonce = pendingCount; nonce < state.nextNonce; nonce++) {
+    if (!state.inFlight.has(nonce)) {
+      state.freeNonces.add(nonce);
+    }
+  }
+
+  console.log(`[NONCE] ${wallet.address} synced, next nonce ${state.nextNonce}`);
+  return state.nextNonce;
+}
+
+function withLock(state, task) {
+  const result = state.lock.then(task);
+  state.lock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Drops bookkeeping for mined transactions and detects in-flight transactions
+ * that the node no longer knows about, which leave a gap in the nonce sequence
+ */
+async function reconcile(wallet, state) {
+  const minedCount = await wallet.provider.getTransactionCount(wallet.address, 'latest');
+
+  if (state.nextNonce === null || state.nextNonce < minedCount) {
+    await syncState(wallet, state);
+  }
+
+  for (const nonce of state.inFlight.keys()) {
+    if (nonce < minedCount) {
+      state.inFlight.delete(nonce);
+    }
+  }
+  for (const nonce of state.freeNonces) {
+    if (nonce < minedCount) {
+      state.freeNonces.delete(nonce);
+    }
+  }
+
+  // Only the lowest unmined transaction can block the others, so that is the one to check
+  if (state.inFlight.size > 0) {
+    const lowest = Math.min(...state.inFlight.keys());
+    const tx = await wallet.provider.getTransaction(state.inFlight.get(lowest));
+    if (!tx) {
+      console.warn(`[NONCE] Transaction with nonce ${lowest} was dropped, reusing nonce`);
+      state.inFlight.delete(lowest);
+      state.freeNonces.add(lowest);
+    }
+  }
+}
+
+function takeNonce(state) {
+  if (state.freeNonces.size > 0) {
+    const nonce = Math.min(...state.freeNonces);
+    state.freeNonces.delete(nonce);
+    return nonce;
+  }
+  return state.nextNonce++;
+}
+
+function returnNonce(state, nonce) {
+  if (nonce === state.nextNonce - 1) {
+    state.nextNonce--;
+  } else {
+    state.freeNonces.add(nonce);
+  }
+}
+
+/**
+ * Sends a transaction from a managed signer with an explicitly assigned nonce.
+ * Nonces are assigned and broadcast one at a time, so concurrent callers never collide;
+ * confirmations are still awaited in parallel by the callers.
+ *
+ * @param {ethers.Wallet} wallet - Signer from getSigner()
+ * @param {Function} send - Called with the nonce to use; must broadcast and return the transaction response
+ * @returns {Promise<ethers.TransactionResponse>} The broadcast transaction
+ *
+ * @example
+ * const tx = await sendWithNonce(wallet, (nonce) => contract.mint(to, metadata, { nonce }));
+ */
+export function sendWithNonce(wallet, send) {
+  const state = getState(wallet);
+
+  return withLock(state, async () => {
+    await reconcile(wallet, state);
+
+    for (let attempt = 0; ; attempt++) {
+      const nonce = takeNonce(state);
+      try {
+        const tx = await send(nonce);
+        state.inFlight.set(nonce, tx.hash);
+        return tx;
+      } catch (error) {
+        if (isNonceError(error) && attempt === 0) {
+          // Our view of the nonce is stale (e.g. a transaction sent from elsewhere); resync and retry once
+          console.warn(`[NONCE] Nonce ${nonce} rejected, resyncing: ${error.message}`);
+          await syncState(wallet, state);
+          continue;
+        }
+        if (!isNonceError(error)) {
+          // Nothing was broadcast, so the nonce is still unused
+          returnNonce(state, nonce);
+        }
+        throw error;
+      }
+    }
+  });
+}
+
+/**
+ * Marks a managed transaction as mined so its nonce is no longer tracked
+ *
+ * @param {ethers.Wallet} wallet - Signer from getSigner()
+ * @param {number} nonce - Nonce of the mined transaction
+ */
+export function confirmNonce(wallet, nonce) {
+  getState(wallet).inFlight.delete(nonce);
+}
+
+/**
+ * Records that an in-flight transaction was replaced (sped up or cancelled) by a new transaction
+ * with the same nonce, so dropped-transaction detection follows the replacement
+ *
+ * @param {ethers.Wallet} wallet - Signer from getSigner()
+ * @param {number} nonce - Nonce shared by the original and the replacement
+ * @param {string} transactionHash - Hash of the replacement transaction
+ */
+export function trackReplacement(wallet, nonce, transactionHash) {
+  const state = states.get(wallet);
+  if (state && state.inFlight.has(nonce)) {
+    state.inFlight.set(nonce, transactionHash);
+  }
+}
@@ -0,0 +1,251 @@
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { ethers } from 'ethers';
+
+function listEnv(name) {
+  return (process.env[name] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function normalizeUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// RPC URLs a request may pass as rpcUrl, besides the RPC URLs of its network in networks.json
+const RPC_URL_ALLOWLIST = listEnv('RPC_URL_ALLOWLIST').map(normalizeUrl).filter(Boolean);
+
+// Contracts a request may pass as contractAddress, besides the deployments in networks.json
+const CONTRACT_ALLOWLIST = listEnv('CONTRACT_ALLOWLIST').filter(address => ethers.isAddress(address)).map(address => ethers.getAddress(address));
+
+// Hosts images may be fetched from ("*.example.com" matches subdomains). Empty allows any public host.
+const IMAGE_HOST_ALLOWLIST = listEnv('IMAGE_HOST_ALLOWLIST').map(host => host.toLowerCase());
+
+// Local development only: lets outbound fetches reach loopback and private addresses
+const ALLOW_PRIVATE_HOSTS = process.env.ALLOW_PRIVATE_HOSTS === 'true';
+
+const MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local (including cloud metadata services), carrier-grade NAT,
+// multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function policyError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Returns true if an RPC URL passed in a request may be used
+ *
+ * @param {string} rpcUrl - RPC URL from the request
+ * @param {Array<string>} configuredUrls - RPC URLs configured for the network
+ * @returns {boolean}
+ */
+export function isRpcUrlAllowed(rpcUrl, configuredUrls = []) {
+  const url = normalizeUrl(rpcUrl);
+  return Boolean(url) && (RPC_URL_ALLOWLIST.includes(url) || configuredUrls.some(configured => normalizeUrl(configured) === url));
+}
+
+/**
+ * Returns true if a contract address passed in a request is in CONTRACT_ALLOWLIST
+ *
+ * @param {string} contractAddress - Checksummed contract address from the request, not a deployment in networks.json
+ * @returns {boolean}
+ */
+export function isContractAllowed(contractAddress) {
+  return CONTRACT_ALLOWLIST.includes(contractAddress);
+}
+
+/**
+ * Returns true if an IP address is loopback, private, link-local or otherwise not on the public internet
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  // Not an address, or an IPv4-mapped IPv6 address, which are blocked as a whole
+  // (BlockList would match an IPv6 rule for them against every IPv4 address)
+  if (family === 0 || (family === 6 && /^::ffff:/i.test(address))) {
+    return true;
+  }
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Returns true if images may be fetched from a host (see IMAGE_HOST_ALLOWLIST)
+ *
+ * @param {string} hostname - Host name of the image URL
+ * @returns {boolean}
+ */
+export function isImageHostAllowed(hostname) {
+  if (IMAGE_HOST_ALLOWLIST.length === 0) {
+    return true;
+  }
+  const host = hostname.toLowerCase();
+  return IMAGE_HOST_ALLOWLIST.some(entry => entry.startsWith('*.')
+    ? host.endsWith(entry.slice(1))
+    : host === entry);
+}
+
+/**
+ * DNS lookup for outbound requests that refuses hosts resolving to a private address.
+ * The check runs on the address that is actually connected to, so DNS rebinding cannot get around it.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked && !ALLOW_PRIVATE_HOSTS) {
+      return callback(policyError(`${hostname} resolves to a private address (${blocked.address})`, 'HOST_NOT_ALLOWED'));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Checks that a URL's host is on the public internet: an http(s) URL whose host is not a private
+ * address and does not resolve to one. Used when a URL is registered; requests to it are checked
+ * again when they connect (see postToPublicUrl).
+ *
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'HOST_NOT_ALLOWED' if the URL is not http(s) or its host is private
+ */
+export async function checkPublicUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw policyError(`${parsed.protocol} URLs cannot be called`, 'HOST_NOT_ALLOWED');
+  }
+  if (ALLOW_PRIVATE_HOSTS) {
+    return;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    if (isPrivateAddress(hostname)) {
+      throw policyError(`${hostname} is a private address`, 'HOST_NOT_ALLOWED');
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw policyError(`${hostname} could not be resolved`, 'HOST_NOT_ALLOWED');
+  }
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+  if (blocked) {
+    throw policyError(`${hostname} resolves to a private address (${blocked.address})`, 'HOST_NOT_ALLOWED');
+  }
+}
+
+/**
+ * POSTs a body to a URL on the public internet. Hosts resolving to private addresses are refused,
+ * checked on the address actually connected to, and redirects are not followed.
+ *
+ * @param {string} url - http(s) URL
+ * @param {string} body - Request body
+ * @param {Object} config - Optional configuration:
+ *   @param {Object} headers - Request headers
+ *   @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<number>} HTTP status of the response (its body is discarded)
+ * @throws {Error} With code 'HOST_NOT_ALLOWED' if the host is not on the public internet
+ */
+export async function postToPublicUrl(url, body, config = {}) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw policyError(`${parsed.protocol} URLs cannot be called`, 'HOST_NOT_ALLOWED');
+  }
+  // Addresses in the URL are connected to without a lookup, so they are checked here
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname) && !ALLOW_PRIVATE_HOSTS) {
+    throw policyError(`${hostname} is a private address`, 'HOST_NOT_ALLOWED');
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = parsed.protocol === 'https:' ? https : http;
+    const request = client.request(parsed, {
+      method: 'POST',
+      headers: { ...config.headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: config.signal
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function get(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, { lookup: publicLookup, signal }, resolve);
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Fetches an image URL from the public internet. Hosts outside IMAGE_HOST_ALLOWLIST and hosts
+ * resolving to private addresses are refused, including on every redirect.
+ *
+ * @param {string} imageUrl - http(s) URL
+ * @param {Object} config - Optional configuration:
+ *   @param {AbortSignal} signal - Aborts the request and the response body
+ * @returns {Promise<http.IncomingMessage>} The response; its body has not been read
+ * @throws {Error} With code 'HOST_NOT_ALLOWED' if the URL or a redirect goes to a host that is not allowed
+ *
+ * @example
+ * const response = await fetchImage('https://example.com/sword.png', { signal: AbortSignal.timeout(10000) });
+ * console.log(response.statusCode, response.headers['content-type']);
+ */
+export async function fetchImage(imageUrl, config = {}) {
+  let url = new URL(imageUrl);
+
+  for (let redirects = 0; ; redirects++) {
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw policyError(`${url.protocol} URLs cannot be fetched`, 'HOST_NOT_ALLOWED');
+    }
+    // URL keeps IPv6 literals in brackets
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (!isImageHostAllowed(hostname)) {
+      throw policyError(`Images cannot be fetched from ${hostname}`, 'HOST_NOT_ALLOWED');
+    }
+    if (net.isIP(hostname) && isPrivateAddress(hostname) && !ALLOW_PRIVATE_HOSTS) {
+      throw policyError(`${hostname} is a private address`, 'HOST_NOT_ALLOWED');
+    }
+
+    const response = await get(url, config.signal);
+    const location = response.headers.location;
+    if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+      return response;
+    }
+
+    response.resume();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+    }
+    url = new URL(location, url);
+  }
+}
@@ -0,0 +1,271 @@
+import { ethers } from 'ethers';
+import { resolveNetwork } from './networks.js';
+import { getOwnerSigner } from './mint.js';
+import { estimateGasPrice, getPendingTransactions } from './fee-manager.js';
+import { getMintCosts } from './mint-jobs.js';
+import { setOwnerBalance } from './metrics.js';
+import { signPayload } from './webhooks.js';
+import { envNumber, envEther } from './config.js';
+
+// Balance settings
+const LOW_BALANCE = envEther('WALLET_LOW_BALANCE_MATIC', '0'); // 0 disables the threshold
+const DEFAULT_MINT_GAS = envNumber('WALLET_MINT_GAS_ESTIMATE', 200000); // Gas per mint until mints have been recorded
+const REFRESH_SECONDS = envNumber('WALLET_BALANCE_REFRESH_SECONDS', 60); // 0 disables background reads
+const MAX_AGE_MS = 15000; // Balance reads reused by mint checks
+const ALERT_TIMEOUT_MS = 10000;
+
+// Last balance read and alert state, and the last background read error, by network
+const wallets = new Map();
+const readErrors = new Map();
+let refreshTimer = null;
+
+/**
+ * Posts a balance alert to WALLET_ALERT_URL. Signed like webhook deliveries when WALLET_ALERT_SECRET is set.
+ */
+async function sendAlert(type, state) {
+  const event = {
+    type,
+    createdAt: new Date().toISOString(),
+    data: {
+      network: state.network,
+      address: state.address,
+      balance: ethers.formatEther(state.balance),
+      available: ethers.formatEther(state.available),
+      threshold: ethers.formatEther(LOW_BALANCE),
+      estimatedMintsRemaining: state.estimatedMintsRemaining
+    }
+  };
+
+  if (type === 'wallet.low_balance') {
+    console.warn(`⚠️  [WALLET] ${state.network}: owner wallet ${state.address} is low on funds (${event.data.available} available, threshold ${event.data.threshold})`);
+  } else {
+    console.log(`✅ [WALLET] ${state.network}: owner wallet ${state.address} is back above the threshold (${event.data.available} available)`);
+  }
+
+  const url = process.env.WALLET_ALERT_URL;
+  if (!url) {
+    return;
+  }
+
+  const body = JSON.stringify(event);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Blockchain-NFT-API-Alerts/1.0',
+    'X-Alert-Event': type
+  };
+  if (process.env.WALLET_ALERT_SECRET) {
+    headers['X-Webhook-Signature'] = signPayload(process.env.WALLET_ALERT_SECRET, Math.floor(Date.now() / 1000), body);
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(ALERT_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.error(`[WALLET] Could not send the ${type} alert: ${error.name === 'TimeoutError' ? 'Request timed out' : error.message}`);
+  }
+}
+
+/**
+ * Gas price and gas per mint used for estimates. A failed gas price read (e.g. the base fee is
+ * above the fee ceiling) leaves the estimates out rather than failing the balance read.
+ */
+async function estimateMintCost(wallet, network) {
+  const costs = getMintCosts(network);
+  const gasPerMint = BigInt(costs.averageGasUsed || DEFAULT_MINT_GAS);
+
+  try {
+    const gasPrice = await estimateGasPrice(wallet.provider);
+    return { gasPrice, gasPerMint, mintCost: gasPerMint * gasPrice, costs, error: null };
+  } catch (error) {
+    return { gasPrice: null, gasPerMint, mintCost: null, costs, error: error.message };
+  }
+}
+
+/**
+ * Reads the owner wallet's balance on a network, updates the metrics gauge, and fires an alert
+ * when the available balance crosses WALLET_LOW_BALANCE_MATIC
+ */
+async function readWallet(network) {
+  const wallet = await getOwnerSigner({ network });
+  const [balance, pendingCount, minedCount, estimate] = await Promise.all([
+    wallet.provider.getBalance(wallet.address),
+    wallet.provider.getTransactionCount(wallet.address, 'pending'),
+    wallet.provider.getTransactionCount(wallet.address, 'latest'),
+    estimateMintCost(wallet, network)
+  ]);
+  setOwnerBalance(network, wallet.address, balance);
+
+  // Transactions still pending will pay for up to their gas limit at the current gas price
+  const pending = getPendingTransactions(wallet.address, resolveNetwork({ network }).chainId);
+  const pendingCost = estimate.gasPrice === null
+    ? 0n
+    : pending.reduce((sum, transaction) => sum + transaction.gasLimit * estimate.gasPrice, 0n);
+  const available = balance > pendingCost ? balance - pendingCost : 0n;
+
+  const previous = wallets.get(network);
+  const state = {
+    network,
+    address: wallet.address,
+    balance,
+    pendingCost,
+    available,
+    pendingCount: Math.max(0, pendingCount - minedCount),
+    pending,
+    ...estimate,
+    estimatedMintsRemaining: estimate.mintCost ? Number(available / estimate.mintCost) : null,
+    low: LOW_BALANCE > 0n && available < LOW_BALANCE,
+    lowSince: null,
+    checkedAt: Date.now()
+  };
+  state.lowSince = state.low ? (previous && previous.lowSince) || new Date().toISOString() : null;
+  wallets.set(network, state);
+
+  if (state.low && !(previous && previous.low)) {
+    sendAlert('wallet.low_balance', state);
+  } else if (!state.low && previous && previous.low) {
+    sendAlert('wallet.balance_restored', state);
+  }
+  return state;
+}
+
+/**
+ * Checks that the owner wallet can pay for new mints before they are queued: its available balance
+ * (after what its pending transactions may still spend) must be at least WALLET_LOW_BALANCE_MATIC
+ * and cover the mints at the current gas price. A balance read in the last 15 seconds is reused.
+ * If the balance cannot be read the mints are let through, and fail when sent like before.
+ *
+ * @param {string} network - Network name
+ * @param {number} items - Number of items to mint
+ * @returns {Promise<Object|null>} null if the mints may be queued, otherwise { message, balance, available, threshold, estimatedCost }
+ *
+ * @example
+ * const underfunded = await checkWalletFunds('polygon', 25);
+ * if (underfunded) console.log(underfunded.message);
+ */
+export async function checkWalletFunds(network, items) {
+  let state = wallets.get(network);
+  try {
+    if (!state || Date.now() - state.checkedAt > MAX_AGE_MS) {
+      state = await readWallet(network);
+    }
+  } catch (error) {
+    console.warn(`⚠️  [WALLET] Could not check the owner wallet balance on ${network}: ${error.message}`);
+    return null;
+  }
+
+  const estimatedCost = state.mintCost === null ? null : state.mintCost * BigInt(items);
+  const details = {
+    balance: ethers.formatEther(state.balance),
+    available: ethers.formatEther(state.available),
+    threshold: LOW_BALANCE > 0n ? ethers.formatEther(LOW_BALANCE) : null,
+    estimatedCost: estimatedCost === null ? null : ethers.formatEther(estimatedCost)
+  };
+
+  if (state.low) {
+    return {
+      message: `Owner wallet balance on ${network} is below the low-balance threshold (${details.available} available, threshold ${details.threshold}); mints are paused until it is funded`,
+      ...details
+    };
+  }
+  if (estimatedCost !== null && state.available < estimatedCost) {
+    return {
+      message: `Owner wallet balance on ${network} cannot pay for ${items} mint(s) at the current gas price (${details.available} available, about ${details.estimatedCost} needed)`,
+      ...details
+    };
+  }
+  return null;
+}
+
+/**
+ * Reports the owner wallet on a network: balance, pending transactions, gas prices and how many
+ * more items it can mint. Always reads the balance again.
+ *
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ * @returns {Promise<Object>} Wallet status; amounts are in the network's native currency
+ * @throws {Error} With code 'UNKNOWN_NETWORK' or 'SIGNER_UNAVAILABLE', or if the RPC cannot be reached
+ */
+export async function getWalletStatus(config = {}) {
+  const { network } = resolveNetwork({ network: config.network });
+  const state = await readWallet(network);
+  const formatFee = (fees) => Object.fromEntries(
+    Object.entries(fees).map(([name, value]) => [name, `${ethers.formatUnits(value, 'gwei')} gwei`])
+  );
+
+  return {
+    network,
+    address: state.address,
+    balance: ethers.formatEther(state.balance),
+    available: ethers.formatEther(state.available),
+    lowBalance: {
+      threshold: LOW_BALANCE > 0n ? ethers.formatEther(LOW_BALANCE) : null,
+      low: state.low,
+      since: state.lowSince,
+      alertUrlConfigured: Boolean(process.env.WALLET_ALERT_URL)
+    },
+    pendingTransactions: {
+      count: state.pendingCount,
+      estimatedCost: ethers.formatEther(state.pendingCost),
+      transactions: state.pending.map(transaction => ({
+        ...transaction,
+        gasLimit: transaction.gasLimit.toString(),
+        fees: formatFee(transaction.fees)
+      }))
+    },
+    gasPrice: state.gasPrice === null ? null : `${ethers.formatUnits(state.gasPrice, 'gwei')} gwei`,
+    gasPriceError: state.error,
+    mintCost: {
+      gasPerMint: state.gasPerMint.toString(),
+      source: state.costs.samples > 0 ? 'recent-mints' : 'default',
+      samples: state.costs.samples,
+      averageFeePaid: state.costs.averageFee === null ? null : String(Number(state.costs.averageFee.toPrecision(6))),
+      estimatedFee: state.mintCost === null ? null : ethers.formatEther(state.mintCost)
+    },
+    estimatedMintsRemaining: state.estimatedMintsRemaining,
+    checkedAt: new Date(state.checkedAt).toISOString()
+  };
+}
+
+async function refreshWallets() {
+  const networks = new Set([resolveNetwork().network, ...wallets.keys()]);
+  for (const network of networks) {
+    try {
+      await readWallet(network);
+      readErrors.delete(network);
+    } catch (error) {
+      // Warn once per distinct error, not on every refresh
+      if (readErrors.get(network) !== error.message) {
+        console.warn(`⚠️  [WALLET] Could not read the owner wallet balance on ${network}: ${error.message}`);
+      }
+      readErrors.set(network, error.message);
+    }
+  }
+}
+
+/**
+ * Reads the owner wallet balance every WALLET_BALANCE_REFRESH_SECONDS on the default network and on
+ * every network mints were checked on, so the /metrics gauge stays current and low-balance alerts
+ * fire even when no mints are requested
+ */
+export function startBalanceMonitor() {
+  if (refreshTimer || REFRESH_SECONDS <= 0) {
+    return;
+  }
+  let running = false;
+  const refresh = () => {
+    if (running) return;
+    running = true;
+    refreshWallets().finally(() => { running = false; });
+  };
+  refresh();
+  refreshTimer = setInterval(refresh, REFRESH_SECONDS * 1000);
+  refreshTimer.unref();
+}
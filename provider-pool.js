@@ -0,0 +1,309 @@
+import { ethers } from 'ethers';
+import { getNetwork, getRpcChainId } from './networks.js';
+import { recordRpcCall } from './metrics.js';
+import { envNumber } from './config.js';
+
+// Failover settings
+const STRATEGIES = ['priority', 'latency'];
+const STRATEGY = STRATEGIES.includes(process.env.RPC_POOL_STRATEGY) ? process.env.RPC_POOL_STRATEGY : 'priority';
+const REQUEST_TIMEOUT_MS = envNumber('RPC_POOL_TIMEOUT_MS', 8000);
+const MAX_FAILURES = envNumber('RPC_POOL_MAX_FAILURES', 3); // Consecutive failures before an endpoint is marked down
+const RETRY_SECONDS = envNumber('RPC_POOL_RETRY_SECONDS', 30); // Time before a down endpoint is tried again
+const HEALTH_INTERVAL_SECONDS = envNumber('RPC_POOL_HEALTH_INTERVAL_SECONDS', 30); // 0 disables health checks
+const MAX_BLOCK_LAG = envNumber('RPC_POOL_MAX_BLOCK_LAG', 10); // Blocks an endpoint may be behind the others
+const MAX_OVERRIDE_POOLS = envNumber('RPC_POOL_MAX_OVERRIDES', 20); // rpcUrl override providers kept, least recently used dropped first
+
+// One pool per network, and one single-endpoint pool per rpcUrl override (in least recently used order)
+const pools = new Map();
+const overridePools = new Map();
+let healthTimer = null;
+
+/**
+ * Label for an endpoint in logs and /health. RPC URLs often carry an API key in the path,
+ * so only the host is shown.
+ */
+function endpointLabel(rpcUrl) {
+  try {
+    return new URL(rpcUrl).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+function createEndpoint(url, priority) {
+  return {
+    url,
+    label: endpointLabel(url),
+    priority,
+    healthy: true,
+    lagging: false,
+    wrongChain: false,
+    consecutiveFailures: 0,
+    retryAt: 0,
+    latencyMs: null,      // Moving average of successful requests
+    blockNumber: null,    // From the last health check
+    requests: 0,
+    failures: 0,
+    lastError: null,
+    lastErrorAt: null,
+    lastSuccessAt: null
+  };
+}
+
+function recordSuccess(pool, endpoint, durationMs) {
+  endpoint.requests++;
+  endpoint.latencyMs = endpoint.latencyMs === null ? durationMs : Math.round(endpoint.latencyMs * 0.8 + durationMs * 0.2);
+  endpoint.consecutiveFailures = 0;
+  endpoint.lastSuccessAt = new Date().toISOString();
+  if (!endpoint.healthy) {
+    endpoint.healthy = true;
+    console.log(`✅ [RPC_POOL] ${pool.network}: ${endpoint.label} is back up`);
+  }
+}
+
+function recordFailure(pool, endpoint, error) {
+  endpoint.requests++;
+  endpoint.failures++;
+  endpoint.consecutiveFailures++;
+  endpoint.lastError = error.shortMessage || error.message;
+  endpoint.lastErrorAt = new Date().toISOString();
+  if (endpoint.consecutiveFailures >= MAX_FAILURES) {
+    endpoint.retryAt = Date.now() + RETRY_SECONDS * 1000;
+    if (endpoint.healthy) {
+      endpoint.healthy = false;
+      console.warn(`⚠️  [RPC_POOL] ${pool.network}: ${endpoint.label} is down after ${endpoint.consecutiveFailures} failures (${endpoint.lastError})`);
+    }
+  }
+}
+
+/**
+ * Checks an endpoint's chain ID before its first use; endpoints on another chain are never used
+ *
+ * @returns {Promise<boolean>} true if the endpoint is on the pool's chain
+ */
+async function checkEndpointChain(pool, endpoint) {
+  if (endpoint.wrongChain) {
+    return false;
+  }
+  const chainId = await getRpcChainId(endpoint.url);
+  if (chainId !== pool.chainId) {
+    endpoint.wrongChain = true;
+    endpoint.lastError = `on chain ${chainId}, expected chain ${pool.chainId}`;
+    console.error(`❌ [RPC_POOL] ${pool.network}: ${endpoint.label} is ${endpoint.lastError} and will not be used`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Endpoints in the order they are tried: healthy ones first (by priority, or by latency),
+ * then lagging ones, then down ones as a last resort
+ */
+function orderEndpoints(pool) {
+  const now = Date.now();
+  const rank = (endpoint) => {
+    if (endpoint.healthy || endpoint.retryAt <= now) {
+      return endpoint.lagging ? 1 : 0;
+    }
+    return 2;
+  };
+  const byStrategy = (a, b) => STRATEGY === 'latency' && a.latencyMs !== null && b.latencyMs !== null
+    ? a.latencyMs - b.latencyMs
+    : a.priority - b.priority;
+
+  return pool.endpoints
+    .filter(endpoint => !endpoint.wrongChain)
+    .sort((a, b) => rank(a) - rank(b) || byStrategy(a, b));
+}
+
+async function post(endpoint, payload) {
+  const request = new ethers.FetchRequest(endpoint.url);
+  request.timeout = REQUEST_TIMEOUT_MS;
+  request.body = JSON.stringify(payload);
+  request.setHeader('content-type', 'application/json');
+
+  const response = await request.send();
+  response.assertOk();
+  const result = response.bodyJson;
+  return Array.isArray(result) ? result : [result];
+}
+
+/**
+ * Sends a JSON-RPC payload to the first endpoint that answers. Only transport failures
+ * (connection errors, timeouts, HTTP errors, invalid responses) move on to the next endpoint;
+ * JSON-RPC errors such as reverts are answers and are returned as they are.
+ */
+async function sendToPool(pool, payload) {
+  const requests = Array.isArray(payload) ? payload : [payload];
+  let lastError = null;
+
+  for (const endpoint of orderEndpoints(pool)) {
+    const started = Date.now();
+    try {
+      if (!await checkEndpointChain(pool, endpoint)) {
+        continue;
+      }
+      const result = await post(endpoint, payload);
+      recordSuccess(pool, endpoint, Date.now() - started);
+
+      const methods = new Map(requests.map(request => [request.id, request.method]));
+      for (const response of result) {
+        recordRpcCall(pool.network, methods.get(response.id) || 'unknown', response.error ? 'rpc' : null);
+      }
+      return result;
+    } catch (error) {
+      recordFailure(pool, endpoint, error);
+      for (const request of requests) {
+        recordRpcCall(pool.network, request.method, 'transport');
+      }
+      lastError = error;
+    }
+  }
+
+  throw new Error(`No RPC endpoint of ${pool.network} answered${lastError ? `: ${lastError.shortMessage || lastError.message}` : ''}`);
+}
+
+/**
+ * JSON-RPC provider that sends every request through a pool of endpoints
+ */
+class PooledProvider extends ethers.JsonRpcProvider {
+  constructor(pool) {
+    const network = ethers.Network.from(pool.chainId);
+    super(pool.endpoints[0].url, network, { staticNetwork: network });
+    this.pool = pool;
+  }
+
+  async _send(payload) {
+    return sendToPool(this.pool, payload);
+  }
+}
+
+/**
+ * Asks every endpoint of every pool for its latest block, so down endpoints come back
+ * and endpoints that fall behind the others are tried last
+ */
+async function checkHealth() {
+  for (const pool of [...pools.values(), ...overridePools.values()]) {
+    await Promise.all(pool.endpoints.filter(endpoint => !endpoint.wrongChain).map(async (endpoint) => {
+      const started = Date.now();
+      try {
+        if (!await checkEndpointChain(pool, endpoint)) {
+          return;
+        }
+        const [response] = await post(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+        if (!response || typeof response.result !== 'string') {
+          throw new Error(response && response.error ? response.error.message : 'no block number in response');
+        }
+        endpoint.blockNumber = Number(BigInt(response.result));
+        recordSuccess(pool, endpoint, Date.now() - started);
+      } catch (error) {
+        recordFailure(pool, endpoint, error);
+      }
+    }));
+
+    const best = Math.max(...pool.endpoints.filter(endpoint => endpoint.healthy && endpoint.blockNumber !== null).map(endpoint => endpoint.blockNumber));
+    for (const endpoint of pool.endpoints) {
+      const lagging = endpoint.blockNumber !== null && best - endpoint.blockNumber > MAX_BLOCK_LAG;
+      if (lagging && !endpoint.lagging) {
+        console.warn(`⚠️  [RPC_POOL] ${pool.network}: ${endpoint.label} is ${best - endpoint.blockNumber} blocks behind`);
+      }
+      endpoint.lagging = lagging;
+    }
+  }
+}
+
+function startHealthChecks() {
+  if (healthTimer || HEALTH_INTERVAL_SECONDS <= 0) {
+    return;
+  }
+  let running = false;
+  healthTimer = setInterval(() => {
+    if (running) return;
+    running = true;
+    checkHealth()
+      .catch(error => console.error('[RPC_POOL] Health check error:', error.message))
+      .finally(() => { running = false; });
+  }, HEALTH_INTERVAL_SECONDS * 1000);
+  healthTimer.unref();
+}
+
+function createPool(network, chainId, rpcUrls) {
+  const pool = {
+    network,
+    chainId,
+    endpoints: rpcUrls.map((url, priority) => createEndpoint(url, priority))
+  };
+  pool.provider = new PooledProvider(pool);
+  startHealthChecks();
+  return pool;
+}
+
+/**
+ * Gets the shared provider of a network. Requests go to the network's RPC URLs in
+ * networks.json, in order, and fail over to the next one when an endpoint is down or too slow.
+ *
+ * An rpcUrl override gets its own single-endpoint provider. Only the RPC_POOL_MAX_OVERRIDES most recently
+ * used ones are kept; owner transactions sent through them still share the wallet's nonce state for the
+ * network's chain (see nonce-manager.js).
+ *
+ * @param {string} network - Network name from networks.json
+ * @param {string} rpcUrl - RPC endpoint to use instead of the network's pool (already allowed by resolveNetwork)
+ * @returns {ethers.JsonRpcProvider} Shared provider
+ * @throws {Error} With code 'UNKNOWN_NETWORK'
+ *
+ * @example
+ * const { network, contractAddress } = resolveDeployment(config);
+ * const contract = new ethers.Contract(contractAddress, contractABI, getProvider(network, config.rpcUrl));
+ */
+export function getProvider(network, rpcUrl = null) {
+  const { name, chainId, rpcUrls } = getNetwork(network);
+
+  if (rpcUrl) {
+    const key = `${name}@${rpcUrl}`;
+    const pool = overridePools.get(key) || createPool(name, chainId, [rpcUrl]);
+
+    // Moved to the end, so the first entry is the least recently used
+    overridePools.delete(key);
+    overridePools.set(key, pool);
+    for (const oldest of overridePools.keys()) {
+      if (overridePools.size <= Math.max(1, MAX_OVERRIDE_POOLS)) break;
+      overridePools.delete(oldest);
+    }
+    return pool.provider;
+  }
+
+  if (!pools.has(name)) {
+    pools.set(name, createPool(name, chainId, rpcUrls));
+  }
+  return pools.get(name).provider;
+}
+
+/**
+ * Reports the endpoints of each network pool in use (for /health). Endpoints are shown by host only.
+ *
+ * @returns {Object} { strategy, networks: [{ network, chainId, available, endpoints }] }
+ */
+export function getPoolStatus() {
+  return {
+    strategy: STRATEGY,
+    networks: [...pools.values()].map(pool => ({
+      network: pool.network,
+      chainId: pool.chainId,
+      available: pool.endpoints.filter(endpoint => endpoint.healthy && !endpoint.wrongChain).length,
+      endpoints: pool.endpoints.map(endpoint => ({
+        endpoint: endpoint.label,
+        priority: endpoint.priority,
+        healthy: endpoint.healthy && !endpoint.wrongChain,
+        lagging: endpoint.lagging,
+        wrongChain: endpoint.wrongChain,
+        latencyMs: endpoint.latencyMs,
+        blockNumber: endpoint.blockNumber,
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        lastError: endpoint.lastError,
+        lastErrorAt: endpoint.lastErrorAt,
+        lastSuccessAt: endpoint.lastSuccessAt
+      }))
+    }))
+  };
+}
@@ -0,0 +1,276 @@
+import { ethers } from 'ethers';
+import { readJson, writeJson } from './storage.js';
+import { envNumber, envEther } from './config.js';
+
+const USAGE_FILE = 'usage.json';
+
+function loadRateLimits() {
+  // Requests per minute for each API key, by route. RATE_LIMITS overrides them as JSON, e.g. {"mint": 10}
+  const defaults = {
+    'mint': 30,
+    'mint-batch': 5,
+    'mint-jobs': 300,
+    'update': 30,
+    'burn': 30,
+    'retrieve': 120,
+    'items': 60,
+    'item': 300,
+    'verify-owner': 300,
+    'stream': 30,
+    'auth': 60,
+    'webhooks': 60,
+    'networks': 60,
+    'admin': 60
+  };
+
+  if (!process.env.RATE_LIMITS) {
+    return defaults;
+  }
+  try {
+    return { ...defaults, ...JSON.parse(process.env.RATE_LIMITS) };
+  } catch (error) {
+    console.error('[RATE_LIMITS] RATE_LIMITS is not valid JSON, using the defaults:', error.message);
+    return defaults;
+  }
+}
+
+export const RATE_LIMITS = loadRateLimits();
+
+// Mint quotas, per UTC day (0 disables a quota)
+const WALLET_DAILY_MINTS = envNumber('MINT_QUOTA_PER_WALLET', 100);
+const DAILY_GAS_BUDGET = envEther('DAILY_GAS_BUDGET_MATIC', '0');
+
+const WINDOW_MS = 60 * 1000;
+
+// Request counts per "<keyId>:<route>" in the current one-minute window (not persisted)
+const windows = new Map();
+
+// Today's mints and gas, persisted to disk on every change
+let usage = readJson(USAGE_FILE, null);
+
+function saveUsage() {
+  try {
+    writeJson(USAGE_FILE, usage);
+  } catch (error) {
+    console.error('[RATE_LIMITS] Error saving usage:', error.message);
+  }
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilTomorrow() {
+  const tomorrow = new Date(`${today()}T00:00:00.000Z`);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+  return Math.ceil((tomorrow.getTime() - Date.now()) / 1000);
+}
+
+/**
+ * Returns today's usage, starting a new day if the date changed
+ */
+function currentUsage() {
+  if (!usage || usage.day !== today()) {
+    usage = { day: today(), mintsByWallet: {}, gasSpentWei: '0', gasTransactions: [] };
+    saveUsage();
+  }
+  return usage;
+}
+
+function limitFor(apiKey, route) {
+  const overrides = apiKey.rateLimits || {};
+  return overrides[route] !== undefined ? overrides[route] : RATE_LIMITS[route];
+}
+
+/**
+ * Counts a request against the rate limit of an API key for a route
+ *
+ * @param {Object} apiKey - Key returned by verifyApiKey ({ id, rateLimits })
+ * @param {string} route - Route name, one of the keys of RATE_LIMITS
+ * @returns {Object} { allowed, limit, remaining, resetAt, retryAfter } (retryAfter in seconds)
+ */
+export function checkRateLimit(apiKey, route) {
+  const limit = limitFor(apiKey, route);
+  const now = Date.now();
+  const windowKey = `${apiKey.id}:${route}`;
+
+  let window = windows.get(windowKey);
+  if (!window || now - window.start >= WINDOW_MS) {
+    window = { start: now, count: 0 };
+    windows.set(windowKey, window);
+  }
+
+  const resetAt = window.start + WINDOW_MS;
+  const allowed = !limit || window.count < limit;
+  if (allowed) {
+    window.count++;
+  }
+
+  return {
+    allowed,
+    limit: limit || null,
+    remaining: limit ? Math.max(0, limit - window.count) : null,
+    resetAt: new Date(resetAt).toISOString(),
+    retryAfter: allowed ? 0 : Math.ceil((resetAt - now) / 1000)
+  };
+}
+
+/**
+ * Checks that the daily gas budget is not used up
+ *
+ * @returns {Object|null} null if owner transactions may be sent, otherwise { message, retryAfter }
+ */
+export function checkGasBudget() {
+  const spent = BigInt(currentUsage().gasSpentWei);
+
+  if (DAILY_GAS_BUDGET > 0n && spent >= DAILY_GAS_BUDGET) {
+    return {
+      message: `Daily gas budget of ${ethers.formatEther(DAILY_GAS_BUDGET)} MATIC is used up (${ethers.formatEther(spent)} MATIC spent today)`,
+      retryAfter: secondsUntilTomorrow()
+    };
+  }
+  return null;
+}
+
+/**
+ * Checks whether mints to the given destinations fit in today's quotas and, if they do, counts them
+ * right away, so concurrent requests cannot all pass the check. Mints that end up not being sent
+ * (the request is rejected later, or the mint fails) are given back with releaseMints.
+ *
+ * @param {Array<string>} destinationAddresses - One entry per item to mint
+ * @returns {Object|null} null if the mints were reserved, otherwise { message, retryAfter, wallets? }
+ *
+ * @example
+ * const exceeded = reserveMints(['0x0ad71CEf14201B7fC7de53Ff2b4d40B9a96C2813']);
+ * if (exceeded) console.log(exceeded.message);
+ */
+export function reserveMints(destinationAddresses) {
+  const budgetExceeded = checkGasBudget();
+  if (budgetExceeded) {
+    return budgetExceeded;
+  }
+  if (!WALLET_DAILY_MINTS) {
+    countMints(destinationAddresses, 1);
+    return null;
+  }
+
+  const requested = {};
+  for (const address of destinationAddresses) {
+    const wallet = address.toLowerCase();
+    requested[wallet] = (requested[wallet] || 0) + 1;
+  }
+
+  const { mintsByWallet } = currentUsage();
+  const wallets = Object.entries(requested)
+    .filter(([wallet, count]) => (mintsByWallet[wallet] || 0) + count > WALLET_DAILY_MINTS)
+    .map(([wallet, count]) => ({
+      walletAddress: ethers.getAddress(wallet),
+      mintedToday: mintsByWallet[wallet] || 0,
+      requested: count
+    }));
+
+  if (wallets.length === 0) {
+    countMints(destinationAddresses, 1);
+    return null;
+  }
+  return {
+    message: `Daily quota of ${WALLET_DAILY_MINTS} mints per destination address exceeded for ${wallets.length} address(es)`,
+    retryAfter: secondsUntilTomorrow(),
+    wallets
+  };
+}
+
+function countMints(destinationAddresses, change) {
+  const { mintsByWallet } = currentUsage();
+  for (const address of destinationAddresses) {
+    const wallet = address.toLowerCase();
+    const count = Math.max(0, (mintsByWallet[wallet] || 0) + change);
+    if (count > 0) {
+      mintsByWallet[wallet] = count;
+    } else {
+      delete mintsByWallet[wallet];
+    }
+  }
+  saveUsage();
+}
+
+/**
+ * Gives back mints reserved with reserveMints that were not sent: the request was rejected
+ * after the quota check, or the mint failed. Mints reserved on an earlier day are not given back.
+ *
+ * @param {Array<string>} destinationAddresses - One entry per item that was not minted
+ * @param {string} day - UTC day (YYYY-MM-DD) the mints were reserved on (default: today)
+ */
+export function releaseMints(destinationAddresses, day = today()) {
+  if (destinationAddresses.length === 0 || day !== currentUsage().day) {
+    return;
+  }
+  countMints(destinationAddresses, -1);
+}
+
+/**
+ * Adds the fee paid by a mined owner transaction to today's gas spending.
+ * Each transaction is only counted once, even if it is watched again after a restart.
+ *
+ * @param {ethers.TransactionReceipt} receipt - Receipt of the mined transaction
+ */
+export function recordGasSpent(receipt) {
+  const current = currentUsage();
+  if (current.gasTransactions.includes(receipt.hash)) {
+    return;
+  }
+
+  current.gasTransactions.push(receipt.hash);
+  current.gasSpentWei = (BigInt(current.gasSpentWei) + receipt.gasUsed * receipt.gasPrice).toString();
+  saveUsage();
+}
+
+/**
+ * Reports rate limit and quota usage
+ *
+ * @returns {Object} { rateLimits, mints, gas }
+ */
+export function getUsage() {
+  const now = Date.now();
+  const current = currentUsage();
+  const byKey = {};
+
+  for (const [windowKey, window] of windows) {
+    if (now - window.start >= WINDOW_MS) {
+      windows.delete(windowKey);
+      continue;
+    }
+    const separator = windowKey.indexOf(':');
+    const keyId = windowKey.slice(0, separator);
+    byKey[keyId] = byKey[keyId] || {};
+    byKey[keyId][windowKey.slice(separator + 1)] = {
+      count: window.count,
+      resetAt: new Date(window.start + WINDOW_MS).toISOString()
+    };
+  }
+
+  const spent = BigInt(current.gasSpentWei);
+  return {
+    rateLimits: {
+      windowSeconds: WINDOW_MS / 1000,
+      defaults: RATE_LIMITS,
+      keys: byKey
+    },
+    mints: {
+      day: current.day,
+      resetsInSeconds: secondsUntilTomorrow(),
+      perWalletLimit: WALLET_DAILY_MINTS || null,
+      total: Object.values(current.mintsByWallet).reduce((sum, count) => sum + count, 0),
+      byWallet: Object.fromEntries(
+        Object.entries(current.mintsByWallet).map(([wallet, count]) => [ethers.getAddress(wallet), count])
+      )
+    },
+    gas: {
+      day: current.day,
+      spent: ethers.formatEther(spent),
+      budget: DAILY_GAS_BUDGET > 0n ? ethers.formatEther(DAILY_GAS_BUDGET) : null,
+      remaining: DAILY_GAS_BUDGET > 0n ? ethers.formatEther(DAILY_GAS_BUDGET > spent ? DAILY_GAS_BUDGET - spent : 0n) : null,
+      transactions: current.gasTransactions.length
+    }
+  };
+}
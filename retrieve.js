@@ -1,13 +1,59 @@
 import { ethers } from 'ethers';
-import fs from 'fs';
+import { parseTokenURI, getTraits } from './metadata.js';
+import { resolveDeployment } from './networks.js';
+import { getProvider } from './provider-pool.js';
+import { useIndex, getIndexedTokensOfOwner } from './indexer.js';
 
 /**
- * Retrieves all game items (NFTs) owned by a wallet address
+ * Reads and parses the metadata of tokens, using token URIs already known from the index
+ *
+ * @param {ethers.Contract} contract - Contract used to read missing token URIs
+ * @param {Array<Object>} tokens - { tokenId, tokenURI } with tokenURI null if unknown
+ * @returns {Promise<Array>} Items with tokenId, metadata, and traits
+ */
+async function loadItems(contract, tokens) {
+  const items = [];
+
+  for (const { tokenId, tokenURI: knownURI } of tokens) {
+    try {
+      const tokenURI = knownURI ?? await contract.tokenURI(Number(tokenId));
+      
+      // Parse metadata (data URI, legacy JSON string, or URL)
+      const metadata = parseTokenURI(tokenURI);
+
+      items.push({
+        tokenId: tokenId,
+        metadata: metadata,
+        traits: getTraits(metadata),
+        name: metadata.name || `Item #${tokenId}`,
+        description: metadata.description || '',
+        image: metadata.image || ''
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not retrieve metadata for token ${tokenId}: ${error.message}`);
+      // Still include the token with basic info
+      items.push({
+        tokenId: tokenId,
+        metadata: null,
+        error: error.message
+      });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Retrieves all game items (NFTs) owned by a wallet address.
+ * Answered from the Transfer-event index when it is in sync, otherwise read from the chain.
  * 
  * @param {string} walletAddress - The wallet address to query
  * @param {Object} config - Optional configuration:
- *   @param {string} contractAddress - Contract address (defaults to deployment.json)
- *   @param {string} rpcUrl - RPC endpoint URL (default: https://polygon-rpc.com/)
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ *   @param {string} source - "chain" to skip the index and read from the chain
  * @returns {Promise<Array>} Array of game items with tokenId, metadata, and traits
  * 
  * @example
@@ -21,26 +67,11 @@ async function retrieve(walletAddress, config = {}) {
       throw new Error('Invalid wallet address');
     }
 
-    // Load configuration
-    let contractAddress = config.contractAddress;
-    const rpcUrl = config.rpcUrl || 'https://polygon-rpc.com/';
+    // Network and contract from the registry (see networks.js)
+    const { network, contractAddress } = resolveDeployment(config);
 
-    // Load contract address from deployment.json if not provided
-    if (!contractAddress) {
-      try {
-        const deploymentInfo = JSON.parse(fs.readFileSync('deployment.json', 'utf8'));
-        contractAddress = deploymentInfo.contractAddress;
-      } catch (error) {
-        throw new Error('Contract address not provided and deployment.json not found');
-      }
-    }
-
-    if (!contractAddress || !ethers.isAddress(contractAddress)) {
-      throw new Error('Invalid contract address');
-    }
-
-    // Create provider
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    // Shared provider of the network, with failover between its RPC URLs
+    const provider = getProvider(network, config.rpcUrl);
 
     // Contract ABI - includes Enumerable extension methods
     const contractABI = [
@@ -49,6 +80,7 @@ async function retrieve(walletAddress, config = {}) {
       "function tokenURI(uint256 tokenId) public view returns (string memory)",
       "function ownerOf(uint256 tokenId) public view returns (address)",
       "function totalSupply() public view returns (uint256)",
+      "function totalMinted() public view returns (uint256)",
       "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
     ];
 
@@ -57,6 +89,17 @@ async function retrieve(walletAddress, config = {}) {
     console.log(`Retrieving items for ${walletAddress}...`);
     console.log(`Contract: ${contractAddress}`);
 
+    // Answer from the index when it is in sync
+    const indexStatus = useIndex(contractAddress, { ...config, network });
+    if (indexStatus) {
+      const tokens = getIndexedTokensOfOwner(contractAddress, walletAddress);
+      console.log(`Found ${tokens.length} item(s) in the index (synced to block ${indexStatus.syncedBlock})`);
+
+      const items = await loadItems(contract, tokens);
+      console.log(`✅ Retrieved ${items.length} item(s)`);
+      return items;
+    }
+
     // Method 1: Try using tokenOfOwnerByIndex (if Enumerable extension is supported)
     let tokenIds = [];
     
@@ -89,8 +132,15 @@ async function retrieve(walletAddress, config = {}) {
     // Method 2: If Enumerable not available, scan all tokens
     if (tokenIds.length === 0) {
       try {
-        const totalSupply = await contract.totalSupply();
-        const total = Number(totalSupply);
+        // Scan up to the highest minted ID. totalSupply() excludes burned tokens, so it is
+        // only used for contracts deployed before totalMinted() was added (which cannot burn)
+        let totalMinted;
+        try {
+          totalMinted = await contract.totalMinted();
+        } catch {
+          totalMinted = await contract.totalSupply();
+        }
+        const total = Number(totalMinted);
         
         console.log(`Scanning ${total} total tokens...`);
 
@@ -114,47 +164,7 @@ async function retrieve(walletAddress, config = {}) {
     }
 
     // Retrieve metadata for each token
-    const items = [];
-    
-    for (const tokenId of tokenIds) {
-      try {
-        const tokenURI = await contract.tokenURI(Number(tokenId));
-        
-        // Parse metadata (could be JSON string or data URI)
-        let metadata;
-        if (tokenURI.startsWith('data:application/json')) {
-          // Base64 encoded JSON
-          const base64Data = tokenURI.split(',')[1];
-          metadata = JSON.parse(Buffer.from(base64Data, 'base64').toString());
-        } else if (tokenURI.startsWith('{')) {
-          // Direct JSON string
-          metadata = JSON.parse(tokenURI);
-        } else if (tokenURI.startsWith('http')) {
-          // URL to metadata - would need to fetch, but for now return URL
-          metadata = { uri: tokenURI };
-        } else {
-          // Fallback: treat as raw data
-          metadata = { raw: tokenURI };
-        }
-
-        items.push({
-          tokenId: tokenId,
-          metadata: metadata,
-          traits: metadata.traits || {},
-          name: metadata.name || `Item #${tokenId}`,
-          description: metadata.description || '',
-          image: metadata.image || ''
-        });
-      } catch (error) {
-        console.warn(`⚠️  Could not retrieve metadata for token ${tokenId}: ${error.message}`);
-        // Still include the token with basic info
-        items.push({
-          tokenId: tokenId,
-          metadata: null,
-          error: error.message
-        });
-      }
-    }
+    const items = await loadItems(contract, tokenIds.map(tokenId => ({ tokenId, tokenURI: null })));
 
     console.log(`✅ Retrieved ${items.length} item(s)`);
     return items;
@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import { parseTokenURI, getTraits } from './metadata.js';
+import { resolveDeployment } from './networks.js';
+import { useIndex, getIndexedTokens } from './indexer.js';
+import { ITEM_FIELDS, parseItemQuery, queryItems, countFacets, toList } from './item-query.js';
+import { envNumber } from './config.js';
+
+// Fields of search results: item fields plus the owner and mint time
+export const SEARCH_FIELDS = [...ITEM_FIELDS, 'owner', 'mintedAt'];
+
+// Parsed metadata by contract and token ID, reused while the token URI stays the same.
+// Least recently used entries are dropped beyond SEARCH_CACHE_SIZE, so burned tokens do not stay forever
+const CACHE_SIZE = envNumber('SEARCH_CACHE_SIZE', 10000);
+
+// Items per page when the search has no limit: a collection can be far larger than one response should be
+const DEFAULT_LIMIT = envNumber('SEARCH_DEFAULT_LIMIT', 50);
+const parsedItems = new Map();
+
+function searchError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parses a mint date bound: an ISO 8601 date or date-time, or a Unix time in seconds
+ *
+ * @returns {number|null} Unix time in seconds
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const milliseconds = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(milliseconds)) {
+    throw searchError(`${name} must be an ISO 8601 date or a Unix time in seconds`, 'INVALID_QUERY');
+  }
+  return Math.floor(milliseconds / 1000);
+}
+
+function loadItem(contractAddress, token) {
+  const key = `${contractAddress.toLowerCase()}:${token.tokenId}`;
+  const cached = parsedItems.get(key);
+  parsedItems.delete(key);
+  if (cached && cached.tokenURI === token.tokenURI) {
+    parsedItems.set(key, cached);
+    return cached.item;
+  }
+
+  let item;
+  try {
+    const metadata = parseTokenURI(token.tokenURI);
+    item = {
+      tokenId: token.tokenId,
+      metadata,
+      traits: getTraits(metadata),
+      name: metadata.name || `Item #${token.tokenId}`,
+      description: metadata.description || '',
+      image: metadata.image || ''
+    };
+  } catch (error) {
+    item = { tokenId: token.tokenId, metadata: null, error: error.message };
+  }
+
+  parsedItems.set(key, { tokenURI: token.tokenURI, item });
+  if (parsedItems.size > CACHE_SIZE) {
+    parsedItems.delete(parsedItems.keys().next().value);
+  }
+  return item;
+}
+
+/**
+ * Searches every item of a collection by traits, owner, mint date and name.
+ * Answered from the Transfer-event index only, so the indexer must run for the collection and be in sync.
+ *
+ * @param {Object} search - Optional search criteria:
+ *   @param {Object} filters, sort, order, limit, cursor, fields - As for parseItemQuery() (fields: SEARCH_FIELDS;
+ *     limit: SEARCH_DEFAULT_LIMIT by default)
+ *   @param {string} owner - Only items owned by this wallet
+ *   @param {string|number} mintedAfter - Only items minted at or after this time (ISO 8601 or Unix seconds)
+ *   @param {string|number} mintedBefore - Only items minted before this time
+ *   @param {string} q - Only items whose name contains this text (case-insensitive)
+ *   @param {Array<string>|string} facets - Traits to count values of (default: every trait)
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ * @returns {Promise<Object>} { total, nextCursor, items, facets, pendingItems, syncedBlock }.
+ *   Items have owner and mintedAt (ISO 8601, null until the index has read it) besides the item fields;
+ *   pendingItems counts minted items whose metadata the index has not read yet, which are left out.
+ * @throws {Error} With code 'INVALID_QUERY' if the search is invalid,
+ *   or 'INDEX_UNAVAILABLE' if the collection is not indexed or the index is behind
+ *
+ * @example
+ * const { items, facets } = await searchItems({ filters: { rarity: 'legendary' }, mintedAfter: '2026-01-01', limit: 20 });
+ * console.log(`${facets.rarity.length} rarities, first page has ${items.length} items`);
+ */
+async function searchItems(search = {}, config = {}) {
+  const { network, contractAddress } = resolveDeployment(config);
+
+  const owner = search.owner || null;
+  if (owner !== null && (typeof owner !== 'string' || !ethers.isAddress(owner))) {
+    throw searchError('owner must be a valid address', 'INVALID_QUERY');
+  }
+  const mintedAfter = parseDate(search.mintedAfter, 'mintedAfter');
+  const mintedBefore = parseDate(search.mintedBefore, 'mintedBefore');
+  if (search.q !== undefined && search.q !== null && typeof search.q !== 'string') {
+    throw searchError('q must be a string', 'INVALID_QUERY');
+  }
+  const text = search.q ? search.q.trim().toLowerCase() : '';
+  const facetTraits = search.facets ? toList(search.facets) : null;
+
+  const context = {
+    owner: owner && owner.toLowerCase(),
+    mintedAfter,
+    mintedBefore,
+    q: text
+  };
+  const query = parseItemQuery(search, { fields: SEARCH_FIELDS, context, defaultLimit: DEFAULT_LIMIT });
+
+  // Searching the whole collection on-chain would mean reading every token, so only the index is used
+  const indexStatus = useIndex(contractAddress, { network });
+  if (!indexStatus) {
+    throw searchError(`The index is not in sync for ${contractAddress} on ${network}`, 'INDEX_UNAVAILABLE');
+  }
+
+  let pendingItems = 0;
+  const items = [];
+  for (const token of getIndexedTokens(contractAddress)) {
+    if (owner && token.owner !== ethers.getAddress(owner)) continue;
+    if (mintedAfter !== null && (token.mintedAt === null || token.mintedAt < mintedAfter)) continue;
+    if (mintedBefore !== null && (token.mintedAt === null || token.mintedAt >= mintedBefore)) continue;
+    if (token.tokenURI === null) {
+      pendingItems++;
+      continue;
+    }
+
+    const item = loadItem(contractAddress, token);
+    if (text && !(item.name || '').toLowerCase().includes(text)) continue;
+
+    items.push({
+      ...item,
+      owner: token.owner,
+      mintedAt: token.mintedAt === null ? null : new Date(token.mintedAt * 1000).toISOString()
+    });
+  }
+
+  const page = queryItems(items, query);
+
+  return {
+    total: page.total,
+    nextCursor: page.nextCursor,
+    items: page.items,
+    facets: countFacets(items, query, facetTraits),
+    pendingItems,
+    syncedBlock: indexStatus.syncedBlock
+  };
+}
+
+export default searchItems;
@@ -1,20 +1,42 @@
 import express from 'express';
 import multer from 'multer';
-import mint from './mint.js';
+import { WebSocketServer } from 'ws';
+import { ethers } from 'ethers';
+import { initSigner, getOwnerSigner } from './mint.js';
+import { loadSigner, getSignerInfo } from './signer.js';
+import { resolveDeployment, validateNetworks, listNetworks, getNetworkStatus } from './networks.js';
+import { getPoolStatus } from './provider-pool.js';
+import { recordRequest, renderMetrics } from './metrics.js';
+import { checkWalletFunds, getWalletStatus, startBalanceMonitor } from './owner-wallet.js';
+import { parseItemQuery, queryFromParams, queryItems } from './item-query.js';
+import { speedUpTransaction, cancelTransaction } from './fee-manager.js';
+import { createMintJob, createBatchMintJob, createUpdateJob, createBurnJob, getMintJob, hasIdempotentJob, resumeMintJobs, toJobStatus } from './mint-jobs.js';
+import { mergeTraits } from './update-item.js';
+import { getItemType } from './metadata.js';
+import { parseCsv } from './csv.js';
+import { storeAsset, getAsset, getAssetUrl, checkPublicBaseUrl } from './asset-store.js';
+import { validateImage, validateImageUrl } from './image-validator.js';
+import { startIndexer, getIndexStatus, useIndex } from './indexer.js';
+import { openWalletStream, validateStreamRequest, HEARTBEAT_MS } from './wallet-stream.js';
+import { checkRateLimit, reserveMints, releaseMints, checkGasBudget, getUsage } from './rate-limits.js';
+import { createChallenge, verifyChallenge, getSession, getSiweDomain } from './siwe.js';
+import { verifyApiKey, hasScope, createApiKey, listApiKeys, getApiKey, revokeApiKey, rotateApiKey } from './api-keys.js';
+import { createSubscription, listSubscriptions, getSubscription, deleteSubscription, listDeliveries, redeliver, resumeDeliveries, toDeliveryStatus } from './webhooks.js';
+import { validateTraits, validateSchemaDefinition, isValidItemType, listSchemas, getSchema, saveSchema, deleteSchema } from './trait-schemas.js';
 import retrieve from './retrieve.js';
+import searchItems from './search-items.js';
 import getItem from './get-item.js';
 import verifyOwner from './verify-owner.js';
-import { logMint, logRetrieve } from './logger.js';
-import fs from 'fs';
+import { logAudit, queryAudit, toAuditCsv } from './logger.js';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import crypto from 'crypto';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Render terminates TLS at its proxy; trust it so req.protocol reflects the original request
+app.set('trust proxy', 1);
+
 // Configure multer for file uploads (memory storage)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -22,7 +44,7 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024 // 5MB max file size
   },
   fileFilter: (req, file, cb) => {
-    // Accept image files
+    // Accept image files (the content itself is checked with validateImage after upload)
     const allowedTypes = /jpeg|jpg|png|gif|webp|svg/;
     const mimetype = allowedTypes.test(file.mimetype);
     const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
@@ -30,55 +52,423 @@ const upload = multer({
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed (jpeg, jpg, png, gif, webp, svg)'));
+      const error = new Error('Only image files are allowed (jpeg, jpg, png, gif, webp, svg)');
+      error.code = 'INVALID_IMAGE';
+      cb(error);
     }
   }
 });
 
+// Configure multer for CSV uploads to the batch mint endpoint
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB max file size
+  },
+  fileFilter: (req, file, cb) => {
+    if (/csv/.test(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+// Maximum rows accepted by a single batch mint request
+const MAX_BATCH_ROWS = Number(process.env.MINT_BATCH_MAX_ROWS) || 1000;
+
+// Require every mint to name an item type whose trait schema applies
+const TRAIT_SCHEMA_REQUIRED = process.env.TRAIT_SCHEMA_REQUIRED === 'true';
+
+// Require a Sign-In With Ethereum session on every verify-owner request
+const VERIFY_OWNER_REQUIRE_SIGNATURE = process.env.VERIFY_OWNER_REQUIRE_SIGNATURE === 'true';
+
+// Rows the audit log export returns at most per request
+const AUDIT_EXPORT_MAX_ROWS = Number(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+// Request parameters recorded as the wallet of an audit record, in order of preference
+const AUDIT_WALLET_PARAMS = ['walletAddress', 'destinationAddress', 'owner'];
+
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '2mb' }));
 
-// Authentication middleware
-function authenticate(req, res, next) {
-  const providedKey = req.headers['x-api-key'] || req.body.apiKey || req.query.apiKey;
-  
-  if (!providedKey) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'API key is required. Include it in X-API-Key header, or as apiKey in body/query.'
+/**
+ * Audit middleware: gives every API request an ID (returned in X-Request-Id) and writes an audit
+ * record once the response is sent. Jobs the request starts log their outcome under the same ID.
+ */
+function auditRequests(req, res, next) {
+  const started = Date.now();
+  req.id = crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  // Error message and job ID of the response
+  let responseError = null;
+  let jobId = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object') {
+      if (res.statusCode >= 400) responseError = body.message || body.error || null;
+      if (body.data && body.data.jobId) jobId = body.data.jobId;
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    // Bodies are parsed by the route (multer), so they are read after the response
+    const body = Array.isArray(req.body) ? { rows: req.body.length } : (req.body && typeof req.body === 'object' ? req.body : {});
+    const params = { ...req.query, ...body, ...req.params };
+    if (req.file) {
+      params.file = { name: req.file.originalname, size: req.file.size };
+    }
+
+    logAudit({
+      type: 'request',
+      requestId: req.id,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      route: `${req.method} ${req.route ? req.route.path : req.originalUrl.split('?')[0]}`,
+      status: res.statusCode,
+      outcome: res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'rejected' : 'success',
+      durationMs: Date.now() - started,
+      wallet: AUDIT_WALLET_PARAMS.map(name => params[name]).find(value => typeof value === 'string') || null,
+      tokenId: params.tokenId ?? null,
+      jobId,
+      error: responseError,
+      params
     });
+  });
+
+  next();
+}
+
+app.use('/api', auditRequests);
+
+/**
+ * Metrics middleware: counts every request and its latency, labelled by route pattern
+ * (requests that match no route are labelled "unmatched" so paths cannot grow the label set)
+ */
+function countRequests(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    recordRequest(req.method, req.route ? req.route.path : 'unmatched', res.statusCode, seconds);
+  });
+  next();
+}
+
+app.use(countRequests);
+
+/**
+ * Checks an API key and its scope
+ *
+ * @param {string} providedKey - Key sent by the client
+ * @param {string} scope - Scope the route requires (mint, read or admin)
+ * @returns {Object} { apiKey } if the key may use the route, otherwise { failure: { status, error, message } }
+ */
+function checkApiKey(providedKey, scope) {
+  if (!providedKey) {
+    return {
+      failure: {
+        status: 401,
+        error: 'Unauthorized',
+        message: 'API key is required. Include it in X-API-Key header, or as apiKey in body/query.'
+      }
+    };
+  }
+
+  const apiKey = verifyApiKey(providedKey);
+  if (!apiKey) {
+    return {
+      failure: {
+        status: 403,
+        error: 'Forbidden',
+        message: 'Invalid, expired or revoked API key'
+      }
+    };
+  }
+
+  if (!hasScope(apiKey, scope)) {
+    return {
+      failure: {
+        status: 403,
+        error: 'Forbidden',
+        message: `API key ${apiKey.id} does not have the ${scope} scope`
+      }
+    };
+  }
+
+  return { apiKey };
+}
+
+/**
+ * Authentication middleware for routes that require a scope.
+ * The key's { id, name, scopes } is available to the route as req.apiKey.
+ *
+ * @param {string} scope - mint, read or admin
+ */
+function authenticate(scope) {
+  return (req, res, next) => {
+    const { apiKey, failure } = checkApiKey(req.headers['x-api-key'] || (req.body && req.body.apiKey) || req.query.apiKey, scope);
+
+    if (failure) {
+      return res.status(failure.status).json({
+        error: failure.error,
+        message: failure.message
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+/**
+ * Sends a 429 response with Retry-After
+ *
+ * @param {Object} limit - { message, retryAfter (seconds), ...details added to the response }
+ */
+function tooManyRequests(res, limit) {
+  const { message, retryAfter, ...details } = limit;
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too Many Requests',
+    message,
+    retryAfter,
+    ...details
+  });
+}
+
+/**
+ * Sends a 503 response for new mints the owner wallet cannot pay for
+ *
+ * @param {Object} underfunded - Result of checkWalletFunds: { message, ...balance details added to the response }
+ */
+function walletUnderfunded(res, underfunded) {
+  const { message, ...details } = underfunded;
+  return res.status(503).json({
+    error: 'Service Unavailable',
+    message,
+    ...details
+  });
+}
+
+/**
+ * Rate limit middleware: counts requests per API key for a route (see RATE_LIMITS in rate-limits.js).
+ * Must run after authenticate().
+ *
+ * @param {string} route - Route name
+ */
+function rateLimit(route) {
+  return (req, res, next) => {
+    const result = checkRateLimit(req.apiKey, route);
+
+    if (result.limit) {
+      res.set({
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(new Date(result.resetAt).getTime() / 1000))
+      });
+    }
+
+    if (!result.allowed) {
+      console.warn(`⚠️  [RATE_LIMITS] Key ${req.apiKey.id} exceeded the ${route} limit of ${result.limit}/min`);
+      return tooManyRequests(res, {
+        message: `Rate limit of ${result.limit} requests per minute exceeded for ${route}`,
+        retryAfter: result.retryAfter
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Checks the Sign-In With Ethereum session sent with a verify-owner request. The session must have been
+ * started with the same API key, for the configured SIWE domain.
+ *
+ * @param {string} sessionToken - Token from POST /api/auth/verify
+ * @param {string} walletAddress - Wallet being verified
+ * @param {boolean} required - Whether the request must carry a session for the wallet
+ * @param {Object} apiKey - Key that made the request (req.apiKey)
+ * @returns {Object} { signatureVerified } if the request may go ahead, otherwise { failure: { status, error, message } }
+ */
+function checkWalletSession(sessionToken, walletAddress, required, apiKey) {
+  if (!sessionToken) {
+    if (required || VERIFY_OWNER_REQUIRE_SIGNATURE) {
+      return {
+        failure: {
+          status: 401,
+          error: 'Unauthorized',
+          message: 'A wallet session is required. Sign a challenge from POST /api/auth/challenge and send the token from POST /api/auth/verify in the X-Wallet-Session header.'
+        }
+      };
+    }
+    return { signatureVerified: false };
+  }
+
+  const session = getSession(sessionToken);
+  if (!session || session.apiKeyId !== apiKey.id || session.domain !== getSiweDomain()) {
+    return {
+      failure: {
+        status: 401,
+        error: 'Unauthorized',
+        message: 'Wallet session is invalid or has expired'
+      }
+    };
+  }
+  if (!ethers.isAddress(walletAddress) || ethers.getAddress(walletAddress) !== session.walletAddress) {
+    return {
+      failure: {
+        status: 401,
+        error: 'Unauthorized',
+        message: `Wallet session belongs to ${session.walletAddress}, not ${walletAddress}`
+      }
+    };
+  }
+
+  return { signatureVerified: true };
+}
+
+// Status codes for errors thrown by resolveNetwork/resolveDeployment
+const NETWORK_ERROR_STATUS = {
+  UNKNOWN_NETWORK: [400, 'Bad Request'],
+  UNKNOWN_COLLECTION: [400, 'Bad Request'],
+  INVALID_CONTRACT_ADDRESS: [400, 'Bad Request'],
+  RPC_URL_NOT_ALLOWED: [400, 'Bad Request'],
+  CONTRACT_NOT_ALLOWED: [400, 'Bad Request'],
+  CHAIN_ID_MISMATCH: [503, 'Service Unavailable']
+};
+
+function sendNetworkError(res, error) {
+  const [status, title] = NETWORK_ERROR_STATUS[error.code] || [500, 'Internal Server Error'];
+  return res.status(status).json({
+    error: title,
+    message: error.message
+  });
+}
+
+/**
+ * Network middleware: checks the network and collection a request names before anything is read or queued.
+ * GET requests name them as network/collection query parameters, others as config.network/config.collection
+ * in the body. The resolved { network, chainId, collection, contractAddress, ... } is available as req.deployment.
+ * Must run after body parsing (including multer).
+ */
+function selectNetwork(req, res, next) {
+  let source = req.query;
+  if (req.method !== 'GET') {
+    source = (req.body && !Array.isArray(req.body) && req.body.config) || {};
+    if (typeof source === 'string') {
+      try {
+        source = JSON.parse(source);
+      } catch (e) {
+        source = {};
+      }
+    }
   }
 
-  // Load endpoint key from file
-  let endpointKey;
   try {
-    endpointKey = fs.readFileSync(path.join(__dirname, 'endpoint_key.txt'), 'utf8').trim();
-  } catch (error) {
-    return res.status(500).json({
-      error: 'Server configuration error',
-      message: 'Endpoint key file not found'
+    req.deployment = resolveDeployment({
+      network: source.network,
+      collection: source.collection,
+      contractAddress: source.contractAddress,
+      rpcUrl: source.rpcUrl
     });
+  } catch (error) {
+    return sendNetworkError(res, error);
   }
+  next();
+}
+
+// Health check endpoint (no auth required)
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', service: 'Blockchain NFT API', networks: getNetworkStatus(), rpc: getPoolStatus(), index: getIndexStatus() });
+});
 
-  if (providedKey !== endpointKey) {
+/**
+ * Returns true if a request sent the METRICS_TOKEN bearer token. Both sides are hashed first,
+ * so the comparison takes the same time whatever the length of the presented header.
+ */
+function hasMetricsToken(req) {
+  const presented = crypto.createHash('sha256').update(req.headers.authorization || '').digest();
+  const expected = crypto.createHash('sha256').update(`Bearer ${process.env.METRICS_TOKEN}`).digest();
+  return crypto.timingSafeEqual(presented, expected);
+}
+
+/**
+ * Returns true if a request was made from the server itself, not through a proxy
+ */
+function isLocalRequest(req) {
+  const address = req.socket.remoteAddress || '';
+  return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address) && !req.headers['x-forwarded-for'];
+}
+
+// Prometheus metrics endpoint - requires "Authorization: Bearer <METRICS_TOKEN>", or without METRICS_TOKEN
+// only answers requests made from the server itself
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN) {
+    if (!hasMetricsToken(req)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid metrics token is required in the Authorization header'
+      });
+    }
+  } else if (!isLocalRequest(req)) {
     return res.status(403).json({
       error: 'Forbidden',
-      message: 'Invalid API key'
+      message: 'Metrics are only served to localhost; set METRICS_TOKEN to read them from elsewhere'
     });
   }
 
-  next();
-}
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
 
-// Health check endpoint (no auth required)
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'Blockchain NFT API' });
+// Asset endpoint (no auth required) - serves uploaded images by CID so wallets and marketplaces can load them
+app.get('/assets/:cid', (req, res) => {
+  const asset = getAsset(req.params.cid);
+
+  if (!asset) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Asset ${req.params.cid} not found`
+    });
+  }
+
+  // Content never changes for a given CID
+  res.set({
+    'Content-Type': asset.mimeType,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'ETag': `"${req.params.cid}"`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (asset.mimeType === 'image/svg+xml') {
+    // SVGs are sanitized on upload; also stop anything left from running when opened directly
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+  }
+  res.sendFile(asset.path);
 });
 
+/**
+ * Checks the traits of a mint or trait update against the trait schema of their item type.
+ * Traits without an item type are not checked, unless TRAIT_SCHEMA_REQUIRED is set.
+ *
+ * @returns {Array<Object>} Violations as { trait, message }
+ */
+function getTraitViolations(traits, itemType) {
+  if (itemType === undefined || itemType === null || itemType === '') {
+    return TRAIT_SCHEMA_REQUIRED ? [{ trait: null, message: 'itemType is required' }] : [];
+  }
+  return validateTraits(traits, itemType);
+}
+
+// Transactions are always signed by the configured signer (see signer.js), never with a key from the request
+const PRIVATE_KEY_REJECTED = 'privateKey is not accepted; transactions are signed by the configured server signer';
+
 // Mint endpoint - accepts both file uploads and image URLs
-app.post('/api/mint', authenticate, upload.single('image'), async (req, res) => {
+// The mint runs as a background job; poll GET /api/mint/jobs/:jobId for its status
+app.post('/api/mint', authenticate('mint'), rateLimit('mint'), upload.single('image'), selectNetwork, async (req, res) => {
+  // Mints reserved against the quota, given back unless a job is created for them
+  let reserved = [];
+
   try {
-    const { destinationAddress, imageUrl, traits, config } = req.body;
+    const { destinationAddress, imageUrl, traits, itemType, config } = req.body;
     const imageFile = req.file;
 
     // Validate required fields
@@ -89,6 +479,26 @@ app.post('/api/mint', authenticate, upload.single('image'), async (req, res) =>
       });
     }
 
+    if (!ethers.isAddress(destinationAddress)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'destinationAddress must be a valid address'
+      });
+    }
+
+    // Quotas apply to new mints, not to retries of an existing job
+    if (!hasIdempotentJob(req.headers['idempotency-key'], req.apiKey.id)) {
+      const exceeded = reserveMints([destinationAddress]);
+      if (exceeded) {
+        return tooManyRequests(res, exceeded);
+      }
+      reserved = [destinationAddress];
+      const underfunded = await checkWalletFunds(req.deployment.network, 1);
+      if (underfunded) {
+        return walletUnderfunded(res, underfunded);
+      }
+    }
+
     // Parse traits if it's a string (from form-data)
     let traitsObj = traits;
     if (typeof traits === 'string') {
@@ -109,18 +519,28 @@ app.post('/api/mint', authenticate, upload.single('image'), async (req, res) =>
       });
     }
 
+    // Check traits against the item type's schema before anything is stored or sent
+    const violations = getTraitViolations(traitsObj, itemType);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `traits do not match the schema: ${violations.length} violation(s)`,
+        violations: violations
+      });
+    }
+
     // Handle image: either file upload or URL
     let finalImageUrl = imageUrl;
 
     if (imageFile) {
-      // File was uploaded - convert to base64 data URI
-      const fileExtension = path.extname(imageFile.originalname).toLowerCase().slice(1);
-      const mimeType = imageFile.mimetype;
-      const base64Data = imageFile.buffer.toString('base64');
-      finalImageUrl = `data:${mimeType};base64,${base64Data}`;
-      console.log(`[MINT] Using uploaded image file: ${imageFile.originalname} (${imageFile.size} bytes)`);
+      // File was uploaded - check its content, then store it in the asset store and reference it by URL
+      const image = validateImage(imageFile.buffer, { mimeType: imageFile.mimetype });
+      const asset = storeAsset(image.buffer, image.mimeType);
+      finalImageUrl = getAssetUrl(asset.cid);
+      console.log(`[MINT] Using uploaded image file: ${imageFile.originalname} (${imageFile.size} bytes) as ${asset.cid}`);
     } else if (imageUrl) {
-      // Image URL provided
+      // Image URL provided - download and check it before the job is queued
+      await validateImageUrl(imageUrl);
       finalImageUrl = imageUrl;
       console.log(`[MINT] Using image URL: ${imageUrl}`);
     } else {
@@ -130,81 +550,715 @@ app.post('/api/mint', authenticate, upload.single('image'), async (req, res) =>
       });
     }
 
-    if (!finalImageUrl) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Image is required (either upload a file or provide imageUrl)'
-      });
-    }
+    if (!finalImageUrl) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Image is required (either upload a file or provide imageUrl)'
+      });
+    }
+
+    // Parse config if it's a string (from form-data)
+    let configObj = config;
+    if (typeof config === 'string' && config) {
+      try {
+        configObj = JSON.parse(config);
+      } catch (e) {
+        // Ignore parse errors, use as-is
+        configObj = {};
+      }
+    }
+
+    if (configObj && configObj.privateKey) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: PRIVATE_KEY_REJECTED
+      });
+    }
+
+    console.log(`[MINT] Request for ${destinationAddress} (key ${req.apiKey.id})`);
+
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    let jobResult;
+    try {
+      jobResult = createMintJob({
+        destinationAddress,
+        imageUrl: finalImageUrl,
+        traits: traitsObj,
+        itemType: itemType || null,
+        config: configObj || {}
+      }, idempotencyKey, req.apiKey.id, req.id);
+      if (jobResult.created) {
+        reserved = [];
+      }
+    } catch (jobError) {
+      if (jobError.code === 'IDEMPOTENCY_CONFLICT') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: jobError.message
+        });
+      }
+      throw jobError;
+    }
+
+    res.status(jobResult.created ? 202 : 200).json({
+      success: true,
+      data: toJobStatus(jobResult.job)
+    });
+
+  } catch (error) {
+    console.error('[MINT] Error:', error.message);
+
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  } finally {
+    releaseMints(reserved);
+  }
+});
+
+/**
+ * Converts a CSV row to a batch item. A "traits" column holds a JSON object;
+ * any other columns are added as traits (numeric values become numbers).
+ */
+function csvRowToItem(row) {
+  const { destinationAddress, imageUrl, traits, itemType, ...columns } = row;
+  let traitsObj = {};
+
+  if (traits) {
+    try {
+      traitsObj = JSON.parse(traits);
+    } catch (e) {
+      traitsObj = null;
+    }
+  }
+
+  if (traitsObj && typeof traitsObj === 'object') {
+    for (const [name, value] of Object.entries(columns)) {
+      if (value === '') continue;
+      traitsObj[name] = value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    }
+  }
+
+  return { destinationAddress, imageUrl, itemType: itemType || undefined, traits: traitsObj };
+}
+
+// Batch mint endpoint - accepts a JSON array of rows or a CSV upload
+app.post('/api/mint/batch', authenticate('mint'), rateLimit('mint-batch'), csvUpload.single('file'), selectNetwork, async (req, res) => {
+  // Mints reserved against the quota, given back unless a job is created for them
+  let reserved = [];
+
+  try {
+    let items;
+    let config = Array.isArray(req.body) ? undefined : req.body.config;
+
+    if (req.file) {
+      try {
+        items = parseCsv(req.file.buffer.toString('utf8')).map(csvRowToItem);
+      } catch (e) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid CSV file: ${e.message}`
+        });
+      }
+    } else {
+      items = Array.isArray(req.body) ? req.body : req.body.items;
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'A non-empty JSON array of items (or items array, or CSV file upload) is required'
+      });
+    }
+
+    if (items.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `A batch may contain at most ${MAX_BATCH_ROWS} items`
+      });
+    }
+
+    // Parse config if it's a string (from form-data)
+    if (typeof config === 'string' && config) {
+      try {
+        config = JSON.parse(config);
+      } catch (e) {
+        config = {};
+      }
+    }
+
+    if (config && config.privateKey) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: PRIVATE_KEY_REJECTED
+      });
+    }
+
+    // Parse traits if given as strings
+    items = items.map((item) => {
+      if (item && typeof item.traits === 'string') {
+        try {
+          return { ...item, traits: JSON.parse(item.traits) };
+        } catch (e) {
+          return { ...item, traits: null };
+        }
+      }
+      return item;
+    });
+
+    // Validate every row before any transaction is sent
+    const errors = [];
+    items.forEach((item, row) => {
+      if (!item || typeof item !== 'object') {
+        errors.push({ row, message: 'Row must be an object' });
+        return;
+      }
+      if (!item.destinationAddress || !ethers.isAddress(item.destinationAddress)) {
+        errors.push({ row, message: 'destinationAddress must be a valid address' });
+      }
+      if (!item.imageUrl || typeof item.imageUrl !== 'string') {
+        errors.push({ row, message: 'imageUrl is required' });
+      }
+      if (!item.traits || typeof item.traits !== 'object' || Array.isArray(item.traits)) {
+        errors.push({ row, message: 'traits must be a valid JSON object' });
+        return;
+      }
+      for (const violation of getTraitViolations(item.traits, item.itemType)) {
+        errors.push({ row, trait: violation.trait, message: violation.message });
+      }
+    });
+
+    // Quotas apply to new mints, not to retries of an existing job
+    if (errors.length === 0 && !hasIdempotentJob(req.headers['idempotency-key'], req.apiKey.id)) {
+      const exceeded = reserveMints(items.map(item => item.destinationAddress));
+      if (exceeded) {
+        return tooManyRequests(res, exceeded);
+      }
+      reserved = items.map(item => item.destinationAddress);
+      const underfunded = await checkWalletFunds(req.deployment.network, items.length);
+      if (underfunded) {
+        return walletUnderfunded(res, underfunded);
+      }
+    }
+
+    // Download and check each distinct image once
+    if (errors.length === 0) {
+      for (const imageUrl of new Set(items.map(item => item.imageUrl))) {
+        try {
+          await validateImageUrl(imageUrl);
+        } catch (imageError) {
+          if (imageError.code !== 'INVALID_IMAGE') {
+            throw imageError;
+          }
+          items.forEach((item, row) => {
+            if (item.imageUrl === imageUrl) {
+              errors.push({ row, message: imageError.message });
+            }
+          });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `${new Set(errors.map(error => error.row)).size} invalid row(s)`,
+        errors: errors
+      });
+    }
+
+    console.log(`[MINT_BATCH] Request for ${items.length} item(s) (key ${req.apiKey.id})`);
+
+    let jobResult;
+    try {
+      jobResult = createBatchMintJob({ items, config: config || {} }, req.headers['idempotency-key'], req.apiKey.id, req.id);
+      if (jobResult.created) {
+        reserved = [];
+      }
+    } catch (jobError) {
+      if (jobError.code === 'IDEMPOTENCY_CONFLICT') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: jobError.message
+        });
+      }
+      throw jobError;
+    }
+
+    res.status(jobResult.created ? 202 : 200).json({
+      success: true,
+      data: toJobStatus(jobResult.job)
+    });
+
+  } catch (error) {
+    console.error('[MINT_BATCH] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  } finally {
+    releaseMints(reserved);
+  }
+});
+
+// Mint job status endpoint
+app.get('/api/mint/jobs/:jobId', authenticate('mint'), rateLimit('mint-jobs'), (req, res) => {
+  const job = getMintJob(req.params.jobId);
+
+  // Other keys' jobs are reported as missing, so job IDs cannot be probed
+  if (!job || (job.apiKeyId !== req.apiKey.id && !hasScope(req.apiKey, 'admin'))) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Mint job ${req.params.jobId} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: toJobStatus(job)
+  });
+});
+
+// Status codes for errors thrown by speedUpTransaction/cancelTransaction
+const TX_ERROR_STATUS = {
+  TX_NOT_FOUND: [404, 'Not Found'],
+  TX_NOT_PENDING: [409, 'Conflict'],
+  TX_NOT_OWNED: [400, 'Bad Request'],
+  FEE_CEILING_REACHED: [409, 'Conflict'],
+  SIGNER_UNAVAILABLE: [503, 'Service Unavailable']
+};
+
+// Admin endpoints to manually speed up or cancel a pending owner wallet transaction
+app.post('/api/admin/transactions/:transactionHash/:action(speed-up|cancel)', authenticate('admin'), rateLimit('admin'), async (req, res) => {
+  const { transactionHash, action } = req.params;
+
+  try {
+    if (!ethers.isHexString(transactionHash, 32)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'transactionHash must be a 32-byte hex string'
+      });
+    }
+
+    console.log(`[ADMIN] ${action} requested for ${transactionHash} (key ${req.apiKey.id})`);
+
+    const wallet = await getOwnerSigner({ network: req.query.network || (req.body && req.body.network) });
+    const result = action === 'cancel'
+      ? await cancelTransaction(wallet, transactionHash)
+      : await speedUpTransaction(wallet, transactionHash);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error(`[ADMIN] ${action} error:`, error.message);
+
+    const [status, title] = TX_ERROR_STATUS[error.code] || NETWORK_ERROR_STATUS[error.code] || [500, 'Internal Server Error'];
+    res.status(status).json({
+      error: title,
+      message: error.message
+    });
+  }
+});
+
+// Admin endpoints to manage the trait schemas of item types
+app.get('/api/admin/trait-schemas', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: listSchemas()
+  });
+});
+
+app.get('/api/admin/trait-schemas/:itemType', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  const schema = getSchema(req.params.itemType);
+
+  if (!schema) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No trait schema for item type ${req.params.itemType}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: schema
+  });
+});
+
+app.put('/api/admin/trait-schemas/:itemType', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  try {
+    const { itemType } = req.params;
+
+    if (!isValidItemType(itemType)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'itemType must be 1-64 letters, digits, "-" or "_"'
+      });
+    }
+
+    const problems = validateSchemaDefinition(req.body);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid trait schema: ${problems.length} problem(s)`,
+        problems: problems
+      });
+    }
+
+    const created = saveSchema(itemType, req.body);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: getSchema(itemType)
+    });
+
+  } catch (error) {
+    console.error('[SCHEMAS] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/trait-schemas/:itemType', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  try {
+    if (!deleteSchema(req.params.itemType)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No trait schema for item type ${req.params.itemType}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Trait schema for item type ${req.params.itemType} deleted`
+    });
+
+  } catch (error) {
+    console.error('[SCHEMAS] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Admin endpoints to manage API keys
+app.get('/api/admin/keys', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: listApiKeys()
+  });
+});
+
+app.post('/api/admin/keys', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  try {
+    const created = createApiKey(req.body);
+    console.log(`[ADMIN] Key ${created.id} created (key ${req.apiKey.id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store the key now: it is not shown again.',
+      data: created
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_API_KEY_REQUEST') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    console.error('[API_KEYS] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/admin/keys/:keyId', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  const key = getApiKey(req.params.keyId);
+
+  if (!key) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `API key ${req.params.keyId} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: key
+  });
+});
+
+app.post('/api/admin/keys/:keyId/rotate', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  try {
+    const rotated = rotateApiKey(req.params.keyId, req.body || {});
+
+    if (!rotated) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `API key ${req.params.keyId} not found`
+      });
+    }
+    console.log(`[ADMIN] Key ${req.params.keyId} rotated (key ${req.apiKey.id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated. Store the new key now: it is not shown again.',
+      data: rotated
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_API_KEY_REQUEST') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    console.error('[API_KEYS] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/keys/:keyId', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  const key = revokeApiKey(req.params.keyId);
+
+  if (!key) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `API key ${req.params.keyId} not found`
+    });
+  }
+  console.log(`[ADMIN] Key ${req.params.keyId} revoked (key ${req.apiKey.id})`);
+
+  res.json({
+    success: true,
+    message: `API key ${req.params.keyId} revoked`,
+    data: key
+  });
+});
+
+// Admin endpoint showing rate limit and quota usage
+app.get('/api/admin/usage', authenticate('admin'), rateLimit('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: getUsage()
+  });
+});
+
+// Admin endpoint showing the owner wallet's balance, pending transactions and how many more items it can mint
+app.get('/api/admin/wallet', authenticate('admin'), rateLimit('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getWalletStatus({ network: req.query.network })
+    });
+  } catch (error) {
+    if (NETWORK_ERROR_STATUS[error.code]) {
+      return sendNetworkError(res, error);
+    }
+    console.error('[ADMIN] Wallet error:', error.message);
+    res.status(error.code === 'SIGNER_UNAVAILABLE' ? 503 : 500).json({
+      error: error.code === 'SIGNER_UNAVAILABLE' ? 'Service Unavailable' : 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Admin endpoint showing which backend signs owner wallet transactions and its address
+app.get('/api/admin/signer', authenticate('admin'), rateLimit('admin'), async (req, res) => {
+  try {
+    await loadSigner();
+  } catch (error) {
+    console.error('[ADMIN] Signer error:', error.message);
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: error.message,
+      data: getSignerInfo()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: getSignerInfo()
+  });
+});
+
+// Admin endpoint querying the audit log, newest records first
+app.get('/api/admin/audit', authenticate('admin'), rateLimit('admin'), async (req, res) => {
+  try {
+    const { records, nextCursor } = await queryAudit(req.query);
+
+    res.json({
+      success: true,
+      count: records.length,
+      nextCursor,
+      data: records
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    console.error('[ADMIN] Audit query error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Admin endpoint exporting the audit log as CSV, with the same filters
+app.get('/api/admin/audit/export', authenticate('admin'), rateLimit('admin'), async (req, res) => {
+  try {
+    const { records, nextCursor } = await queryAudit({
+      ...req.query,
+      limit: req.query.limit || AUDIT_EXPORT_MAX_ROWS
+    }, AUDIT_EXPORT_MAX_ROWS);
+
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.type('text/csv').send(toAuditCsv(records));
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    console.error('[ADMIN] Audit export error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Configured networks and collections
+app.get('/api/networks', authenticate('read'), rateLimit('networks'), (req, res) => {
+  res.json({
+    success: true,
+    data: listNetworks()
+  });
+});
+
+// Webhook subscriptions for mint, transfer and burn events. Each API key manages its own subscriptions.
+app.post('/api/webhooks', authenticate('read'), rateLimit('webhooks'), async (req, res) => {
+  try {
+    const subscription = await createSubscription(req.body, req.apiKey);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now: it is not shown again.',
+      data: subscription
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_WEBHOOK') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    console.error('[WEBHOOKS] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/webhooks', authenticate('read'), rateLimit('webhooks'), (req, res) => {
+  res.json({
+    success: true,
+    data: listSubscriptions(req.apiKey)
+  });
+});
+
+app.get('/api/webhooks/:subscriptionId', authenticate('read'), rateLimit('webhooks'), (req, res) => {
+  const subscription = getSubscription(req.params.subscriptionId, req.apiKey);
+
+  if (!subscription) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Webhook ${req.params.subscriptionId} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+app.delete('/api/webhooks/:subscriptionId', authenticate('read'), rateLimit('webhooks'), (req, res) => {
+  if (!deleteSubscription(req.params.subscriptionId, req.apiKey)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Webhook ${req.params.subscriptionId} not found`
+    });
+  }
 
-    // Parse config if it's a string (from form-data)
-    let configObj = config;
-    if (typeof config === 'string' && config) {
-      try {
-        configObj = JSON.parse(config);
-      } catch (e) {
-        // Ignore parse errors, use as-is
-        configObj = {};
-      }
-    }
+  res.json({
+    success: true,
+    message: `Webhook ${req.params.subscriptionId} deleted`
+  });
+});
 
-    console.log(`[MINT] Request for ${destinationAddress}`);
+app.get('/api/webhooks/:subscriptionId/deliveries', authenticate('read'), rateLimit('webhooks'), (req, res) => {
+  if (!getSubscription(req.params.subscriptionId, req.apiKey)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Webhook ${req.params.subscriptionId} not found`
+    });
+  }
 
-    // Get wallet address from config or use a placeholder
-    let walletAddress = 'unknown';
-    try {
-      const deploymentInfo = JSON.parse(fs.readFileSync('deployment.json', 'utf8'));
-      walletAddress = deploymentInfo.ownerAddress || 'unknown';
-    } catch (e) {
-      // Ignore
-    }
+  res.json({
+    success: true,
+    data: listDeliveries(req.params.subscriptionId)
+  });
+});
 
-    try {
-      // Call mint function
-      const result = await mint(destinationAddress, finalImageUrl, traitsObj, configObj || {});
+app.post('/api/webhooks/deliveries/:deliveryId/redeliver', authenticate('read'), rateLimit('webhooks'), (req, res) => {
+  try {
+    const delivery = redeliver(req.params.deliveryId, req.apiKey);
 
-      // Log successful mint
-      logMint(
-        walletAddress,
-        destinationAddress,
-        finalImageUrl,
-        result.tokenId,
-        result.transactionHash,
-        result.blockNumber,
-        true,
-        ''
-      );
-
-      res.json({
-        success: true,
-        data: result
-      });
-    } catch (mintError) {
-      // Log failed mint
-      logMint(
-        walletAddress,
-        destinationAddress,
-        finalImageUrl,
-        null,
-        null,
-        null,
-        false,
-        mintError.message
-      );
-      throw mintError;
-    }
+    res.status(202).json({
+      success: true,
+      message: 'Redelivery queued',
+      data: toDeliveryStatus(delivery)
+    });
 
   } catch (error) {
-    console.error('[MINT] Error:', error.message);
-    
-    // Handle multer errors
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Image file too large. Maximum size is 5MB.'
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
       });
     }
-
+    console.error('[WEBHOOKS] Error:', error.message);
     res.status(500).json({
       error: 'Internal Server Error',
       message: error.message
@@ -212,37 +1266,63 @@ app.post('/api/mint', authenticate, upload.single('image'), async (req, res) =>
   }
 });
 
+/**
+ * Where a retrieve request is answered from: the index (with its sync height) or the chain
+ *
+ * @param {Object} deployment - Network and contract of the request (req.deployment)
+ * @param {Object} config - Request configuration
+ */
+function getSyncInfo(deployment, config) {
+  const indexStatus = useIndex(deployment.contractAddress, { ...config, network: deployment.network });
+  return {
+    network: deployment.network,
+    collection: deployment.collection,
+    source: indexStatus ? 'index' : 'chain',
+    syncedBlock: indexStatus ? indexStatus.syncedBlock : null
+  };
+}
+
 // Retrieve endpoint
-app.get('/api/retrieve/:walletAddress', authenticate, async (req, res) => {
+app.get('/api/retrieve/:walletAddress', authenticate('read'), rateLimit('retrieve'), selectNetwork, async (req, res) => {
   try {
     const { walletAddress } = req.params;
-    const { contractAddress, rpcUrl } = req.query;
+    const { contractAddress, rpcUrl, source, network, collection } = req.query;
 
     // Build config from query params
     const config = {};
     if (contractAddress) config.contractAddress = contractAddress;
     if (rpcUrl) config.rpcUrl = rpcUrl;
+    if (source) config.source = source;
+    if (network) config.network = network;
+    if (collection) config.collection = collection;
 
-    console.log(`[RETRIEVE] Request for ${walletAddress}`);
-
+    // Trait filters, sorting, paging and fields (trait.<name>, sort, order, limit, cursor, fields)
+    let query;
     try {
-      // Call retrieve function
-      const items = await retrieve(walletAddress, config);
-
-      // Log successful retrieve
-      logRetrieve(walletAddress, items.length, true, '');
-
-      res.json({
-        success: true,
-        count: items.length,
-        data: items
+      query = parseItemQuery(queryFromParams(req.query));
+    } catch (queryError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: queryError.message
       });
-    } catch (retrieveError) {
-      // Log failed retrieve
-      logRetrieve(walletAddress, 0, false, retrieveError.message);
-      throw retrieveError;
     }
 
+    console.log(`[RETRIEVE] Request for ${walletAddress} (key ${req.apiKey.id})`);
+
+    // Call retrieve function
+    const sync = getSyncInfo(req.deployment, config);
+    const items = await retrieve(walletAddress, config);
+    const page = queryItems(items, query);
+
+    res.json({
+      success: true,
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      ...sync,
+      data: page.items
+    });
+
   } catch (error) {
     console.error('[RETRIEVE] Error:', error.message);
     res.status(500).json({
@@ -253,9 +1333,9 @@ app.get('/api/retrieve/:walletAddress', authenticate, async (req, res) => {
 });
 
 // Alternative POST method for retrieve (if needed)
-app.post('/api/retrieve', authenticate, async (req, res) => {
+app.post('/api/retrieve', authenticate('read'), rateLimit('retrieve'), selectNetwork, async (req, res) => {
   try {
-    const { walletAddress, config } = req.body;
+    const { walletAddress, config, filters, sort, order, limit, cursor, fields } = req.body;
 
     if (!walletAddress) {
       return res.status(400).json({
@@ -264,15 +1344,30 @@ app.post('/api/retrieve', authenticate, async (req, res) => {
       });
     }
 
-    console.log(`[RETRIEVE] Request for ${walletAddress}`);
+    let query;
+    try {
+      query = parseItemQuery({ filters, sort, order, limit, cursor, fields });
+    } catch (queryError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: queryError.message
+      });
+    }
+
+    console.log(`[RETRIEVE] Request for ${walletAddress} (key ${req.apiKey.id})`);
 
     // Call retrieve function
+    const sync = getSyncInfo(req.deployment, config || {});
     const items = await retrieve(walletAddress, config || {});
+    const page = queryItems(items, query);
 
     res.json({
       success: true,
-      count: items.length,
-      data: items
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      ...sync,
+      data: page.items
     });
 
   } catch (error) {
@@ -284,16 +1379,67 @@ app.post('/api/retrieve', authenticate, async (req, res) => {
   }
 });
 
+// Collection search endpoint - every item of the collection, answered from the index
+app.get('/api/items', authenticate('read'), rateLimit('items'), selectNetwork, async (req, res) => {
+  try {
+    const { contractAddress, network, collection, owner, mintedAfter, mintedBefore, q, facets } = req.query;
+
+    const config = {};
+    if (contractAddress) config.contractAddress = contractAddress;
+    if (network) config.network = network;
+    if (collection) config.collection = collection;
+
+    console.log(`[ITEMS] Search on ${req.deployment.network} (key ${req.apiKey.id})`);
+
+    const result = await searchItems({ ...queryFromParams(req.query), owner, mintedAfter, mintedBefore, q, facets }, config);
+
+    res.json({
+      success: true,
+      count: result.items.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      network: req.deployment.network,
+      collection: req.deployment.collection,
+      syncedBlock: result.syncedBlock,
+      pendingItems: result.pendingItems,
+      facets: result.facets,
+      data: result.items
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    if (error.code === 'INDEX_UNAVAILABLE') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: error.message
+      });
+    }
+    console.error('[ITEMS] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
 // Get item by token ID endpoint
-app.get('/api/item/:tokenId', authenticate, async (req, res) => {
+app.get('/api/item/:tokenId', authenticate('read'), rateLimit('item'), selectNetwork, async (req, res) => {
   try {
     const { tokenId } = req.params;
-    const { contractAddress, rpcUrl } = req.query;
+    const { contractAddress, rpcUrl, source, network, collection } = req.query;
 
     // Build config from query params
     const config = {};
     if (contractAddress) config.contractAddress = contractAddress;
     if (rpcUrl) config.rpcUrl = rpcUrl;
+    if (source) config.source = source;
+    if (network) config.network = network;
+    if (collection) config.collection = collection;
 
     console.log(`[GET_ITEM] Request for token ID: ${tokenId}`);
 
@@ -315,7 +1461,7 @@ app.get('/api/item/:tokenId', authenticate, async (req, res) => {
 });
 
 // Alternative POST method for get item (if needed)
-app.post('/api/item', authenticate, async (req, res) => {
+app.post('/api/item', authenticate('read'), rateLimit('item'), selectNetwork, async (req, res) => {
   try {
     const { tokenId, config } = req.body;
 
@@ -345,25 +1491,263 @@ app.post('/api/item', authenticate, async (req, res) => {
   }
 });
 
+// Update item traits endpoint - merges trait changes into the item's metadata on-chain
+// Runs as a background job; poll GET /api/mint/jobs/:jobId for its status
+app.patch('/api/item/:tokenId/traits', authenticate('mint'), rateLimit('update'), selectNetwork, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const { traits, itemType, config } = req.body;
+
+    if (!/^\d+$/.test(tokenId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'tokenId must be a valid number'
+      });
+    }
+
+    if (!traits || typeof traits !== 'object' || Array.isArray(traits) || Object.keys(traits).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'traits must be a non-empty object of trait changes'
+      });
+    }
+
+    if (config && config.privateKey) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: PRIVATE_KEY_REJECTED
+      });
+    }
+
+    let item;
+    try {
+      item = await getItem(tokenId, { ...(config || {}), source: 'chain' });
+    } catch (itemError) {
+      if (itemError.code === 'TOKEN_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: itemError.message
+        });
+      }
+      throw itemError;
+    }
+
+    // The traits after the update are checked against the schema of the item type it was minted with;
+    // itemType only applies to items minted without one
+    const mintedType = getItemType(item.metadata);
+    if (mintedType && itemType && itemType !== mintedType) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `itemType ${itemType} does not match the item's type ${mintedType}`
+      });
+    }
+    const updateType = mintedType || itemType;
+    const violations = getTraitViolations(mergeTraits(item.traits || {}, traits), updateType);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `traits do not match the schema: ${violations.length} violation(s)`,
+        violations: violations
+      });
+    }
+
+    if (!hasIdempotentJob(req.headers['idempotency-key'], req.apiKey.id)) {
+      const exceeded = checkGasBudget();
+      if (exceeded) {
+        return tooManyRequests(res, exceeded);
+      }
+    }
+
+    console.log(`[UPDATE_ITEM] Request for token ID: ${tokenId} (key ${req.apiKey.id})`);
+
+    let jobResult;
+    try {
+      jobResult = createUpdateJob({ tokenId, traits, itemType: updateType, config: config || {} }, req.headers['idempotency-key'], req.apiKey.id, req.id);
+    } catch (jobError) {
+      if (jobError.code === 'IDEMPOTENCY_CONFLICT') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: jobError.message
+        });
+      }
+      throw jobError;
+    }
+
+    res.status(jobResult.created ? 202 : 200).json({
+      success: true,
+      data: toJobStatus(jobResult.job)
+    });
+
+  } catch (error) {
+    console.error('[UPDATE_ITEM] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Burn item endpoint - destroys an item (e.g. a used consumable) from the owner wallet
+// Runs as a background job; poll GET /api/mint/jobs/:jobId for its status
+app.post('/api/item/:tokenId/burn', authenticate('mint'), rateLimit('burn'), selectNetwork, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const { config } = req.body;
+
+    if (!/^\d+$/.test(tokenId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'tokenId must be a valid number'
+      });
+    }
+
+    if (config && config.privateKey) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: PRIVATE_KEY_REJECTED
+      });
+    }
+
+    if (!hasIdempotentJob(req.headers['idempotency-key'], req.apiKey.id)) {
+      const exceeded = checkGasBudget();
+      if (exceeded) {
+        return tooManyRequests(res, exceeded);
+      }
+    }
+
+    console.log(`[BURN_ITEM] Request for token ID: ${tokenId} (key ${req.apiKey.id})`);
+
+    let jobResult;
+    try {
+      jobResult = createBurnJob({ tokenId, config: config || {} }, req.headers['idempotency-key'], req.apiKey.id, req.id);
+    } catch (jobError) {
+      if (jobError.code === 'IDEMPOTENCY_CONFLICT') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: jobError.message
+        });
+      }
+      throw jobError;
+    }
+
+    res.status(jobResult.created ? 202 : 200).json({
+      success: true,
+      data: toJobStatus(jobResult.job)
+    });
+
+  } catch (error) {
+    console.error('[BURN_ITEM] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Sign-In With Ethereum: issue a challenge for a wallet to sign
+app.post('/api/auth/challenge', authenticate('read'), rateLimit('auth'), (req, res) => {
+  try {
+    const { walletAddress, domain, uri, chainId } = req.body;
+
+    const challenge = createChallenge(walletAddress, {
+      domain,
+      uri,
+      chainId,
+      apiKeyId: req.apiKey.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: challenge
+    });
+
+  } catch (error) {
+    if (error.code === 'TOO_MANY_CHALLENGES') {
+      return tooManyRequests(res, { message: error.message, retryAfter: 60 });
+    }
+    if (error.code === 'SIWE_NOT_CONFIGURED') {
+      console.error('[SIWE] Error:', error.message);
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: error.message
+      });
+    }
+    res.status(error.code === 'INVALID_SIWE_REQUEST' ? 400 : 500).json({
+      error: error.code === 'INVALID_SIWE_REQUEST' ? 'Bad Request' : 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Sign-In With Ethereum: check the signed challenge and start a wallet session
+app.post('/api/auth/verify', authenticate('read'), rateLimit('auth'), (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'message and signature are required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: verifyChallenge(message, signature, req.apiKey.id)
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_SIGNATURE') {
+      console.warn(`⚠️  [SIWE] Sign-in rejected: ${error.message}`);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: error.message
+      });
+    }
+    console.error('[SIWE] Error:', error.message);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
 // Verify owner endpoint
-app.get('/api/verify-owner/:walletAddress/:tokenId', authenticate, async (req, res) => {
+app.get('/api/verify-owner/:walletAddress/:tokenId', authenticate('read'), rateLimit('verify-owner'), selectNetwork, async (req, res) => {
   try {
     const { walletAddress, tokenId } = req.params;
-    const { contractAddress, rpcUrl } = req.query;
+    const { contractAddress, rpcUrl, source, network, collection, requireSignature } = req.query;
+
+    // Session tokens are not accepted in the query string, where they would end up in access logs
+    const { signatureVerified, failure } = checkWalletSession(
+      req.get('X-Wallet-Session'),
+      walletAddress,
+      requireSignature === 'true',
+      req.apiKey
+    );
+    if (failure) {
+      return res.status(failure.status).json({
+        error: failure.error,
+        message: failure.message
+      });
+    }
 
     // Build config from query params
     const config = {};
     if (contractAddress) config.contractAddress = contractAddress;
     if (rpcUrl) config.rpcUrl = rpcUrl;
+    if (source) config.source = source;
+    if (network) config.network = network;
+    if (collection) config.collection = collection;
 
-    console.log(`[VERIFY_OWNER] Request: wallet ${walletAddress}, token ${tokenId}`);
+    console.log(`[VERIFY_OWNER] Request: wallet ${walletAddress}, token ${tokenId}${signatureVerified ? ' (signed)' : ''}`);
 
     // Call verifyOwner function
     const result = await verifyOwner(walletAddress, tokenId, config);
 
     res.json({
       success: true,
-      data: result
+      data: { ...result, signatureVerified }
     });
 
   } catch (error) {
@@ -376,9 +1760,9 @@ app.get('/api/verify-owner/:walletAddress/:tokenId', authenticate, async (req, r
 });
 
 // Alternative POST method for verify owner
-app.post('/api/verify-owner', authenticate, async (req, res) => {
+app.post('/api/verify-owner', authenticate('read'), rateLimit('verify-owner'), selectNetwork, async (req, res) => {
   try {
-    const { walletAddress, tokenId, config } = req.body;
+    const { walletAddress, tokenId, sessionToken, config = {} } = req.body;
 
     if (!walletAddress || !tokenId) {
       return res.status(400).json({
@@ -387,14 +1771,28 @@ app.post('/api/verify-owner', authenticate, async (req, res) => {
       });
     }
 
-    console.log(`[VERIFY_OWNER] Request: wallet ${walletAddress}, token ${tokenId}`);
+    const { requireSignature, ...verifyConfig } = config || {};
+    const { signatureVerified, failure } = checkWalletSession(
+      req.get('X-Wallet-Session') || sessionToken,
+      walletAddress,
+      requireSignature === true,
+      req.apiKey
+    );
+    if (failure) {
+      return res.status(failure.status).json({
+        error: failure.error,
+        message: failure.message
+      });
+    }
+
+    console.log(`[VERIFY_OWNER] Request: wallet ${walletAddress}, token ${tokenId}${signatureVerified ? ' (signed)' : ''}`);
 
     // Call verifyOwner function
-    const result = await verifyOwner(walletAddress, tokenId, config || {});
+    const result = await verifyOwner(walletAddress, tokenId, verifyConfig);
 
     res.json({
       success: true,
-      data: result
+      data: { ...result, signatureVerified }
     });
 
   } catch (error) {
@@ -406,17 +1804,191 @@ app.post('/api/verify-owner', authenticate, async (req, res) => {
   }
 });
 
+// Live inventory stream over Server-Sent Events (WebSocket clients connect to the same path, see below)
+app.get('/api/stream/wallet/:walletAddress', authenticate('read'), rateLimit('stream'), (req, res) => {
+  const { walletAddress } = req.params;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  let close;
+  try {
+    validateStreamRequest(walletAddress, lastEventId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    close = openWalletStream(walletAddress, lastEventId, ({ id, event, data }) => {
+      res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+    console.log(`[STREAM] SSE stream opened for ${walletAddress}`);
+
+  } catch (error) {
+    return res.status(error.code === 'INDEX_UNAVAILABLE' ? 503 : 400).json({
+      error: error.code === 'INDEX_UNAVAILABLE' ? 'Service Unavailable' : 'Bad Request',
+      message: error.message
+    });
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    close();
+  });
+});
+
+// Upload errors (file type, size) are raised by multer before the route handler runs
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError || error.code === 'INVALID_IMAGE') {
+    console.error('[UPLOAD] Error:', error.message);
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `File too large. Maximum size is ${req.path === '/api/mint/batch' ? '2MB' : '5MB'}.`
+        : error.message
+    });
+  }
+  next(error);
+});
+
+// Uploaded images get URLs under PUBLIC_BASE_URL, so the server does not start without it
+try {
+  checkPublicBaseUrl();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 Endpoints:`);
   console.log(`   POST /api/mint`);
+  console.log(`   POST /api/mint/batch`);
+  console.log(`   GET  /api/mint/jobs/:jobId`);
+  console.log(`   POST /api/admin/transactions/:transactionHash/speed-up`);
+  console.log(`   POST /api/admin/transactions/:transactionHash/cancel`);
+  console.log(`   GET  /api/admin/trait-schemas`);
+  console.log(`   GET  /api/admin/trait-schemas/:itemType`);
+  console.log(`   PUT  /api/admin/trait-schemas/:itemType`);
+  console.log(`   DELETE /api/admin/trait-schemas/:itemType`);
+  console.log(`   GET  /api/admin/keys`);
+  console.log(`   POST /api/admin/keys`);
+  console.log(`   GET  /api/admin/keys/:keyId`);
+  console.log(`   POST /api/admin/keys/:keyId/rotate`);
+  console.log(`   DELETE /api/admin/keys/:keyId`);
+  console.log(`   GET  /api/admin/usage`);
+  console.log(`   GET  /api/admin/wallet`);
+  console.log(`   GET  /api/admin/signer`);
+  console.log(`   GET  /api/admin/audit`);
+  console.log(`   GET  /api/admin/audit/export`);
+  console.log(`   GET  /api/networks`);
+  console.log(`   POST /api/webhooks`);
+  console.log(`   GET  /api/webhooks`);
+  console.log(`   GET  /api/webhooks/:subscriptionId`);
+  console.log(`   DELETE /api/webhooks/:subscriptionId`);
+  console.log(`   GET  /api/webhooks/:subscriptionId/deliveries`);
+  console.log(`   POST /api/webhooks/deliveries/:deliveryId/redeliver`);
   console.log(`   GET  /api/retrieve/:walletAddress`);
   console.log(`   POST /api/retrieve`);
+  console.log(`   GET  /api/items`);
   console.log(`   GET  /api/item/:tokenId`);
   console.log(`   POST /api/item`);
+  console.log(`   PATCH /api/item/:tokenId/traits`);
+  console.log(`   POST /api/item/:tokenId/burn`);
+  console.log(`   POST /api/auth/challenge`);
+  console.log(`   POST /api/auth/verify`);
   console.log(`   GET  /api/verify-owner/:walletAddress/:tokenId`);
+  console.log(`   GET  /api/stream/wallet/:walletAddress (SSE or WebSocket)`);
   console.log(`   POST /api/verify-owner`);
+  console.log(`   GET  /assets/:cid`);
   console.log(`   GET  /health`);
+  console.log(`   GET  /metrics`);
+
+  // Check every network's chain ID, then sync the owner wallet nonce before resuming jobs
+  // so resumed mints get correct nonces and nothing is sent to an RPC endpoint on the wrong chain
+  validateNetworks()
+    .then(() => initSigner())
+    .then(({ address, nextNonce }) => console.log(`🔑 Owner wallet ${address} (next nonce ${nextNonce})`))
+    .catch((error) => console.warn(`⚠️  Could not sync owner wallet nonce: ${error.message}`))
+    .finally(() => resumeMintJobs());
+
+  // Follow Transfer events so reads can be answered from the local index
+  if (process.env.INDEXER_ENABLED !== 'false') {
+    startIndexer();
+  }
+
+  // Retry webhook deliveries that were still pending when the server stopped
+  resumeDeliveries();
+
+  // Keep the owner wallet balance of /metrics current and send low-balance alerts
+  startBalanceMonitor();
 });
 
+// WebSocket version of the wallet stream: same path, events sent as JSON { id, event, data }.
+// Browsers cannot set headers on WebSockets, so the key and last event ID may be query parameters.
+const streamServer = new WebSocketServer({ noServer: true });
+
+function rejectUpgrade(socket, status, title, message, headers = {}) {
+  const extraHeaders = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+  socket.end(`HTTP/1.1 ${status} ${title}\r\nContent-Type: application/json\r\nConnection: close\r\n${extraHeaders}\r\n` +
+    JSON.stringify({ error: title, message }));
+}
+
+server.on('upgrade', (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  const match = /^\/api\/stream\/wallet\/([^/]+)$/.exec(url.pathname);
+
+  if (!match) {
+    return rejectUpgrade(socket, 404, 'Not Found', `No WebSocket endpoint at ${url.pathname}`);
+  }
+
+  const { apiKey, failure } = checkApiKey(req.headers['x-api-key'] || url.searchParams.get('apiKey'), 'read');
+  if (failure) {
+    return rejectUpgrade(socket, failure.status, failure.error, failure.message);
+  }
+
+  const limit = checkRateLimit(apiKey, 'stream');
+  if (!limit.allowed) {
+    return rejectUpgrade(socket, 429, 'Too Many Requests', `Rate limit of ${limit.limit} requests per minute exceeded for stream`,
+      { 'Retry-After': limit.retryAfter });
+  }
+
+  let walletAddress;
+  const lastEventId = url.searchParams.get('lastEventId') || undefined;
+  try {
+    walletAddress = decodeURIComponent(match[1]);
+    validateStreamRequest(walletAddress, lastEventId);
+  } catch (error) {
+    if (error instanceof URIError) {
+      return rejectUpgrade(socket, 400, 'Bad Request', 'walletAddress is not a valid URL-encoded value');
+    }
+    return error.code === 'INDEX_UNAVAILABLE'
+      ? rejectUpgrade(socket, 503, 'Service Unavailable', error.message)
+      : rejectUpgrade(socket, 400, 'Bad Request', error.message);
+  }
+
+  streamServer.handleUpgrade(req, socket, head, (ws) => {
+    const close = openWalletStream(walletAddress, lastEventId, (event) => ws.send(JSON.stringify(event)));
+    console.log(`[STREAM] WebSocket stream opened for ${walletAddress}`);
+
+    const heartbeat = setInterval(() => ws.ping(), HEARTBEAT_MS);
+    let closed = false;
+    const stop = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      close();
+    };
+    ws.on('close', stop);
+    // ws reports protocol errors (e.g. an unmasked client frame) as 'error'; unhandled, it would end the process
+    ws.on('error', (error) => {
+      console.warn(`⚠️  [STREAM] WebSocket stream for ${walletAddress} failed: ${error.message}`);
+      stop();
+    });
+  });
+});
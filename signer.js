@@ -0,0 +1,239 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+
+// Backends the owner wallet can sign with
+export const SIGNER_BACKENDS = ['keystore', 'env', 'remote', 'file'];
+
+// Plaintext key file read by older versions; only used when no other backend is configured
+const LEGACY_KEY_PATH = 'polygon_private_key.txt';
+
+const REMOTE_TIMEOUT_MS = 10000;
+
+let signerPromise = null;
+let signerInfo = { backend: null, address: null, loadedAt: null, error: null };
+
+function signerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Signer that asks an HTTP signing service to sign, so the key never reaches this server.
+ *
+ * The service is called with a bearer token (SIGNER_REMOTE_TOKEN) and JSON bodies:
+ *   GET  <url>/address           -> { address }
+ *   POST <url>/sign-transaction  { address, chainId, transaction } -> { signedTransaction }
+ *     (transaction is the unsigned serialized transaction)
+ *   POST <url>/sign-message      { address, message } -> { signature }  (message is hex)
+ *   POST <url>/sign-typed-data   { address, domain, types, value } -> { signature }
+ *
+ * Every signature is checked against the owner address and the request before it is used.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(url, token, address, provider = null) {
+    super(provider);
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+    this.address = address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.token, this.address, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(request) {
+    const { to, from } = await ethers.resolveProperties({
+      to: request.to ? ethers.resolveAddress(request.to, this.provider) : undefined,
+      from: request.from ? ethers.resolveAddress(request.from, this.provider) : undefined
+    });
+    if (from && ethers.getAddress(from) !== this.address) {
+      throw new Error(`Transaction from ${from} cannot be signed by ${this.address}`);
+    }
+
+    const unsigned = ethers.Transaction.from({ ...request, to, from: undefined });
+    const { signedTransaction } = await callSigningService(this, 'sign-transaction', {
+      address: this.address,
+      chainId: unsigned.chainId.toString(),
+      transaction: unsigned.unsignedSerialized
+    });
+
+    const signed = ethers.Transaction.from(signedTransaction);
+    if (signed.from !== this.address || signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('Signing service returned a transaction that does not match the request');
+    }
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const { signature } = await callSigningService(this, 'sign-message', {
+      address: this.address,
+      message: ethers.hexlify(typeof message === 'string' ? ethers.toUtf8Bytes(message) : message)
+    });
+    if (ethers.verifyMessage(message, signature) !== this.address) {
+      throw new Error('Signing service returned a signature from another address');
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const { signature } = await callSigningService(this, 'sign-typed-data', {
+      address: this.address,
+      domain,
+      types,
+      value: JSON.parse(JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item))
+    });
+    if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) {
+      throw new Error('Signing service returned a signature from another address');
+    }
+    return signature;
+  }
+}
+
+async function callSigningService(signer, endpoint, body) {
+  const response = await fetch(`${signer.url}/${endpoint}`, {
+    method: body ? 'POST' : 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(signer.token ? { 'Authorization': `Bearer ${signer.token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Signing service ${endpoint} failed: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Picks the backend: SIGNER_BACKEND, else the first one that is configured
+ */
+function selectBackend() {
+  const backend = process.env.SIGNER_BACKEND;
+  if (backend) {
+    if (!SIGNER_BACKENDS.includes(backend)) {
+      throw signerError(`SIGNER_BACKEND must be one of: ${SIGNER_BACKENDS.join(', ')}`, 'SIGNER_UNAVAILABLE');
+    }
+    return backend;
+  }
+  if (process.env.SIGNER_KEYSTORE_PATH) return 'keystore';
+  if (process.env.SIGNER_REMOTE_URL) return 'remote';
+  if (process.env.SIGNER_PRIVATE_KEY) return 'env';
+  return 'file';
+}
+
+function parsePrivateKey(privateKey, source) {
+  const key = privateKey.trim().startsWith('0x') ? privateKey.trim() : `0x${privateKey.trim()}`;
+  try {
+    return new ethers.Wallet(key);
+  } catch (error) {
+    throw signerError(`${source} does not contain a valid private key`, 'SIGNER_UNAVAILABLE');
+  }
+}
+
+async function createSigner(backend) {
+  switch (backend) {
+    case 'keystore': {
+      const keystorePath = process.env.SIGNER_KEYSTORE_PATH;
+      if (!keystorePath || process.env.SIGNER_KEYSTORE_PASSWORD === undefined) {
+        throw signerError('SIGNER_KEYSTORE_PATH and SIGNER_KEYSTORE_PASSWORD are required for the keystore signer', 'SIGNER_UNAVAILABLE');
+      }
+      let keystore;
+      try {
+        keystore = fs.readFileSync(keystorePath, 'utf8');
+      } catch (error) {
+        throw signerError(`Could not read keystore ${keystorePath}: ${error.message}`, 'SIGNER_UNAVAILABLE');
+      }
+      try {
+        return await ethers.Wallet.fromEncryptedJson(keystore, process.env.SIGNER_KEYSTORE_PASSWORD);
+      } catch (error) {
+        throw signerError(`Could not decrypt keystore ${keystorePath}: ${error.shortMessage || error.message}`, 'SIGNER_UNAVAILABLE');
+      }
+    }
+
+    case 'env':
+      if (!process.env.SIGNER_PRIVATE_KEY) {
+        throw signerError('SIGNER_PRIVATE_KEY is required for the env signer', 'SIGNER_UNAVAILABLE');
+      }
+      return parsePrivateKey(process.env.SIGNER_PRIVATE_KEY, 'SIGNER_PRIVATE_KEY');
+
+    case 'remote': {
+      const url = process.env.SIGNER_REMOTE_URL;
+      if (!url) {
+        throw signerError('SIGNER_REMOTE_URL is required for the remote signer', 'SIGNER_UNAVAILABLE');
+      }
+      const signer = new RemoteSigner(url, process.env.SIGNER_REMOTE_TOKEN, null);
+      let address = process.env.SIGNER_REMOTE_ADDRESS;
+      if (!address) {
+        try {
+          ({ address } = await callSigningService(signer, 'address'));
+        } catch (error) {
+          throw signerError(`Could not get the address of the signing service: ${error.message}`, 'SIGNER_UNAVAILABLE');
+        }
+      }
+      if (!ethers.isAddress(address)) {
+        throw signerError('Signing service address is not a valid address', 'SIGNER_UNAVAILABLE');
+      }
+      signer.address = ethers.getAddress(address);
+      return signer;
+    }
+
+    case 'file': {
+      let privateKey;
+      try {
+        privateKey = fs.readFileSync(LEGACY_KEY_PATH, 'utf8');
+      } catch (error) {
+        throw signerError(`No signer configured: set SIGNER_BACKEND (${SIGNER_BACKENDS.join(', ')})`, 'SIGNER_UNAVAILABLE');
+      }
+      console.warn(`⚠️  [SIGNER] Signing with the plaintext key in ${LEGACY_KEY_PATH}. Move it to an encrypted keystore (SIGNER_BACKEND=keystore).`);
+      return parsePrivateKey(privateKey, LEGACY_KEY_PATH);
+    }
+  }
+}
+
+/**
+ * Loads the owner wallet's signer from the configured backend (see SIGNER_BACKENDS).
+ * The signer is created once; if that fails, the next call tries again.
+ *
+ * @returns {Promise<ethers.Signer>} Signer with an address property, not connected to a provider
+ * @throws {Error} With code 'SIGNER_UNAVAILABLE' if the backend is not configured or cannot be reached
+ *
+ * @example
+ * const signer = await loadSigner();
+ * console.log(`Signing as ${signer.address}`);
+ */
+export function loadSigner() {
+  if (!signerPromise) {
+    let backend;
+    signerPromise = Promise.resolve()
+      .then(() => {
+        backend = selectBackend();
+        return createSigner(backend);
+      })
+      .then((signer) => {
+        signerInfo = { backend, address: signer.address, loadedAt: new Date().toISOString(), error: null };
+        console.log(`[SIGNER] Using the ${backend} signer for ${signer.address}`);
+        return signer;
+      })
+      .catch((error) => {
+        signerInfo = { backend: backend || null, address: null, loadedAt: null, error: error.message };
+        signerPromise = null;
+        throw error;
+      });
+  }
+  return signerPromise;
+}
+
+/**
+ * Reports the active signer
+ *
+ * @returns {Object} { backend, address, loadedAt, error } (address is null until the signer has loaded)
+ */
+export function getSignerInfo() {
+  return { ...signerInfo };
+}
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { resolveNetwork } from './networks.js';
+import { envNumber } from './config.js';
+
+// Sign-In With Ethereum (EIP-4361) settings
+const CHAIN_ID = envNumber('SIWE_CHAIN_ID', null); // Defaults to the chain of the default network
+const CHALLENGE_TTL_SECONDS = envNumber('SIWE_CHALLENGE_TTL_SECONDS', 300);
+const SESSION_TTL_SECONDS = envNumber('SIWE_SESSION_TTL_SECONDS', 900);
+const STATEMENT = process.env.SIWE_STATEMENT || 'Sign in to prove you control this wallet.';
+const MAX_PENDING_CHALLENGES = envNumber('SIWE_MAX_PENDING_CHALLENGES', 10000);
+
+// Challenges by nonce and sessions by token. Both are short-lived, so they are kept in memory only
+// (a restart signs everyone out).
+const challenges = new Map();
+const sessions = new Map();
+
+function siweError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function removeExpired() {
+  const now = Date.now();
+  for (const [nonce, challenge] of challenges) {
+    if (challenge.expiresAt <= now) challenges.delete(nonce);
+  }
+  for (const [token, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(token);
+  }
+}
+
+setInterval(removeExpired, 60 * 1000).unref();
+
+/**
+ * Domain players sign in to: SIWE_DOMAIN, else the host of PUBLIC_BASE_URL. It is never taken from
+ * a request, so a challenge cannot be issued for another site.
+ *
+ * @returns {string|null} Host name, optionally with a port, or null if neither is configured
+ */
+export function getSiweDomain() {
+  if (process.env.SIWE_DOMAIN) {
+    return process.env.SIWE_DOMAIN;
+  }
+  try {
+    return new URL(process.env.PUBLIC_BASE_URL).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds an EIP-4361 message
+ */
+function buildMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n');
+}
+
+/**
+ * Issues a Sign-In With Ethereum challenge: an EIP-4361 message with a one-time nonce
+ * for the wallet to sign with personal_sign
+ *
+ * @param {string} walletAddress - Wallet that will sign
+ * @param {Object} config - Optional configuration:
+ *   @param {string} domain - Domain the player signs in to; must be the configured one (see getSiweDomain)
+ *   @param {string} uri - URI of the sign-in page, on that domain (default: SIWE_URI, else https://<domain>)
+ *   @param {number} chainId - Chain ID in the message (default: SIWE_CHAIN_ID, else the default network's chain)
+ *   @param {string} apiKeyId - ID of the API key that requested the challenge; only it can verify the challenge
+ * @returns {Object} { message, nonce, walletAddress, issuedAt, expirationTime }
+ * @throws {Error} With code 'INVALID_SIWE_REQUEST' if the address, domain or URI is invalid,
+ *   or 'TOO_MANY_CHALLENGES' if too many challenges are waiting to be signed
+ *
+ * @example
+ * const { message } = createChallenge('0x0ad71CEf14201B7fC7de53Ff2b4d40B9a96C2813', { apiKeyId: req.apiKey.id });
+ * // Ask the player's wallet to sign `message`, then call verifyChallenge(message, signature, req.apiKey.id)
+ */
+export function createChallenge(walletAddress, config = {}) {
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    throw siweError('walletAddress must be a valid address', 'INVALID_SIWE_REQUEST');
+  }
+
+  const domain = getSiweDomain();
+  if (!domain || !/^[a-z0-9.-]+(:\d+)?$/i.test(domain)) {
+    throw siweError('SIWE_DOMAIN must be set to the host name players sign in to, optionally with a port', 'SIWE_NOT_CONFIGURED');
+  }
+  if (config.domain && config.domain.toLowerCase() !== domain.toLowerCase()) {
+    throw siweError(`domain must be ${domain}`, 'INVALID_SIWE_REQUEST');
+  }
+
+  const uri = config.uri || process.env.SIWE_URI || `https://${domain}`;
+  let parsedUri;
+  try {
+    parsedUri = new URL(uri);
+  } catch (error) {
+    throw siweError('uri must be a valid URI', 'INVALID_SIWE_REQUEST');
+  }
+  if (config.uri && parsedUri.host.toLowerCase() !== domain.toLowerCase()) {
+    throw siweError(`uri must be on ${domain}`, 'INVALID_SIWE_REQUEST');
+  }
+
+  const chainId = config.chainId !== undefined ? Number(config.chainId) : (CHAIN_ID || resolveNetwork().chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw siweError('chainId must be a positive integer', 'INVALID_SIWE_REQUEST');
+  }
+
+  if (challenges.size >= MAX_PENDING_CHALLENGES) {
+    removeExpired();
+    if (challenges.size >= MAX_PENDING_CHALLENGES) {
+      throw siweError('Too many pending challenges, try again later', 'TOO_MANY_CHALLENGES');
+    }
+  }
+
+  const now = Date.now();
+  const challenge = {
+    walletAddress: ethers.getAddress(walletAddress),
+    domain,
+    apiKeyId: config.apiKeyId || null,
+    nonce: crypto.randomBytes(16).toString('hex'),
+    issuedAt: new Date(now).toISOString(),
+    expirationTime: new Date(now + CHALLENGE_TTL_SECONDS * 1000).toISOString(),
+    expiresAt: now + CHALLENGE_TTL_SECONDS * 1000
+  };
+  challenge.message = buildMessage({
+    domain,
+    address: challenge.walletAddress,
+    statement: STATEMENT,
+    uri,
+    chainId,
+    nonce: challenge.nonce,
+    issuedAt: challenge.issuedAt,
+    expirationTime: challenge.expirationTime
+  });
+
+  challenges.set(challenge.nonce, challenge);
+
+  return {
+    message: challenge.message,
+    nonce: challenge.nonce,
+    walletAddress: challenge.walletAddress,
+    issuedAt: challenge.issuedAt,
+    expirationTime: challenge.expirationTime
+  };
+}
+
+/**
+ * Verifies a signed challenge and starts a session for the wallet that signed it, bound to the
+ * challenge's domain and API key. Each challenge can be used once.
+ *
+ * @param {string} message - The exact message returned by createChallenge
+ * @param {string} signature - personal_sign signature of the message
+ * @param {string} apiKeyId - ID of the API key making the request; must be the one that requested the challenge
+ * @returns {Object} { sessionToken, walletAddress, expiresAt }
+ * @throws {Error} With code 'INVALID_SIGNATURE' if the challenge is unknown, expired, used, requested by
+ *   another API key or signed by another wallet
+ */
+export function verifyChallenge(message, signature, apiKeyId) {
+  if (typeof message !== 'string' || typeof signature !== 'string') {
+    throw siweError('message and signature are required', 'INVALID_SIGNATURE');
+  }
+
+  const nonceMatch = /^Nonce: ([0-9a-f]+)$/m.exec(message);
+  const challenge = nonceMatch && challenges.get(nonceMatch[1]);
+
+  // Only messages issued by createChallenge to the same API key are accepted, unchanged
+  if (!challenge || challenge.message !== message || challenge.apiKeyId !== (apiKeyId || null)) {
+    throw siweError('Unknown or already used challenge', 'INVALID_SIGNATURE');
+  }
+  challenges.delete(challenge.nonce);
+
+  if (challenge.expiresAt <= Date.now()) {
+    throw siweError('Challenge has expired', 'INVALID_SIGNATURE');
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    throw siweError('Signature is malformed', 'INVALID_SIGNATURE');
+  }
+  if (signer !== challenge.walletAddress) {
+    throw siweError(`Message was signed by ${signer}, not ${challenge.walletAddress}`, 'INVALID_SIGNATURE');
+  }
+
+  const session = {
+    walletAddress: challenge.walletAddress,
+    domain: challenge.domain,
+    apiKeyId: challenge.apiKeyId,
+    expiresAt: Date.now() + SESSION_TTL_SECONDS * 1000
+  };
+  const sessionToken = `siwe_${crypto.randomBytes(32).toString('hex')}`;
+  sessions.set(sessionToken, session);
+
+  console.log(`[SIWE] Session started for ${session.walletAddress}`);
+
+  return {
+    sessionToken,
+    walletAddress: session.walletAddress,
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Looks up a session started by verifyChallenge
+ *
+ * @param {string} sessionToken - Session token
+ * @returns {Object|null} { walletAddress, domain, apiKeyId, expiresAt }, or null if the token is unknown or expired
+ */
+export function getSession(sessionToken) {
+  const session = typeof sessionToken === 'string' ? sessions.get(sessionToken) : null;
+
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(sessionToken);
+    return null;
+  }
+  return {
+    walletAddress: session.walletAddress,
+    domain: session.domain,
+    apiKeyId: session.apiKeyId,
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Determine storage path - STORAGE_PATH if set (the tests use a temporary folder), /storage if mounted,
+// otherwise use relative path
+export const STORAGE_PATH = process.env.STORAGE_PATH ||
+  (fs.existsSync('/storage') ? '/storage' : path.join(__dirname, 'storage'));
+
+// Ensure storage directory exists
+if (!fs.existsSync(STORAGE_PATH)) {
+  fs.mkdirSync(STORAGE_PATH, { recursive: true });
+}
+
+/**
+ * Read a JSON file from the storage directory
+ *
+ * @param {string} fileName - File name relative to the storage directory
+ * @param {*} fallback - Value returned if the file does not exist or cannot be parsed
+ * @returns {*} Parsed file contents or the fallback
+ */
+export function readJson(fileName, fallback) {
+  const filePath = path.join(STORAGE_PATH, fileName);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[STORAGE] Could not read ${fileName}:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file to the storage directory.
+ * Writes to a temporary file first and renames it so a crash never leaves a half-written file.
+ *
+ * @param {string} fileName - File name relative to the storage directory
+ * @param {*} data - Data to serialize
+ */
+export function writeJson(fileName, data) {
+  const filePath = path.join(STORAGE_PATH, fileName);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
@@ -0,0 +1,65 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keys are saved to storage as they are created, so keep them out of the real storage folder
+process.env.STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+const { createApiKey, verifyApiKey, hasScope, revokeApiKey, rotateApiKey, getApiKey } = await import('../api-keys.js');
+
+after(() => fs.rmSync(process.env.STORAGE_PATH, { recursive: true, force: true }));
+
+test('created keys verify, and only their hash is stored', () => {
+  const created = createApiKey({ name: 'game-server', scopes: ['mint', 'read'] });
+  assert.match(created.key, /^gik_[0-9a-f]{16}_/);
+  assert.deepEqual(verifyApiKey(created.key), { id: created.id, name: 'game-server', scopes: ['mint', 'read'], rateLimits: {} });
+
+  const stored = fs.readFileSync(path.join(process.env.STORAGE_PATH, 'api_keys.json'), 'utf8');
+  assert.ok(!stored.includes(created.key));
+  assert.ok(!stored.includes(created.key.split('_')[2]));
+});
+
+test('verifyApiKey rejects wrong secrets, unknown keys and non-strings', () => {
+  const { key } = createApiKey({ name: 'reader', scopes: ['read'] });
+  const [, id, secret] = key.split('_');
+  assert.equal(verifyApiKey(`gik_${id}_${secret.slice(0, -1)}x`), null);
+  assert.equal(verifyApiKey(`gik_${'0'.repeat(16)}_${secret}`), null);
+  assert.equal(verifyApiKey('gik_'), null);
+  assert.equal(verifyApiKey(''), null);
+  assert.equal(verifyApiKey(undefined), null);
+});
+
+test('revoked and rotated keys stop verifying', () => {
+  const first = createApiKey({ name: 'rotating', scopes: ['read'] });
+  const rotated = rotateApiKey(first.id);
+  assert.equal(verifyApiKey(first.key), null);
+  assert.equal(verifyApiKey(rotated.key).id, rotated.id);
+  assert.equal(getApiKey(rotated.id).rotatedFrom, first.id);
+
+  revokeApiKey(rotated.id);
+  assert.equal(verifyApiKey(rotated.key), null);
+});
+
+test('hasScope allows listed scopes, and every scope for admin keys', () => {
+  assert.equal(hasScope({ scopes: ['read'] }, 'read'), true);
+  assert.equal(hasScope({ scopes: ['read'] }, 'mint'), false);
+  assert.equal(hasScope({ scopes: ['admin'] }, 'mint'), true);
+});
+
+test('createApiKey rejects invalid names, scopes, expiry dates and rate limits', () => {
+  const invalid = { code: 'INVALID_API_KEY_REQUEST' };
+  assert.throws(() => createApiKey({ name: ' ', scopes: ['read'] }), invalid);
+  assert.throws(() => createApiKey({ name: 'a', scopes: [] }), invalid);
+  assert.throws(() => createApiKey({ name: 'a', scopes: ['root'] }), invalid);
+  assert.throws(() => createApiKey({ name: 'a', scopes: ['read'], expiresAt: '2000-01-01' }), invalid);
+  assert.throws(() => createApiKey({ name: 'a', scopes: ['read'], rateLimits: { nope: 1 } }), invalid);
+  assert.throws(() => createApiKey({ name: 'a', scopes: ['read'], rateLimits: { mint: -1 } }), invalid);
+});
+
+test('expired keys stop verifying', async () => {
+  const created = createApiKey({ name: 'short-lived', scopes: ['read'], expiresAt: new Date(Date.now() + 50).toISOString() });
+  assert.ok(verifyApiKey(created.key));
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(verifyApiKey(created.key), null);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../csv.js';
+
+test('parseCsv returns one object per row, keyed by the header', () => {
+  assert.deepEqual(parseCsv('destinationAddress,imageUrl\n0x01,https://example.com/a.png\n0x02,https://example.com/b.png'), [
+    { destinationAddress: '0x01', imageUrl: 'https://example.com/a.png' },
+    { destinationAddress: '0x02', imageUrl: 'https://example.com/b.png' }
+  ]);
+});
+
+test('parseCsv handles quoted fields, escaped quotes and line breaks inside quotes', () => {
+  assert.deepEqual(parseCsv('name,traits\n"Sword, long","{""rarity"":""rare""}"\n"Two\nlines",x'), [
+    { name: 'Sword, long', traits: '{"rarity":"rare"}' },
+    { name: 'Two\nlines', traits: 'x' }
+  ]);
+});
+
+test('parseCsv handles CRLF line endings, a byte order mark and blank lines', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\r\n1,2\r\n\r\n , \r\n3,4\r\n'), [
+    { a: '1', b: '2' },
+    { a: '3', b: '4' }
+  ]);
+});
+
+test('parseCsv trims values and fills in missing columns', () => {
+  assert.deepEqual(parseCsv(' a , b \n 1 \n'), [{ a: '1', b: '' }]);
+});
+
+test('parseCsv returns no rows for empty input or a header only', () => {
+  assert.deepEqual(parseCsv(''), []);
+  assert.deepEqual(parseCsv('a,b\n'), []);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a\n"open'), /Unterminated quoted field/);
+});
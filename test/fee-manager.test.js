@@ -0,0 +1,163 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+
+// Mined transactions are recorded as gas spent, which is saved to storage
+process.env.STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'fee-manager-test-'));
+const { waitForConfirmation, speedUpTransaction, cancelTransaction, getPendingTransactions } = await import('../fee-manager.js');
+
+// Every pending transaction gets a watcher that polls until its nonce is mined
+const chains = [];
+after(() => {
+  chains.forEach(chain => chain.mineAll());
+  fs.rmSync(process.env.STORAGE_PATH, { recursive: true, force: true });
+});
+
+const OWNER = ethers.Wallet.createRandom().address;
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+/**
+ * Stands in for one network: a base fee of 30 gwei, a suggested tip of 10 gwei,
+ * and the transactions and receipts the node knows
+ */
+function fakeChain(chainId) {
+  const transactions = new Map();
+  const receipts = new Map();
+  const provider = {
+    getNetwork: async () => ({ chainId: BigInt(chainId) }),
+    getBlock: async () => ({ baseFeePerGas: gwei(30) }),
+    getFeeData: async () => ({ maxPriorityFeePerGas: gwei(10) }),
+    getTransaction: async hash => transactions.get(hash) || null,
+    getTransactionReceipt: async hash => receipts.get(hash) || null,
+    getTransactionCount: async () => 0
+  };
+  const wallet = {
+    address: OWNER,
+    provider,
+    sent: [],
+    async sendTransaction(request) {
+      this.sent.push(request);
+      return broadcast({ ...request, from: OWNER });
+    }
+  };
+
+  function broadcast(fields) {
+    const tx = { chainId: BigInt(chainId), value: 0n, gasLimit: 100000n, blockNumber: null, ...fields };
+    tx.hash = ethers.id(`${chainId}-${tx.from}-${tx.nonce}-${wallet.sent.length}-${Math.random()}`);
+    transactions.set(tx.hash, tx);
+    return tx;
+  }
+
+  function mine(hash) {
+    receipts.set(hash, { hash, status: 1, gasUsed: 21000n, gasPrice: 1n });
+  }
+
+  function mineAll() {
+    transactions.forEach((tx, hash) => mine(hash));
+  }
+
+  const chain = { wallet, broadcast, mine, mineAll };
+  chains.push(chain);
+  return chain;
+}
+
+// A transaction the owner wallet sent to the contract, with a max fee of 100 gwei and a 40 gwei tip
+function mintTransaction(chain, nonce, data = '0x1234') {
+  return chain.broadcast({
+    from: OWNER,
+    to: '0x1111111111111111111111111111111111111111',
+    data,
+    nonce,
+    maxFeePerGas: gwei(100),
+    maxPriorityFeePerGas: gwei(40)
+  });
+}
+
+test('a transaction pending past the replacement timeout is resent with the same nonce and bumped fees', async () => {
+  process.env.GAS_REPLACE_AFTER_SECONDS = '0';
+  const chain = fakeChain(137);
+  const tx = mintTransaction(chain, 7);
+
+  const replaced = [];
+  const receipt = await waitForConfirmation(chain.wallet, tx, {
+    onReplaced: (hash) => {
+      replaced.push(hash);
+      const [watched] = getPendingTransactions(OWNER, 137);
+      assert.equal(watched.transactionHash, hash);
+      assert.equal(watched.replacements, 1);
+      chain.mine(hash);
+    }
+  });
+
+  assert.equal(replaced.length, 1);
+  assert.equal(receipt.hash, replaced[0]);
+  const [replacement] = chain.wallet.sent;
+  assert.equal(replacement.nonce, 7);
+  assert.equal(replacement.data, tx.data);
+  assert.equal(replacement.to, tx.to);
+  assert.equal(replacement.maxFeePerGas, gwei(120));
+  assert.equal(replacement.maxPriorityFeePerGas, gwei(48));
+  assert.deepEqual(getPendingTransactions(OWNER, 137), []);
+});
+
+test('cancelling sends an empty transaction to the owner wallet with the same nonce', async () => {
+  process.env.GAS_REPLACE_AFTER_SECONDS = '120';
+  const chain = fakeChain(137);
+  const tx = mintTransaction(chain, 8);
+
+  const result = await cancelTransaction(chain.wallet, tx.hash);
+  assert.equal(result.originalHash, tx.hash);
+  assert.equal(result.nonce, 8);
+  assert.deepEqual(result.fees, { maxFeePerGas: '120.0 gwei', maxPriorityFeePerGas: '48.0 gwei' });
+
+  const [cancel] = chain.wallet.sent;
+  assert.equal(cancel.to, OWNER);
+  assert.equal(cancel.data, '0x');
+  assert.equal(cancel.value, 0n);
+  assert.equal(cancel.gasLimit, 21000n);
+  assert.equal(cancel.nonce, 8);
+
+  const [watched] = getPendingTransactions(OWNER, 137);
+  assert.equal(watched.transactionHash, result.replacementHash);
+  assert.equal(watched.cancelled, true);
+});
+
+test('manual replacements are refused for unknown, mined and foreign transactions, and above the fee ceiling', async () => {
+  const chain = fakeChain(137);
+  await assert.rejects(speedUpTransaction(chain.wallet, ethers.id('unknown')), { code: 'TX_NOT_FOUND' });
+
+  const mined = chain.broadcast({ ...mintTransaction(chain, 1), blockNumber: 5 });
+  await assert.rejects(speedUpTransaction(chain.wallet, mined.hash), { code: 'TX_NOT_PENDING' });
+
+  const foreign = chain.broadcast({ ...mintTransaction(chain, 1), from: '0x2222222222222222222222222222222222222222' });
+  await assert.rejects(speedUpTransaction(chain.wallet, foreign.hash), { code: 'TX_NOT_OWNED' });
+
+  const expensive = chain.broadcast({ ...mintTransaction(chain, 9), maxFeePerGas: gwei(950) });
+  await assert.rejects(speedUpTransaction(chain.wallet, expensive.hash), { code: 'FEE_CEILING_REACHED' });
+  assert.deepEqual(chain.wallet.sent, []);
+});
+
+test('transactions with the same nonce on different chains are watched and replaced separately', async () => {
+  const polygon = fakeChain(137);
+  const amoy = fakeChain(80002);
+  const onPolygon = mintTransaction(polygon, 3, '0xaaaa');
+  const onAmoy = mintTransaction(amoy, 3, '0xbbbb');
+
+  const polygonResult = await speedUpTransaction(polygon.wallet, onPolygon.hash);
+  const amoyResult = await speedUpTransaction(amoy.wallet, onAmoy.hash);
+
+  assert.equal(polygon.wallet.sent[0].data, '0xaaaa');
+  assert.equal(amoy.wallet.sent[0].data, '0xbbbb');
+  // Earlier tests may still be watching other nonces on chain 137
+  const watching = chainId => getPendingTransactions(OWNER, chainId)
+    .filter(entry => entry.nonce === 3)
+    .map(entry => entry.transactionHash);
+  assert.deepEqual(watching(137), [polygonResult.replacementHash]);
+  assert.deepEqual(watching(80002), [amoyResult.replacementHash]);
+
+  // A hash from one chain is not found on the other
+  await assert.rejects(speedUpTransaction(amoy.wallet, onPolygon.hash), { code: 'TX_NOT_FOUND' });
+});
@@ -0,0 +1,123 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The asset store behind image-validator.js creates its folder on load
+process.env.STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'image-validator-test-'));
+const { detectImageFormat, getImageDimensions, sanitizeSvg, validateImage } = await import('../image-validator.js');
+
+after(() => fs.rmSync(process.env.STORAGE_PATH, { recursive: true, force: true }));
+
+function png(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function gif(width, height) {
+  const buffer = Buffer.alloc(13);
+  buffer.write('GIF89a', 0, 'latin1');
+  buffer.writeUInt16LE(width, 6);
+  buffer.writeUInt16LE(height, 8);
+  return buffer;
+}
+
+function jpeg(width, height) {
+  // SOI, an APP0 segment, then a baseline SOF0 frame header
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]);
+  const sof0 = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03]);
+  sof0.writeUInt16BE(height, 5);
+  sof0.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof0, Buffer.alloc(8)]);
+}
+
+function webp(width, height) {
+  const buffer = Buffer.alloc(30);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.write('WEBP', 8, 'latin1');
+  buffer.write('VP8X', 12, 'latin1');
+  buffer.writeUIntLE(width - 1, 24, 3);
+  buffer.writeUIntLE(height - 1, 27, 3);
+  return buffer;
+}
+
+test('detectImageFormat recognizes formats by their magic bytes', () => {
+  assert.equal(detectImageFormat(png(1, 1)), 'png');
+  assert.equal(detectImageFormat(jpeg(1, 1)), 'jpeg');
+  assert.equal(detectImageFormat(gif(1, 1)), 'gif');
+  assert.equal(detectImageFormat(webp(1, 1)), 'webp');
+  assert.equal(detectImageFormat(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'svg');
+  assert.equal(detectImageFormat(Buffer.from('\uFEFF<?xml version="1.0"?>\n<!-- logo -->\n<svg></svg>')), 'svg');
+});
+
+test('detectImageFormat rejects other content', () => {
+  assert.equal(detectImageFormat(Buffer.from('%PDF-1.7')), null);
+  assert.equal(detectImageFormat(Buffer.from('<html><svg></svg></html>')), null);
+  assert.equal(detectImageFormat(Buffer.from([0x89, 0x50, 0x4e])), null);
+  assert.equal(detectImageFormat(Buffer.alloc(0)), null);
+});
+
+test('getImageDimensions reads raster headers and returns null for truncated ones', () => {
+  assert.deepEqual(getImageDimensions(png(512, 256), 'png'), { width: 512, height: 256 });
+  assert.deepEqual(getImageDimensions(gif(64, 32), 'gif'), { width: 64, height: 32 });
+  assert.deepEqual(getImageDimensions(jpeg(640, 480), 'jpeg'), { width: 640, height: 480 });
+  assert.deepEqual(getImageDimensions(webp(300, 200), 'webp'), { width: 300, height: 200 });
+  assert.equal(getImageDimensions(png(512, 512).subarray(0, 20), 'png'), null);
+  assert.equal(getImageDimensions(jpeg(512, 512).subarray(0, 8), 'jpeg'), null);
+});
+
+test('sanitizeSvg removes scripts, event handlers and external references', () => {
+  const { svg, removed } = sanitizeSvg(
+    '<svg onload="alert(1)"><script>alert(2)</script>' +
+    '<foreignObject><div>x</div></foreignObject>' +
+    '<image href="https://evil.example/a.png"/>' +
+    '<a xlink:href="javascript:alert(3)"><rect/></a>' +
+    '<style>@import url(https://evil.example/a.css); rect { fill: url(https://evil.example/p) }</style></svg>'
+  );
+  assert.doesNotMatch(svg, /script|onload|foreignObject|evil\.example|javascript:|@import/i);
+  assert.ok(removed.includes('onload event handler'));
+  assert.ok(removed.includes('<script> element'));
+  assert.ok(removed.includes('<foreignObject> element'));
+  assert.ok(removed.includes('external reference'));
+  assert.ok(removed.includes('stylesheet @import'));
+});
+
+test('sanitizeSvg removes DOCTYPE entity declarations and split-up tags', () => {
+  const { svg, removed } = sanitizeSvg('<!DOCTYPE svg [<!ENTITY x SYSTEM "file:///etc/passwd">]><svg><scr<script></script>ipt>alert(1)</script></svg>');
+  assert.doesNotMatch(svg, /DOCTYPE|ENTITY|<script/i);
+  assert.ok(removed.includes('DOCTYPE (entity declarations)'));
+});
+
+test('sanitizeSvg keeps internal references and embedded raster images', () => {
+  const source = '<svg><defs><linearGradient id="g"/></defs><rect fill="url(#g)"/>' +
+    '<use href="#g"/><image href="data:image/png;base64,iVBORw0KGgo="/></svg>';
+  assert.deepEqual(sanitizeSvg(source), { svg: source, removed: [] });
+});
+
+test('validateImage accepts an image of the required size', () => {
+  const image = validateImage(png(512, 512), { mimeType: 'image/png' });
+  assert.equal(image.format, 'png');
+  assert.equal(image.mimeType, 'image/png');
+  assert.equal(image.width, 512);
+  assert.equal(validateImage(jpeg(512, 512), { mimeType: 'image/jpg' }).format, 'jpeg');
+});
+
+test('validateImage rejects wrong sizes, mismatched types and unknown content', () => {
+  assert.throws(() => validateImage(png(256, 256)), { code: 'INVALID_IMAGE', message: /256x256 pixels/ });
+  assert.throws(() => validateImage(png(512, 512), { mimeType: 'image/jpeg' }), { code: 'INVALID_IMAGE', message: /PNG but it was sent as image\/jpeg/ });
+  assert.throws(() => validateImage(Buffer.from('not an image')), { code: 'INVALID_IMAGE' });
+  assert.throws(() => validateImage(Buffer.alloc(0)), { code: 'INVALID_IMAGE', message: 'Image is empty' });
+});
+
+test('validateImage sanitizes SVGs, or rejects unsafe ones when changes are not allowed', () => {
+  const unsafe = Buffer.from('<svg><script>alert(1)</script><rect/></svg>');
+  const image = validateImage(unsafe, { mimeType: 'image/svg+xml' });
+  assert.equal(image.buffer.toString(), '<svg><rect/></svg>');
+  assert.throws(() => validateImage(unsafe, { allowSvgChanges: false }), { code: 'INVALID_IMAGE', message: /unsafe content/ });
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryFromParams, parseItemQuery, queryItems, countFacets, toList } from '../item-query.js';
+
+const items = [
+  { tokenId: '1', name: 'Sword', traits: { rarity: 'common', attack: 10, element: 'fire' } },
+  { tokenId: '2', name: 'Axe', traits: { rarity: 'legendary', attack: 90, element: 'ice' } },
+  { tokenId: '3', name: 'Bow', traits: { rarity: 'rare', attack: { value: 50, max_value: 100 }, element: 'fire' } },
+  { tokenId: '10', name: 'Staff', traits: { rarity: 'Legendary', element: 'ice' } },
+  { tokenId: '11', name: 'Dagger', traits: { rarity: 'common', attack: 50, element: 'fire' } }
+];
+
+const ids = result => result.items.map(item => item.tokenId);
+
+test('queryFromParams turns trait parameters into filters', () => {
+  const query = queryFromParams({ 'trait.rarity': 'legendary', 'trait.element': 'fire,ice', 'trait.attack.min': '20', 'trait.attack.max': '80', limit: '5' });
+  assert.deepEqual(query.filters, { rarity: 'legendary', element: ['fire', 'ice'], attack: { min: '20', max: '80' } });
+  assert.equal(query.limit, '5');
+});
+
+test('queryItems sorts by token ID numerically by default', () => {
+  assert.deepEqual(ids(queryItems(items, parseItemQuery())), ['1', '2', '3', '10', '11']);
+  assert.deepEqual(ids(queryItems(items, parseItemQuery({ order: 'desc' }))), ['11', '10', '3', '2', '1']);
+});
+
+test('queryItems filters by value (case-insensitive), list and range', () => {
+  assert.deepEqual(ids(queryItems(items, parseItemQuery({ filters: { rarity: 'legendary' } }))), ['2', '10']);
+  assert.deepEqual(ids(queryItems(items, parseItemQuery({ filters: { rarity: ['rare', 'common'] } }))), ['1', '3', '11']);
+  assert.deepEqual(ids(queryItems(items, parseItemQuery({ filters: { attack: { min: 20, max: 80 } } }))), ['3', '11']);
+});
+
+test('queryItems sorts by trait with items missing it last, ties broken by token ID', () => {
+  const query = parseItemQuery({ sort: 'trait.attack', order: 'desc' });
+  assert.deepEqual(ids(queryItems(items, query)), ['2', '11', '3', '1', '10']);
+});
+
+test('cursor paging returns every item once, in order', () => {
+  const seen = [];
+  let cursor;
+  do {
+    const page = queryItems(items, parseItemQuery({ sort: 'trait.attack', limit: 2, cursor }));
+    assert.equal(page.total, 5);
+    assert.ok(page.items.length <= 2);
+    seen.push(...ids(page));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, ['1', '3', '11', '2', '10']);
+});
+
+test('pages do not shift when an earlier item is removed between requests', () => {
+  const first = queryItems(items, parseItemQuery({ limit: 2 }));
+  assert.deepEqual(ids(first), ['1', '2']);
+  const remaining = items.filter(item => item.tokenId !== '1');
+  assert.deepEqual(ids(queryItems(remaining, parseItemQuery({ limit: 2, cursor: first.nextCursor }))), ['3', '10']);
+});
+
+test('a cursor only works with the query and context it was made for', () => {
+  const { nextCursor } = queryItems(items, parseItemQuery({ limit: 1, filters: { element: 'fire' } }));
+  assert.throws(() => parseItemQuery({ limit: 1, cursor: nextCursor }), { code: 'INVALID_QUERY', message: /other filters or sorting/ });
+  assert.throws(() => parseItemQuery({ limit: 1, filters: { element: 'fire' }, cursor: nextCursor }, { context: { owner: '0x01' } }), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseItemQuery({ cursor: 'garbage' }), { code: 'INVALID_QUERY', message: 'cursor is not valid' });
+});
+
+test('parseItemQuery rejects invalid queries', () => {
+  assert.throws(() => parseItemQuery({ sort: 'name' }), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseItemQuery({ order: 'up' }), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseItemQuery({ limit: 0 }), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseItemQuery({ limit: 101 }), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseItemQuery({ fields: 'secret' }), { code: 'INVALID_QUERY', message: /Unknown field/ });
+  assert.throws(() => parseItemQuery({ filters: { attack: { gt: 1 } } }), { code: 'INVALID_QUERY', message: /unknown keys/ });
+  assert.throws(() => parseItemQuery({ filters: { attack: { min: 'many' } } }), { code: 'INVALID_QUERY', message: /must be a number/ });
+});
+
+test('defaultLimit pages queries without a limit', () => {
+  assert.equal(parseItemQuery({}).limit, null);
+  assert.equal(parseItemQuery({}, { defaultLimit: 2 }).limit, 2);
+  assert.equal(parseItemQuery({ limit: 3 }, { defaultLimit: 2 }).limit, 3);
+  assert.equal(parseItemQuery({}, { defaultLimit: 500 }).limit, 100);
+  assert.deepEqual(ids(queryItems(items, parseItemQuery({}, { defaultLimit: 2 }))), ['1', '2']);
+});
+
+test('toList accepts arrays and comma-separated strings', () => {
+  assert.deepEqual(toList(['a, b', 'c', ' ']), ['a', 'b', 'c']);
+  assert.deepEqual(toList('rarity,element'), ['rarity', 'element']);
+});
+
+test('fields selects item fields, always keeping tokenId', () => {
+  const result = queryItems(items, parseItemQuery({ fields: 'name', limit: 1 }));
+  assert.deepEqual(result.items, [{ tokenId: '1', name: 'Sword' }]);
+});
+
+test('countFacets ignores the filter on the counted trait only', () => {
+  const facets = countFacets(items, parseItemQuery({ filters: { element: 'fire' } }), ['element', 'rarity']);
+  assert.deepEqual(facets.element, [{ value: 'fire', count: 3 }, { value: 'ice', count: 2 }]);
+  assert.deepEqual(facets.rarity, [{ value: 'common', count: 2 }, { value: 'rare', count: 1 }]);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { traitsToAttributes, attributesToTraits, buildMetadata, parseTokenURI, getTraits } from '../metadata.js';
+
+const traits = {
+  name: 'Flame Sword',
+  description: 'A burning blade',
+  rarity: 'legendary',
+  attack: 150,
+  level: { value: 5, max_value: 10, display_type: 'boost_number' }
+};
+
+test('traitsToAttributes leaves out name and description and types numbers', () => {
+  assert.deepEqual(traitsToAttributes(traits), [
+    { trait_type: 'rarity', value: 'legendary' },
+    { trait_type: 'attack', value: 150, display_type: 'number' },
+    { trait_type: 'level', value: 5, display_type: 'boost_number', max_value: 10 }
+  ]);
+});
+
+test('attributesToTraits is the inverse of traitsToAttributes', () => {
+  const { name, description, ...attributeTraits } = traits;
+  assert.deepEqual(attributesToTraits(traitsToAttributes(traits)), attributeTraits);
+});
+
+test('attributesToTraits skips entries without a trait_type', () => {
+  assert.deepEqual(attributesToTraits([null, { value: 1 }, { trait_type: 'rarity', value: 'common' }]), { rarity: 'common' });
+});
+
+test('buildMetadata encodes ERC-721 metadata as a base64 data URI', () => {
+  const tokenURI = buildMetadata('https://example.com/sword.png', traits, 3);
+  assert.match(tokenURI, /^data:application\/json;base64,/);
+
+  const metadata = parseTokenURI(tokenURI);
+  assert.equal(metadata.name, 'Flame Sword');
+  assert.equal(metadata.description, 'A burning blade');
+  assert.equal(metadata.image, 'https://example.com/sword.png');
+  assert.equal(metadata.version, 3);
+  assert.deepEqual(getTraits(metadata), traits);
+});
+
+test('buildMetadata falls back to the default name and description', () => {
+  const metadata = parseTokenURI(buildMetadata('https://example.com/a.png', { rarity: 'common' }));
+  assert.equal(metadata.name, 'Game Item');
+  assert.equal(metadata.description, 'A game item NFT');
+  assert.equal(metadata.version, 1);
+  assert.deepEqual(getTraits(metadata), { rarity: 'common' });
+});
+
+test('parseTokenURI reads URL-encoded JSON, raw JSON, URLs and raw values', () => {
+  assert.deepEqual(parseTokenURI(`data:application/json,${encodeURIComponent('{"name":"A"}')}`), { name: 'A' });
+  assert.deepEqual(parseTokenURI('{"traits":{"rarity":"rare"}}'), { traits: { rarity: 'rare' } });
+  assert.deepEqual(parseTokenURI('https://example.com/1.json'), { uri: 'https://example.com/1.json' });
+  assert.deepEqual(parseTokenURI('ipfs://abc'), { raw: 'ipfs://abc' });
+});
+
+test('getTraits reads legacy metadata and handles missing metadata', () => {
+  assert.deepEqual(getTraits({ traits: { rarity: 'rare' } }), { rarity: 'rare' });
+  assert.deepEqual(getTraits({}), {});
+  assert.deepEqual(getTraits(null), {});
+});
@@ -0,0 +1,189 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+
+const OWNER_KEY = '0x' + '11'.repeat(32);
+const CHAIN_ID = 31337;
+const PENDING_COUNT = 5; // Transactions of the owner wallet known to the fake node
+
+// A transaction the owner wallet signed with nonce 4 that reached the node before the server stopped
+const broadcastBeforeStop = ethers.Transaction.from(await new ethers.Wallet(OWNER_KEY).signTransaction({
+  type: 2,
+  chainId: CHAIN_ID,
+  nonce: 4,
+  to: '0x2aAA17DEd5265bF32a7612a76790Cae51D61862B',
+  data: '0x1234',
+  gasLimit: 200000n,
+  maxFeePerGas: ethers.parseUnits('100', 'gwei'),
+  maxPriorityFeePerGas: ethers.parseUnits('30', 'gwei')
+}));
+
+function rpcTransaction(tx) {
+  return {
+    hash: tx.hash,
+    from: tx.from,
+    to: tx.to,
+    nonce: ethers.toQuantity(tx.nonce),
+    gas: ethers.toQuantity(tx.gasLimit),
+    input: tx.data,
+    value: '0x0',
+    type: '0x2',
+    maxFeePerGas: ethers.toQuantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: ethers.toQuantity(tx.maxPriorityFeePerGas),
+    chainId: ethers.toQuantity(CHAIN_ID),
+    accessList: [],
+    r: tx.signature.r,
+    s: tx.signature.s,
+    v: ethers.toQuantity(tx.signature.yParity),
+    yParity: ethers.toQuantity(tx.signature.yParity),
+    blockNumber: null,
+    blockHash: null,
+    transactionIndex: null
+  };
+}
+
+// Fake node: knows one transaction, never mines anything and records every broadcast
+const broadcasts = [];
+function answer({ id, method, params }) {
+  switch (method) {
+    case 'eth_chainId':
+      return { jsonrpc: '2.0', id, result: ethers.toQuantity(CHAIN_ID) };
+    case 'eth_getTransactionCount':
+      return { jsonrpc: '2.0', id, result: ethers.toQuantity(PENDING_COUNT) };
+    case 'eth_getTransactionByHash':
+      return { jsonrpc: '2.0', id, result: params[0] === broadcastBeforeStop.hash ? rpcTransaction(broadcastBeforeStop) : null };
+    case 'eth_sendRawTransaction':
+      broadcasts.push(params[0]);
+      return { jsonrpc: '2.0', id, result: ethers.keccak256(params[0]) };
+    default:
+      return { jsonrpc: '2.0', id, error: { code: -32000, message: `${method} is not available` } };
+  }
+}
+
+const rpc = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+
+// Jobs left by a server that stopped while their transactions were being broadcast
+process.env.STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-jobs-test-'));
+process.env.NETWORKS_FILE = path.join(process.env.STORAGE_PATH, 'networks.json');
+process.env.SIGNER_PRIVATE_KEY = OWNER_KEY;
+process.env.ALLOW_PRIVATE_HOSTS = 'true';
+process.env.RPC_POOL_HEALTH_INTERVAL_SECONDS = '0';
+
+fs.writeFileSync(process.env.NETWORKS_FILE, JSON.stringify({
+  defaultNetwork: 'local',
+  networks: {
+    local: {
+      chainId: CHAIN_ID,
+      rpcUrls: [`http://127.0.0.1:${rpc.address().port}/`],
+      defaultCollection: 'game-items',
+      deployments: { 'game-items': { contractAddress: '0x2aAA17DEd5265bF32a7612a76790Cae51D61862B' } }
+    },
+    offline: {
+      chainId: CHAIN_ID + 1,
+      rpcUrls: ['http://127.0.0.1:1/'],
+      defaultCollection: 'game-items',
+      deployments: { 'game-items': { contractAddress: '0x2aAA17DEd5265bF32a7612a76790Cae51D61862B' } }
+    }
+  }
+}));
+
+function sendingJob(type, request, nonce, transactionHash = ethers.id(`never-broadcast-${nonce}`)) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    type,
+    idempotencyKey: null,
+    apiKeyId: 'key-a',
+    requestId: null,
+    requestHash: null,
+    state: 'sending',
+    request,
+    nonce,
+    transactionHash,
+    blockNumber: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+const mintRequest = (config = {}) => ({
+  destinationAddress: '0x0ad71CEf14201B7fC7de53Ff2b4d40B9a96C2813',
+  // Not an image URL, so a job that is sent again fails before anything is signed
+  imageUrl: 'ftp://example.com/sword.png',
+  traits: { power: 1 },
+  itemType: null,
+  config
+});
+
+const sent = sendingJob('mint', mintRequest(), 4, broadcastBeforeStop.hash);
+const unsent = sendingJob('mint', mintRequest(), PENDING_COUNT);
+const nonceUsed = sendingJob('mint', mintRequest(), 3);
+const burnNonceUsed = sendingJob('burn', { tokenId: '7', config: {} }, 2);
+const offline = sendingJob('mint', mintRequest({ network: 'offline' }), 0);
+
+fs.writeFileSync(path.join(process.env.STORAGE_PATH, 'mint_jobs.json'), JSON.stringify(
+  Object.fromEntries([sent, unsent, nonceUsed, burnNonceUsed, offline].map(job => [job.id, job]))
+));
+
+const { resumeMintJobs, getMintJob } = await import('../mint-jobs.js');
+
+after(() => {
+  rpc.close();
+  fs.rmSync(process.env.STORAGE_PATH, { recursive: true, force: true });
+});
+
+async function waitForState(jobId, states) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = getMintJob(jobId);
+    if (states.includes(job.state)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} is still ${getMintJob(jobId).state}`);
+}
+
+test('jobs that were sending when the server stopped are settled before anything is sent again', async () => {
+  await resumeMintJobs();
+
+  // The node has the transaction: the job waits for it again
+  assert.equal(getMintJob(sent.id).state, 'submitted');
+  assert.equal(getMintJob(sent.id).transactionHash, broadcastBeforeStop.hash);
+
+  // Unknown transaction, but its nonce was used: it may have gone out, so the job fails instead of minting twice
+  const failed = await waitForState(nonceUsed.id, ['failed']);
+  assert.match(failed.error, /nonce 3 has been used/);
+
+  // The same goes for burn jobs, which are not sent again either
+  const failedBurn = await waitForState(burnNonceUsed.id, ['failed']);
+  assert.match(failedBurn.error, /nonce 2 has been used/);
+
+  // Unknown transaction and its nonce is unused: it never went out, so the job is sent again from the start
+  const resent = await waitForState(unsent.id, ['failed']);
+  assert.equal(resent.nonce, null);
+  assert.equal(resent.transactionHash, null);
+  assert.match(resent.error, /imageUrl must be an http\(s\) URL/);
+
+  // The RPC cannot be reached: the job keeps its signed transaction until it can be checked
+  assert.equal(getMintJob(offline.id).state, 'sending');
+  assert.equal(getMintJob(offline.id).nonce, 0);
+
+  // The fake node has no receipts, so waiting on the submitted transaction ends with an error
+  await waitForState(sent.id, ['failed']);
+  assert.deepEqual(broadcasts, []);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { getSigner, sendWithNonce, confirmNonce, isNonceError } from '../nonce-manager.js';
+
+/**
+ * Stands in for a network: transaction counts of the owner wallet and the transactions the node knows
+ */
+function fakeProvider({ pending = 0, latest = pending } = {}) {
+  return {
+    counts: { pending, latest },
+    known: new Set(),
+    async getTransactionCount(address, blockTag) {
+      return this.counts[blockTag];
+    },
+    async getTransaction(hash) {
+      return this.known.has(hash) ? { hash } : null;
+    }
+  };
+}
+
+// Broadcasts a fake transaction with the given nonce
+function broadcast(provider, nonce) {
+  const hash = ethers.id(`tx-${nonce}-${Math.random()}`);
+  provider.known.add(hash);
+  provider.counts.pending = Math.max(provider.counts.pending, nonce + 1);
+  return { hash, nonce };
+}
+
+const owner = () => ethers.Wallet.createRandom();
+
+test('concurrent sends get consecutive nonces from the pending count', async () => {
+  const provider = fakeProvider({ pending: 5 });
+  const wallet = getSigner(owner(), provider, 1);
+
+  const sent = await Promise.all([1, 2, 3].map(() => sendWithNonce(wallet, async nonce => broadcast(provider, nonce))));
+  assert.deepEqual(sent.map(tx => tx.nonce), [5, 6, 7]);
+});
+
+test('a nonce whose send failed is used by the next transaction', async () => {
+  const provider = fakeProvider({ pending: 3 });
+  const wallet = getSigner(owner(), provider, 1);
+
+  await sendWithNonce(wallet, async nonce => broadcast(provider, nonce));
+  await assert.rejects(sendWithNonce(wallet, async () => { throw new Error('insufficient funds'); }), /insufficient funds/);
+  const tx = await sendWithNonce(wallet, async nonce => broadcast(provider, nonce));
+  assert.equal(tx.nonce, 4);
+});
+
+test('a rejected nonce resyncs with the chain and is retried once', async () => {
+  const provider = fakeProvider({ pending: 2 });
+  const wallet = getSigner(owner(), provider, 1);
+  await sendWithNonce(wallet, async nonce => broadcast(provider, nonce));
+
+  // Two transactions sent from elsewhere
+  provider.counts.pending = 5;
+  const tried = [];
+  const tx = await sendWithNonce(wallet, async (nonce) => {
+    tried.push(nonce);
+    if (nonce < 5) {
+      throw new Error('nonce too low');
+    }
+    return broadcast(provider, nonce);
+  });
+  assert.deepEqual(tried, [3, 5]);
+  assert.equal(tx.nonce, 5);
+});
+
+test('the nonce of a dropped transaction is reused', async () => {
+  const provider = fakeProvider({ pending: 0 });
+  const wallet = getSigner(owner(), provider, 1);
+
+  const first = await sendWithNonce(wallet, async nonce => broadcast(provider, nonce));
+  const second = await sendWithNonce(wallet, async nonce => broadcast(provider, nonce));
+  provider.known.delete(first.hash);
+
+  const replacement = await sendWithNonce(wallet, async nonce => broadcast(provider, nonce));
+  assert.equal(replacement.nonce, 0);
+
+  provider.counts.latest = 2;
+  confirmNonce(wallet, replacement.nonce);
+  confirmNonce(wallet, second.nonce);
+  const next = await sendWithNonce(wallet, async nonce => broadcast(provider, nonce));
+  assert.equal(next.nonce, 2);
+});
+
+test('providers of one chain share nonce state; other chains have their own', async () => {
+  const signer = owner();
+  const polygon = fakeProvider({ pending: 10 });
+  // A second provider for the same chain (an rpcUrl override) sees the same transactions
+  const override = Object.create(polygon);
+  const amoy = fakeProvider({ pending: 0 });
+
+  const first = await sendWithNonce(getSigner(signer, polygon, 137), async nonce => broadcast(polygon, nonce));
+  const second = await sendWithNonce(getSigner(signer, override, 137), async nonce => broadcast(override, nonce));
+  const other = await sendWithNonce(getSigner(signer, amoy, 80002), async nonce => broadcast(amoy, nonce));
+
+  assert.equal(first.nonce, 10);
+  assert.equal(second.nonce, 11);
+  assert.equal(other.nonce, 0);
+  assert.equal(getSigner(signer, polygon, 137), getSigner(signer, polygon, 137));
+});
+
+test('sendWithNonce only accepts signers from getSigner', () => {
+  assert.throws(() => sendWithNonce(owner(), async () => ({})), /not managed by the nonce manager/);
+});
+
+test('isNonceError recognizes nonce rejections only', () => {
+  assert.equal(isNonceError(new Error('nonce too low: next nonce 5')), true);
+  assert.equal(isNonceError(new Error('already known')), true);
+  assert.equal(isNonceError(Object.assign(new Error('x'), { code: 'REPLACEMENT_UNDERPRICED' })), true);
+  assert.equal(isNonceError(new Error('insufficient funds for gas')), false);
+  assert.equal(isNonceError(null), false);
+});
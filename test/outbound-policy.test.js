@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The allowlists are read when the module loads
+process.env.RPC_URL_ALLOWLIST = 'https://rpc.example.com/v1, not a url';
+process.env.CONTRACT_ALLOWLIST = '0x2aaa17ded5265bf32a7612a76790cae51d61862b,0x123';
+process.env.IMAGE_HOST_ALLOWLIST = 'images.example.com,*.cdn.example.net';
+delete process.env.ALLOW_PRIVATE_HOSTS;
+const { isPrivateAddress, isRpcUrlAllowed, isContractAllowed, isImageHostAllowed, checkPublicUrl } = await import('../outbound-policy.js');
+
+test('isPrivateAddress blocks loopback, private, link-local and reserved addresses', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '64:ff9b::7f00:1'
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress blocks IPv4-mapped IPv6 addresses and non-addresses', () => {
+  assert.equal(isPrivateAddress('::ffff:127.0.0.1'), true);
+  assert.equal(isPrivateAddress('::ffff:8.8.8.8'), true);
+  assert.equal(isPrivateAddress('localhost'), true);
+  assert.equal(isPrivateAddress(''), true);
+});
+
+test('isPrivateAddress allows public addresses', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '100.128.0.1', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('isRpcUrlAllowed allows the network\'s RPC URLs and RPC_URL_ALLOWLIST', () => {
+  assert.equal(isRpcUrlAllowed('https://rpc.example.com/v1'), true);
+  assert.equal(isRpcUrlAllowed('HTTPS://RPC.EXAMPLE.COM/v1'), true);
+  assert.equal(isRpcUrlAllowed('https://polygon-rpc.com', ['https://polygon-rpc.com/']), true);
+  assert.equal(isRpcUrlAllowed('https://rpc.example.com/v2'), false);
+  assert.equal(isRpcUrlAllowed('http://169.254.169.254/latest'), false);
+  assert.equal(isRpcUrlAllowed('not a url'), false);
+});
+
+test('isContractAllowed compares checksummed addresses from CONTRACT_ALLOWLIST', () => {
+  assert.equal(isContractAllowed('0x2aAA17DEd5265bF32a7612a76790Cae51D61862B'), true);
+  assert.equal(isContractAllowed('0x0ad71CEf14201B7fC7de53Ff2b4d40B9a96C2813'), false);
+});
+
+test('isImageHostAllowed matches exact hosts and subdomain wildcards', () => {
+  assert.equal(isImageHostAllowed('images.example.com'), true);
+  assert.equal(isImageHostAllowed('IMAGES.EXAMPLE.COM'), true);
+  assert.equal(isImageHostAllowed('a.cdn.example.net'), true);
+  assert.equal(isImageHostAllowed('cdn.example.net'), false);
+  assert.equal(isImageHostAllowed('evil-cdn.example.net'), false);
+  assert.equal(isImageHostAllowed('example.com'), false);
+});
+
+test('checkPublicUrl rejects other protocols and private address hosts', async () => {
+  await assert.rejects(checkPublicUrl('file:///etc/passwd'), { code: 'HOST_NOT_ALLOWED' });
+  await assert.rejects(checkPublicUrl('http://127.0.0.1:8080/hook'), { code: 'HOST_NOT_ALLOWED' });
+  await assert.rejects(checkPublicUrl('http://[::1]/hook'), { code: 'HOST_NOT_ALLOWED' });
+  await assert.rejects(checkPublicUrl('http://169.254.169.254/latest/meta-data'), { code: 'HOST_NOT_ALLOWED' });
+  await checkPublicUrl('https://8.8.8.8/hook');
+});
@@ -0,0 +1,78 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+
+// Usage is saved to storage on every change, so keep it out of the real storage folder
+process.env.STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limits-test-'));
+process.env.MINT_QUOTA_PER_WALLET = '2';
+process.env.DAILY_GAS_BUDGET_MATIC = '0.01';
+const { reserveMints, releaseMints, recordGasSpent, checkGasBudget, checkRateLimit, getUsage } = await import('../rate-limits.js');
+
+after(() => fs.rmSync(process.env.STORAGE_PATH, { recursive: true, force: true }));
+
+const PLAYER = '0x0ad71CEf14201B7fC7de53Ff2b4d40B9a96C2813';
+const OTHER = '0x1111111111111111111111111111111111111111';
+
+const mintedToday = wallet => getUsage().mints.byWallet[wallet] || 0;
+
+test('reserveMints counts mints when they are checked, so later requests see them', () => {
+  assert.equal(reserveMints([PLAYER]), null);
+  assert.equal(mintedToday(PLAYER), 1);
+
+  // The second of two concurrent requests for the last mint is rejected
+  assert.equal(reserveMints([PLAYER]), null);
+  const exceeded = reserveMints([PLAYER]);
+  assert.match(exceeded.message, /Daily quota of 2 mints/);
+  assert.ok(exceeded.retryAfter > 0);
+  assert.deepEqual(exceeded.wallets, [{ walletAddress: PLAYER, mintedToday: 2, requested: 1 }]);
+  assert.equal(mintedToday(PLAYER), 2);
+
+  releaseMints([PLAYER, PLAYER]);
+});
+
+test('a request over the quota reserves nothing, even for wallets within it', () => {
+  const exceeded = reserveMints([OTHER, PLAYER, PLAYER, PLAYER]);
+  assert.deepEqual(exceeded.wallets.map(wallet => wallet.walletAddress), [PLAYER]);
+  assert.equal(mintedToday(PLAYER), 0);
+  assert.equal(mintedToday(OTHER), 0);
+});
+
+test('releaseMints gives back reserved mints, but not those of an earlier day', () => {
+  assert.equal(reserveMints([PLAYER, PLAYER]), null);
+  releaseMints([PLAYER]);
+  assert.equal(mintedToday(PLAYER), 1);
+
+  releaseMints([PLAYER], '2000-01-01');
+  assert.equal(mintedToday(PLAYER), 1);
+
+  // Never below zero
+  releaseMints([PLAYER, PLAYER, PLAYER]);
+  assert.equal(mintedToday(PLAYER), 0);
+  assert.ok(!(ethers.getAddress(PLAYER) in getUsage().mints.byWallet));
+});
+
+test('rate limits count requests per key and route', () => {
+  const apiKey = { id: 'test-key', rateLimits: { admin: 2 } };
+  assert.equal(checkRateLimit(apiKey, 'admin').allowed, true);
+  assert.equal(checkRateLimit(apiKey, 'admin').remaining, 0);
+  const blocked = checkRateLimit(apiKey, 'admin');
+  assert.equal(blocked.allowed, false);
+  assert.ok(blocked.retryAfter > 0);
+  assert.equal(checkRateLimit(apiKey, 'auth').allowed, true);
+});
+
+test('gas spent is counted once per transaction and stops mints once the budget is used', () => {
+  const receipt = { hash: ethers.id('tx-1'), gasUsed: 200000n, gasPrice: ethers.parseUnits('30', 'gwei') };
+  recordGasSpent(receipt);
+  recordGasSpent(receipt);
+  assert.equal(getUsage().gas.spent, '0.006');
+  assert.equal(checkGasBudget(), null);
+
+  recordGasSpent({ ...receipt, hash: ethers.id('tx-2') });
+  assert.match(checkGasBudget().message, /Daily gas budget of 0\.01 MATIC is used up/);
+  assert.match(reserveMints([OTHER]).message, /gas budget/);
+  assert.equal(mintedToday(OTHER), 0);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+process.env.SIWE_DOMAIN = 'game.example.com';
+process.env.SIWE_CHAIN_ID = '137';
+const { createChallenge, verifyChallenge, getSession } = await import('../siwe.js');
+
+const wallet = ethers.Wallet.createRandom();
+
+test('a signed challenge starts a session bound to the domain and API key', async () => {
+  const challenge = createChallenge(wallet.address, { apiKeyId: 'key-a' });
+  assert.match(challenge.message, /^game\.example\.com wants you to sign in with your Ethereum account:\n/);
+  assert.match(challenge.message, /\nURI: https:\/\/game\.example\.com\n/);
+  assert.match(challenge.message, /\nChain ID: 137\n/);
+  assert.match(challenge.message, new RegExp(`\nNonce: ${challenge.nonce}\n`));
+
+  const signature = await wallet.signMessage(challenge.message);
+  const { sessionToken, walletAddress } = verifyChallenge(challenge.message, signature, 'key-a');
+  assert.equal(walletAddress, wallet.address);
+
+  const session = getSession(sessionToken);
+  assert.equal(session.walletAddress, wallet.address);
+  assert.equal(session.domain, 'game.example.com');
+  assert.equal(session.apiKeyId, 'key-a');
+  assert.equal(getSession('siwe_unknown'), null);
+});
+
+test('a challenge can only be used once, and only by the key that requested it', async () => {
+  const challenge = createChallenge(wallet.address, { apiKeyId: 'key-a' });
+  const signature = await wallet.signMessage(challenge.message);
+
+  assert.throws(() => verifyChallenge(challenge.message, signature, 'key-b'), { code: 'INVALID_SIGNATURE' });
+  assert.throws(() => verifyChallenge(challenge.message, signature), { code: 'INVALID_SIGNATURE' });
+
+  verifyChallenge(challenge.message, signature, 'key-a');
+  assert.throws(() => verifyChallenge(challenge.message, signature, 'key-a'), { code: 'INVALID_SIGNATURE', message: /already used/ });
+});
+
+test('altered messages and other signers are rejected', async () => {
+  const challenge = createChallenge(wallet.address);
+  const altered = challenge.message.replace('Chain ID: 137', 'Chain ID: 1');
+  const alteredSignature = await wallet.signMessage(altered);
+  assert.throws(() => verifyChallenge(altered, alteredSignature), { code: 'INVALID_SIGNATURE' });
+
+  const other = createChallenge(wallet.address);
+  const otherSignature = await ethers.Wallet.createRandom().signMessage(other.message);
+  assert.throws(() => verifyChallenge(other.message, otherSignature), { code: 'INVALID_SIGNATURE', message: /was signed by/ });
+
+  const malformed = createChallenge(wallet.address);
+  assert.throws(() => verifyChallenge(malformed.message, '0x1234'), { code: 'INVALID_SIGNATURE', message: /malformed/ });
+});
+
+test('challenges are only issued for the configured domain', () => {
+  assert.throws(() => createChallenge(wallet.address, { domain: 'evil.example.com' }), { code: 'INVALID_SIWE_REQUEST' });
+  assert.throws(() => createChallenge(wallet.address, { uri: 'https://evil.example.com/login' }), { code: 'INVALID_SIWE_REQUEST' });
+  assert.throws(() => createChallenge('0x1234'), { code: 'INVALID_SIWE_REQUEST' });
+  assert.throws(() => createChallenge(wallet.address, { chainId: -1 }), { code: 'INVALID_SIWE_REQUEST' });
+
+  const challenge = createChallenge(wallet.address, { domain: 'GAME.example.com', uri: 'https://game.example.com/login' });
+  assert.match(challenge.message, /\nURI: https:\/\/game\.example\.com\/login\n/);
+});
@@ -0,0 +1,207 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+
+const CHAIN_ID = 31337;
+const CONTRACT = '0x2aAA17DEd5265bF32a7612a76790Cae51D61862B';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+// Fake node for the contract's logs: blocks up to head, each with its logs in log index order
+const chain = { head: 6, logs: [] };
+const blockHash = blockNumber => ethers.id(`block-${blockNumber}`);
+
+function transfer(blockNumber, from, to, tokenId) {
+  chain.logs.push({
+    blockNumber,
+    topics: [ethers.id('Transfer(address,address,uint256)'), ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32), ethers.toBeHex(tokenId, 32)],
+    data: '0x'
+  });
+}
+
+function metadataUpdate(blockNumber, fromTokenId, toTokenId) {
+  chain.logs.push({
+    blockNumber,
+    topics: [ethers.id('BatchMetadataUpdate(uint256,uint256)')],
+    data: ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256'], [fromTokenId, toTokenId])
+  });
+}
+
+function getLogs({ fromBlock, toBlock }) {
+  return chain.logs
+    .filter(log => log.blockNumber >= Number(fromBlock) && log.blockNumber <= Math.min(Number(toBlock), chain.head))
+    .map(log => {
+      const logIndex = chain.logs.filter(other => other.blockNumber === log.blockNumber).indexOf(log);
+      return {
+        address: CONTRACT,
+        topics: log.topics,
+        data: log.data,
+        blockNumber: ethers.toQuantity(log.blockNumber),
+        blockHash: blockHash(log.blockNumber),
+        transactionHash: ethers.id(`tx-${log.blockNumber}-${logIndex}`),
+        transactionIndex: '0x0',
+        logIndex: ethers.toQuantity(logIndex),
+        removed: false
+      };
+    });
+}
+
+function getBlock(tag) {
+  const number = tag === 'latest' ? chain.head : Number(tag);
+  if (number > chain.head) {
+    return null;
+  }
+  return {
+    number: ethers.toQuantity(number),
+    hash: blockHash(number),
+    parentHash: number > 0 ? blockHash(number - 1) : ethers.ZeroHash,
+    timestamp: ethers.toQuantity(1767225600 + number * 2),
+    nonce: '0x0000000000000000',
+    difficulty: '0x0',
+    gasLimit: '0x1c9c380',
+    gasUsed: '0x0',
+    miner: ethers.ZeroAddress,
+    extraData: '0x',
+    baseFeePerGas: '0x1',
+    transactions: []
+  };
+}
+
+function answer({ id, method, params }) {
+  const results = {
+    eth_chainId: () => ethers.toQuantity(CHAIN_ID),
+    eth_blockNumber: () => ethers.toQuantity(chain.head),
+    eth_getBlockByNumber: () => getBlock(params[0]),
+    eth_getLogs: () => getLogs(params[0]),
+    eth_call: () => ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['{"name":"Item"}'])
+  };
+  return results[method]
+    ? { jsonrpc: '2.0', id, result: results[method]() }
+    : { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} is not available` } };
+}
+
+const rpc = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+
+// Alice's history: two mints in block 2, token 1 sent to Bob in block 4, then a metadata update of tokens 1-3
+transfer(2, ethers.ZeroAddress, ALICE, 1);
+transfer(2, ethers.ZeroAddress, ALICE, 2);
+transfer(3, ethers.ZeroAddress, BOB, 3);
+transfer(4, ALICE, BOB, 1);
+metadataUpdate(5, 1, 3);
+
+process.env.STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-stream-test-'));
+process.env.NETWORKS_FILE = path.join(process.env.STORAGE_PATH, 'networks.json');
+process.env.ALLOW_PRIVATE_HOSTS = 'true';
+process.env.RPC_POOL_HEALTH_INTERVAL_SECONDS = '0';
+process.env.INDEXER_POLL_INTERVAL_MS = '50';
+process.env.STREAM_REPLAY_LIMIT = '3';
+
+fs.writeFileSync(process.env.NETWORKS_FILE, JSON.stringify({
+  defaultNetwork: 'local',
+  networks: {
+    local: {
+      chainId: CHAIN_ID,
+      rpcUrls: [`http://127.0.0.1:${rpc.address().port}/`],
+      defaultCollection: 'game-items',
+      deployments: { 'game-items': { contractAddress: CONTRACT, deploymentBlock: 1 } }
+    }
+  }
+}));
+
+const { indexerEvents, startIndexer, stopIndexer } = await import('../indexer.js');
+const { openWalletStream } = await import('../wallet-stream.js');
+
+after(() => {
+  stopIndexer();
+  rpc.close();
+  fs.rmSync(process.env.STORAGE_PATH, { recursive: true, force: true });
+});
+
+async function syncedTo(blockNumber) {
+  while (true) {
+    const [{ syncedBlock }] = await once(indexerEvents, 'synced');
+    if (syncedBlock >= blockNumber) {
+      return;
+    }
+  }
+}
+
+// Opens a stream and returns the events sent so far, as [id, event, tokens]
+function openStream(walletAddress, lastEventId) {
+  const received = [];
+  const close = openWalletStream(walletAddress, lastEventId, ({ id, event, data }) => {
+    received.push([id, event, data.tokenIds || data.tokenId || null]);
+  });
+  return { received, close };
+}
+
+test('streams are refused until the index has synced, and for malformed event IDs', async () => {
+  assert.throws(() => openWalletStream(ALICE, null, () => {}), { code: 'INDEX_UNAVAILABLE' });
+
+  const synced = syncedTo(chain.head);
+  startIndexer();
+  await synced;
+
+  assert.throws(() => openWalletStream('0x1234', null, () => {}), { code: 'INVALID_STREAM_REQUEST' });
+  assert.throws(() => openWalletStream(ALICE, '5-abc', () => {}), { code: 'INVALID_STREAM_REQUEST' });
+});
+
+test('a resumed stream replays the events after the last event ID, then continues live', async () => {
+  const { received, close } = openStream(ALICE, '2-0');
+  assert.deepEqual(received, [
+    [undefined, 'ready', null],
+    ['2-1', 'item-added', '2'],
+    ['4-0', 'item-removed', '1'],
+    // Alice only owned token 2 of the updated range at that point
+    ['5-0', 'metadata-changed', ['2']]
+  ]);
+
+  transfer(7, ALICE, BOB, 2);
+  chain.head = 7;
+  await syncedTo(7);
+  assert.deepEqual(received.slice(4), [['7-0', 'item-removed', '2']]);
+
+  close();
+  transfer(8, BOB, ALICE, 2);
+  chain.head = 8;
+  await syncedTo(8);
+  assert.equal(received.length, 5);
+});
+
+test('a block ID resumes after the whole block, and a new stream starts from the synced block', () => {
+  const resumed = openStream(BOB, '4');
+  assert.deepEqual(resumed.received, [
+    [undefined, 'ready', null],
+    ['5-0', 'metadata-changed', ['1', '3']],
+    ['7-0', 'item-added', '2'],
+    ['8-0', 'item-removed', '2']
+  ]);
+  resumed.close();
+
+  const fresh = openStream(BOB);
+  assert.deepEqual(fresh.received, [['8', 'ready', null]]);
+  fresh.close();
+});
+
+test('a client that missed more events than the replay limit is told to resync', () => {
+  const { received, close } = openStream(ALICE, '0');
+  assert.deepEqual(received, [
+    [undefined, 'ready', null],
+    ['8', 'resync', null]
+  ]);
+  close();
+});
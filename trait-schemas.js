@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJson, writeJson } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMAS_FILE = 'trait_schemas.json';
+
+// Schemas shipped with the app, used until the registry is first changed through the admin routes
+const CONFIG_PATH = process.env.TRAIT_SCHEMAS_FILE || path.join(__dirname, 'trait-schemas.json');
+
+const TRAIT_TYPES = ['string', 'number', 'integer', 'boolean'];
+const RULE_KEYS = ['type', 'required', 'min', 'max', 'enum', 'minLength', 'maxLength', 'description'];
+const ITEM_TYPE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+function loadConfigSchemas() {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[SCHEMAS] Could not read ${CONFIG_PATH}:`, error.message);
+    }
+    return {};
+  }
+}
+
+// Schemas by item type, persisted to disk on every change
+const schemas = readJson(SCHEMAS_FILE, null) || loadConfigSchemas();
+
+function saveSchemas() {
+  writeJson(SCHEMAS_FILE, schemas);
+}
+
+/**
+ * Returns true if a string can be used as an item type name
+ *
+ * @param {string} itemType - Item type name
+ * @returns {boolean}
+ */
+export function isValidItemType(itemType) {
+  return typeof itemType === 'string' && ITEM_TYPE_PATTERN.test(itemType);
+}
+
+/**
+ * Checks that a schema definition is well-formed.
+ *
+ * A schema looks like:
+ *   {
+ *     "description": "Melee weapons",
+ *     "additionalTraits": false,
+ *     "traits": {
+ *       "attack": { "type": "integer", "min": 0, "max": 200, "required": true },
+ *       "rarity": { "type": "string", "enum": ["common", "rare", "epic", "legendary"] }
+ *     }
+ *   }
+ *
+ * @param {Object} schema - Schema definition
+ * @returns {Array<string>} Problems found (empty if the schema is valid)
+ */
+export function validateSchemaDefinition(schema) {
+  const problems = [];
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return ['schema must be a JSON object'];
+  }
+  if (schema.description !== undefined && typeof schema.description !== 'string') {
+    problems.push('description must be a string');
+  }
+  if (schema.additionalTraits !== undefined && typeof schema.additionalTraits !== 'boolean') {
+    problems.push('additionalTraits must be a boolean');
+  }
+  if (!schema.traits || typeof schema.traits !== 'object' || Array.isArray(schema.traits)) {
+    problems.push('traits must be an object of trait rules');
+    return problems;
+  }
+
+  for (const [name, rule] of Object.entries(schema.traits)) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      problems.push(`${name}: rule must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) {
+        problems.push(`${name}: unknown rule "${key}"`);
+      }
+    }
+
+    if (!TRAIT_TYPES.includes(rule.type)) {
+      problems.push(`${name}: type must be one of ${TRAIT_TYPES.join(', ')}`);
+      continue;
+    }
+    if (rule.required !== undefined && typeof rule.required !== 'boolean') {
+      problems.push(`${name}: required must be a boolean`);
+    }
+
+    const numeric = rule.type === 'number' || rule.type === 'integer';
+    for (const key of ['min', 'max']) {
+      if (rule[key] !== undefined && (!numeric || typeof rule[key] !== 'number')) {
+        problems.push(`${name}: ${key} is only allowed as a number on number and integer traits`);
+      }
+    }
+    if (typeof rule.min === 'number' && typeof rule.max === 'number' && rule.min > rule.max) {
+      problems.push(`${name}: min must not be greater than max`);
+    }
+
+    for (const key of ['minLength', 'maxLength']) {
+      if (rule[key] !== undefined && (rule.type !== 'string' || !Number.isInteger(rule[key]) || rule[key] < 0)) {
+        problems.push(`${name}: ${key} is only allowed as a non-negative integer on string traits`);
+      }
+    }
+
+    if (rule.enum !== undefined) {
+      if (!Array.isArray(rule.enum) || rule.enum.length === 0) {
+        problems.push(`${name}: enum must be a non-empty array`);
+      } else if (rule.enum.some(value => checkType(value, rule.type) !== null)) {
+        problems.push(`${name}: every enum value must be of type ${rule.type}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be an integer';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    default:
+      return `has unknown type ${type}`;
+  }
+}
+
+/**
+ * Checks a single trait value against its rule
+ *
+ * @returns {Array<string>} Problems found
+ */
+function checkTrait(value, rule) {
+  // Traits given as { value, display_type, max_value } are checked by their value
+  if (value && typeof value === 'object' && !Array.isArray(value) && 'value' in value) {
+    value = value.value;
+  }
+
+  const typeProblem = checkType(value, rule.type);
+  if (typeProblem) {
+    return [typeProblem];
+  }
+
+  const problems = [];
+  if (rule.enum && !rule.enum.includes(value)) {
+    problems.push(`must be one of ${rule.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    problems.push(`must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    problems.push(`must be at most ${rule.max}`);
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    problems.push(`must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    problems.push(`must be at most ${rule.maxLength} characters`);
+  }
+  return problems;
+}
+
+/**
+ * Validates traits against the schema of an item type
+ *
+ * @param {Object} traits - Traits to validate
+ * @param {string} itemType - Item type whose schema applies
+ * @returns {Array<Object>} Violations as { trait, message } (empty if the traits conform)
+ *
+ * @example
+ * const violations = validateTraits({ atack: 100, rarity: 'legandary' }, 'sword');
+ * // [{ trait: 'atack', message: 'Unknown trait "atack"' }, { trait: 'rarity', message: 'rarity must be one of ...' }, ...]
+ */
+export function validateTraits(traits, itemType) {
+  const schema = getSchema(itemType);
+  if (!schema) {
+    return [{ trait: null, message: `Unknown item type "${itemType}"` }];
+  }
+
+  const violations = [];
+  const rules = schema.traits;
+
+  for (const [name, rule] of Object.entries(rules)) {
+    if (traits[name] === undefined || traits[name] === null) {
+      if (rule.required) {
+        violations.push({ trait: name, message: `${name} is required` });
+      }
+      continue;
+    }
+    for (const problem of checkTrait(traits[name], rule)) {
+      violations.push({ trait: name, message: `${name} ${problem}` });
+    }
+  }
+
+  if (!schema.additionalTraits) {
+    for (const name of Object.keys(traits)) {
+      if (!Object.prototype.hasOwnProperty.call(rules, name)) {
+        violations.push({ trait: name, message: `Unknown trait "${name}"` });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Lists all trait schemas
+ *
+ * @returns {Object} Schemas by item type
+ */
+export function listSchemas() {
+  return schemas;
+}
+
+/**
+ * Gets the trait schema of an item type
+ *
+ * @param {string} itemType - Item type name
+ * @returns {Object|null} Schema or null if there is none
+ */
+export function getSchema(itemType) {
+  return Object.prototype.hasOwnProperty.call(schemas, itemType) ? schemas[itemType] : null;
+}
+
+/**
+ * Creates or replaces the trait schema of an item type.
+ * The schema must already have been checked with validateSchemaDefinition().
+ *
+ * @param {string} itemType - Item type name
+ * @param {Object} schema - Schema definition
+ * @returns {boolean} true if the item type was created, false if it was replaced
+ */
+export function saveSchema(itemType, schema) {
+  const created = !getSchema(itemType);
+  schemas[itemType] = {
+    description: schema.description,
+    additionalTraits: schema.additionalTraits === true,
+    traits: schema.traits
+  };
+  saveSchemas();
+  console.log(`[SCHEMAS] ${created ? 'Created' : 'Replaced'} schema for item type ${itemType}`);
+  return created;
+}
+
+/**
+ * Deletes the trait schema of an item type
+ *
+ * @param {string} itemType - Item type name
+ * @returns {boolean} true if the schema existed
+ */
+export function deleteSchema(itemType) {
+  if (!getSchema(itemType)) {
+    return false;
+  }
+  delete schemas[itemType];
+  saveSchemas();
+  console.log(`[SCHEMAS] Deleted schema for item type ${itemType}`);
+  return true;
+}
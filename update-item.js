@@ -0,0 +1,188 @@
+import { ethers } from 'ethers';
+import getItem from './get-item.js';
+import { getOwnerSigner, signAndSend } from './mint.js';
+import { resolveDeployment, checkChainId } from './networks.js';
+import { buildMetadata, getItemType } from './metadata.js';
+import { validateTraits } from './trait-schemas.js';
+import { sendWithNonce, confirmNonce } from './nonce-manager.js';
+import { getFeeOverrides, waitForConfirmation } from './fee-manager.js';
+
+// Contract ABI - owner-only metadata update (emits ERC-4906 MetadataUpdate)
+const contractABI = [
+  "function updateTokenURI(uint256 tokenId, string memory metadata) public"
+];
+
+// Updates to the same token run one at a time so concurrent merges don't overwrite each other
+const tokenLocks = new Map();
+
+function withTokenLock(key, task) {
+  const previous = tokenLocks.get(key) || Promise.resolve();
+  const result = previous.then(task);
+  const settled = result.catch(() => {});
+  tokenLocks.set(key, settled);
+  settled.then(() => {
+    if (tokenLocks.get(key) === settled) {
+      tokenLocks.delete(key);
+    }
+  });
+  return result;
+}
+
+/**
+ * Merges trait changes into an item's existing traits.
+ * A null value removes the trait.
+ *
+ * @param {Object} traits - Current traits
+ * @param {Object} changes - Trait changes
+ * @returns {Object} Merged traits
+ */
+export function mergeTraits(traits, changes) {
+  const merged = { ...traits };
+  for (const [name, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Updates the traits of an existing NFT item.
+ * Reads the current metadata with getItem(), merges the changes, increments the metadata
+ * version and writes the new metadata on-chain with the contract's updateTokenURI.
+ *
+ * @param {number|string} tokenId - The token ID to update
+ * @param {Object} traitChanges - Traits to add or change (null removes a trait)
+ * @param {Object} config - Optional configuration:
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ *   @param {string} itemType - Item type whose trait schema the merged traits must match, for items minted
+ *     without one; items minted with an item type are always checked against it (default: not checked)
+ *   @param {Function} onSending - Called with (nonce, transactionHash, { version, traits }) when the transaction is signed,
+ *     just before it is broadcast
+ *   @param {Function} onSubmitted - Called with (transactionHash, { version, traits }) once broadcast,
+ *     and with the new hash whenever the transaction is replaced with a higher fee
+ * @returns {Promise<Object>} Transaction hash, block number, gas used, new version and merged traits
+ *
+ * @example
+ * const result = await updateTraits(1, { level: 11, attack: 160 });
+ * console.log(`Now at version ${result.version}`);
+ */
+async function updateTraits(tokenId, traitChanges, config = {}) {
+  try {
+    // Validate inputs
+    if (tokenId === null || tokenId === undefined) {
+      throw new Error('Token ID is required');
+    }
+
+    const tokenIdNumber = Number(tokenId);
+    if (isNaN(tokenIdNumber) || tokenIdNumber < 0) {
+      throw new Error('Token ID must be a valid number');
+    }
+
+    if (!traitChanges || typeof traitChanges !== 'object' || Object.keys(traitChanges).length === 0) {
+      throw new Error('Trait changes must be a non-empty object');
+    }
+
+    // Network and contract from the registry (see networks.js)
+    const { network, contractAddress } = resolveDeployment(config);
+
+    // Nothing is signed until the RPC endpoint is known to be on the network's chain
+    await checkChainId(config);
+
+    const wallet = await getOwnerSigner(config);
+    const contract = new ethers.Contract(contractAddress, contractABI, wallet);
+
+    return await withTokenLock(`${contractAddress.toLowerCase()}:${tokenIdNumber}`, async () => {
+      // Read from the chain: the index may not have seen the latest metadata update yet
+      const item = await getItem(tokenIdNumber, { network, contractAddress, rpcUrl: config.rpcUrl, source: 'chain' });
+      if (!item.metadata || item.metadata.raw !== undefined || item.metadata.uri !== undefined) {
+        throw new Error(`Token ID ${tokenId} does not have JSON metadata that can be updated`);
+      }
+
+      const traits = mergeTraits(item.traits, traitChanges);
+
+      // The type the item was minted with wins; config.itemType only applies to items minted without one
+      const mintedType = getItemType(item.metadata);
+      if (mintedType && config.itemType && config.itemType !== mintedType) {
+        throw new Error(`Item type ${config.itemType} does not match token ${tokenId}'s type ${mintedType}`);
+      }
+      const itemType = mintedType || config.itemType || null;
+
+      // Checked again here: another update may have changed the traits since the request was accepted
+      if (itemType) {
+        const violations = validateTraits(traits, itemType);
+        if (violations.length > 0) {
+          throw new Error(`Traits do not match the ${itemType} schema: ${violations.map(violation => violation.message).join('; ')}`);
+        }
+      }
+      const version = (Number(item.metadata.version) || 1) + 1;
+      const metadataJson = buildMetadata(item.image, traits, version, itemType);
+
+      console.log(`Updating traits of token ${tokenId} to version ${version}...`);
+
+      const fees = await getFeeOverrides(wallet.provider);
+      const onSending = config.onSending && ((nonce, hash) => config.onSending(nonce, hash, { version, traits }));
+      const tx = await sendWithNonce(wallet, (nonce) =>
+        signAndSend(wallet, contract.updateTokenURI, [tokenIdNumber, metadataJson], { nonce, ...fees }, onSending)
+      );
+
+      console.log(`Transaction hash: ${tx.hash}`);
+
+      if (typeof config.onSubmitted === 'function') {
+        await config.onSubmitted(tx.hash, { version, traits });
+      }
+
+      const receipt = await waitForConfirmation(wallet, tx, { onReplaced: config.onSubmitted });
+      confirmNonce(wallet, tx.nonce);
+
+      console.log(`✅ Token ${tokenId} updated in block ${receipt.blockNumber}`);
+
+      return {
+        success: true,
+        tokenId: tokenIdNumber.toString(),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        version: version,
+        traits: traits
+      };
+    });
+
+  } catch (error) {
+    console.error('Update traits error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Waits for an already-broadcast metadata update transaction to confirm.
+ * Used to resume watching updates that were in flight when the server restarted.
+ *
+ * @param {string} transactionHash - Hash of the update transaction
+ * @param {Object} config - Optional configuration (see updateTraits)
+ * @returns {Promise<Object>} Transaction hash, block number and gas used
+ */
+export async function waitForUpdate(transactionHash, config = {}) {
+  const wallet = await getOwnerSigner(config);
+
+  const tx = await wallet.provider.getTransaction(transactionHash);
+  if (!tx) {
+    throw new Error(`Transaction ${transactionHash} not found (it may have been dropped)`);
+  }
+
+  const receipt = await waitForConfirmation(wallet, tx, { onReplaced: config.onSubmitted });
+
+  return {
+    success: true,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  };
+}
+
+export default updateTraits;
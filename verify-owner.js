@@ -1,5 +1,23 @@
 import { ethers } from 'ethers';
-import fs from 'fs';
+import { resolveDeployment } from './networks.js';
+import { getProvider } from './provider-pool.js';
+import { useIndex, getIndexedToken } from './indexer.js';
+
+/**
+ * Explains why ownerOf failed: IDs up to totalMinted() were minted, so they have been burned
+ */
+async function describeMissingToken(contract, tokenIdNumber) {
+  try {
+    const totalMinted = await contract.totalMinted();
+    if (tokenIdNumber >= 1 && BigInt(tokenIdNumber) <= totalMinted) {
+      return `Token ID ${tokenIdNumber} has been burned`;
+    }
+    return `Token ID ${tokenIdNumber} does not exist`;
+  } catch {
+    // Contract deployed before totalMinted() was added
+    return `Token ID ${tokenIdNumber} does not exist or has been burned`;
+  }
+}
 
 /**
  * Verifies if a wallet address owns a specific token ID
@@ -7,8 +25,11 @@ import fs from 'fs';
  * @param {string} walletAddress - The wallet address to verify
  * @param {number|string} tokenId - The token ID to check
  * @param {Object} config - Optional configuration:
- *   @param {string} contractAddress - Contract address (defaults to deployment.json)
- *   @param {string} rpcUrl - RPC endpoint URL (default: https://polygon-rpc.com/)
+ *   @param {string} network - Network name from networks.json (default: the default network)
+ *   @param {string} collection - Collection name on that network (default: the network's default collection)
+ *   @param {string} contractAddress - Contract address, instead of a collection
+ *   @param {string} rpcUrl - RPC endpoint URL (default: the network's RPC pool)
+ *   @param {string} source - "chain" to skip the index and read from the chain
  * @returns {Promise<Object>} Verification result with isOwner, owner, tokenId, etc.
  * 
  * @example
@@ -34,30 +55,16 @@ async function verifyOwner(walletAddress, tokenId, config = {}) {
       throw new Error('Token ID must be a valid number');
     }
 
-    // Load configuration
-    let contractAddress = config.contractAddress;
-    const rpcUrl = config.rpcUrl || 'https://polygon-rpc.com/';
-
-    // Load contract address from deployment.json if not provided
-    if (!contractAddress) {
-      try {
-        const deploymentInfo = JSON.parse(fs.readFileSync('deployment.json', 'utf8'));
-        contractAddress = deploymentInfo.contractAddress;
-      } catch (error) {
-        throw new Error('Contract address not provided and deployment.json not found');
-      }
-    }
-
-    if (!contractAddress || !ethers.isAddress(contractAddress)) {
-      throw new Error('Invalid contract address');
-    }
+    // Network and contract from the registry (see networks.js)
+    const { network, contractAddress } = resolveDeployment(config);
 
-    // Create provider
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    // Shared provider of the network, with failover between its RPC URLs
+    const provider = getProvider(network, config.rpcUrl);
 
-    // Contract ABI - only need ownerOf function
+    // Contract ABI - ownerOf, plus totalMinted to tell burned tokens from ones never minted
     const contractABI = [
-      "function ownerOf(uint256 tokenId) public view returns (address)"
+      "function ownerOf(uint256 tokenId) public view returns (address)",
+      "function totalMinted() public view returns (uint256)"
     ];
 
     const contract = new ethers.Contract(contractAddress, contractABI, provider);
@@ -66,12 +73,20 @@ async function verifyOwner(walletAddress, tokenId, config = {}) {
     console.log(`Wallet: ${walletAddress}`);
     console.log(`Contract: ${contractAddress}`);
 
-    // Get the actual owner of the token
+    // Get the actual owner of the token, from the index when it is in sync and knows the token
+    const indexStatus = useIndex(contractAddress, { ...config, network });
+    const indexedToken = indexStatus ? getIndexedToken(contractAddress, tokenIdNumber) : null;
+    const fromIndex = indexedToken !== null && !indexedToken.burned;
+
     let actualOwner;
-    try {
-      actualOwner = await contract.ownerOf(tokenIdNumber);
-    } catch (error) {
-      throw new Error(`Token ID ${tokenId} does not exist or has been burned`);
+    if (fromIndex) {
+      actualOwner = indexedToken.owner;
+    } else {
+      try {
+        actualOwner = await contract.ownerOf(tokenIdNumber);
+      } catch (error) {
+        throw new Error(await describeMissingToken(contract, tokenIdNumber));
+      }
     }
 
     // Normalize addresses for comparison (lowercase)
@@ -89,7 +104,9 @@ async function verifyOwner(walletAddress, tokenId, config = {}) {
       walletAddress: walletAddress,
       actualOwner: actualOwner,
       tokenId: tokenIdNumber.toString(),
-      contractAddress: contractAddress
+      contractAddress: contractAddress,
+      source: fromIndex ? 'index' : 'chain',
+      syncedBlock: fromIndex ? indexStatus.syncedBlock : null
     };
 
   } catch (error) {
@@ -0,0 +1,171 @@
+import { ethers } from 'ethers';
+import { indexerEvents, getIndexStatus, getTokensOwnedAt, getIndexedEventsSince } from './indexer.js';
+import { envNumber } from './config.js';
+
+// Stream settings
+const REPLAY_LIMIT = envNumber('STREAM_REPLAY_LIMIT', 1000); // Missed events replayed on resume before asking for a resync
+export const HEARTBEAT_MS = envNumber('STREAM_HEARTBEAT_MS', 25000); // Keeps idle connections open through proxies
+
+function streamError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parses a stream event ID. IDs are "<blockNumber>-<logIndex>" for events from a log,
+ * or "<blockNumber>" for everything up to the end of a block.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Object|null} { blockNumber, logIndex }, or null if the ID is malformed
+ */
+export function parseEventId(eventId) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(eventId));
+  if (!match) {
+    return null;
+  }
+  return {
+    blockNumber: Number(match[1]),
+    logIndex: match[2] !== undefined ? Number(match[2]) : Number.MAX_SAFE_INTEGER
+  };
+}
+
+/**
+ * Checks that a wallet can be streamed
+ *
+ * @param {string} walletAddress - Wallet address
+ * @param {string} lastEventId - ID of the last event the client received, if it is resuming
+ * @returns {Object} Index status of the streamed contract
+ * @throws {Error} With code 'INVALID_STREAM_REQUEST' or 'INDEX_UNAVAILABLE'
+ */
+export function validateStreamRequest(walletAddress, lastEventId) {
+  if (!ethers.isAddress(walletAddress)) {
+    throw streamError('walletAddress must be a valid address', 'INVALID_STREAM_REQUEST');
+  }
+  if (lastEventId && !parseEventId(lastEventId)) {
+    throw streamError('Last-Event-ID must be an event ID sent by this stream', 'INVALID_STREAM_REQUEST');
+  }
+
+  const indexStatus = getIndexStatus();
+  if (!indexStatus || indexStatus.syncedBlock === null) {
+    throw streamError('The ownership index is not running yet', 'INDEX_UNAVAILABLE');
+  }
+  return indexStatus;
+}
+
+/**
+ * Turns an indexer event into a stream event for a wallet
+ *
+ * @returns {Object|null} { id, event, data }, or null if the event does not concern the wallet
+ */
+function toWalletEvent(walletAddress, event) {
+  const id = `${event.blockNumber}-${event.logIndex}`;
+  const log = {
+    contractAddress: event.contractAddress,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex
+  };
+
+  if (event.type === 'metadata') {
+    const tokenIds = getTokensOwnedAt(event.contractAddress, walletAddress, event);
+    return tokenIds.length > 0 ? { id, event: 'metadata-changed', data: { tokenIds, ...log } } : null;
+  }
+
+  const from = event.from.toLowerCase();
+  const to = event.to.toLowerCase();
+  const wallet = walletAddress.toLowerCase();
+
+  if (from === to) {
+    // Sent to itself: ownership did not change
+    return null;
+  }
+  if (to === wallet || from === wallet) {
+    return {
+      id,
+      event: to === wallet ? 'item-added' : 'item-removed',
+      data: { tokenId: event.tokenId, type: event.type, from: event.from, to: event.to, ...log }
+    };
+  }
+  return null;
+}
+
+/**
+ * Opens a live stream of a wallet's inventory changes, built on the ownership index.
+ *
+ * Sends, in order:
+ *   ready            - { walletAddress, contractAddress, syncedBlock, headBlock }
+ *   then, when resuming, the events missed since lastEventId (or a resync if there are too many)
+ *   then live events:
+ *   item-added       - { tokenId, type: 'mint'|'transfer', from, to, contractAddress, blockNumber, transactionHash, logIndex }
+ *   item-removed     - { tokenId, type: 'transfer'|'burn', from, to, contractAddress, blockNumber, transactionHash, logIndex }
+ *   metadata-changed - { tokenIds, contractAddress, blockNumber, transactionHash, logIndex }
+ *   resync           - { reason, blockNumber } - reload the inventory, e.g. after a reorg
+ *
+ * @param {string} walletAddress - Wallet address
+ * @param {string} lastEventId - ID of the last event the client received, if it is resuming
+ * @param {Function} send - Called with each { id, event, data }
+ * @returns {Function} Call to close the stream
+ * @throws {Error} With code 'INVALID_STREAM_REQUEST' or 'INDEX_UNAVAILABLE' (see validateStreamRequest)
+ *
+ * @example
+ * const close = openWalletStream('0x0ad71CEf14201B7fC7de53Ff2b4d40B9a96C2813', null, (event) => {
+ *   console.log(event.event, event.data);
+ * });
+ */
+export function openWalletStream(walletAddress, lastEventId, send) {
+  const indexStatus = validateStreamRequest(walletAddress, lastEventId);
+  const { contractAddress, syncedBlock, headBlock } = indexStatus;
+
+  // Without a Last-Event-ID, a reconnect resumes from the block the stream started at
+  send({
+    id: lastEventId ? undefined : String(syncedBlock),
+    event: 'ready',
+    data: { walletAddress: ethers.getAddress(walletAddress), contractAddress, syncedBlock, headBlock }
+  });
+
+  // Replay and subscribing happen in the same tick, so no event falls in between
+  if (lastEventId) {
+    const missed = getIndexedEventsSince(contractAddress, walletAddress, parseEventId(lastEventId), REPLAY_LIMIT + 1);
+
+    if (missed.length > REPLAY_LIMIT) {
+      send({
+        id: String(syncedBlock),
+        event: 'resync',
+        data: { reason: `More than ${REPLAY_LIMIT} events were missed`, blockNumber: syncedBlock }
+      });
+    } else {
+      for (const event of missed) {
+        const walletEvent = toWalletEvent(walletAddress, event);
+        if (walletEvent) {
+          send(walletEvent);
+        }
+      }
+    }
+  }
+
+  const onEvent = (event) => {
+    if (event.contractAddress !== contractAddress) {
+      return;
+    }
+    const walletEvent = toWalletEvent(walletAddress, event);
+    if (walletEvent) {
+      send(walletEvent);
+    }
+  };
+  const onReorg = (event) => {
+    if (event.contractAddress === contractAddress) {
+      send({ id: String(event.blockNumber), event: 'resync', data: { reason: 'reorg', blockNumber: event.blockNumber } });
+    }
+  };
+
+  indexerEvents.on('transfer', onEvent);
+  indexerEvents.on('metadata', onEvent);
+  indexerEvents.on('reorg', onReorg);
+
+  return () => {
+    indexerEvents.off('transfer', onEvent);
+    indexerEvents.off('metadata', onEvent);
+    indexerEvents.off('reorg', onReorg);
+  };
+}
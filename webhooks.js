@@ -0,0 +1,488 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { hasScope } from './api-keys.js';
+import { indexerEvents, getIndexStatus, getIndexedTransfers } from './indexer.js';
+import { checkPublicUrl, postToPublicUrl } from './outbound-policy.js';
+import { readJson, writeJson } from './storage.js';
+import { envNumber } from './config.js';
+
+const SUBSCRIPTIONS_FILE = 'webhooks.json';
+const DELIVERIES_FILE = 'webhook_deliveries.json';
+const CURSORS_FILE = 'webhook_cursors.json';
+
+// Delivery settings
+const MAX_ATTEMPTS = envNumber('WEBHOOK_MAX_ATTEMPTS', 8);
+const RETRY_BASE_SECONDS = envNumber('WEBHOOK_RETRY_BASE_SECONDS', 10); // Doubles after every failed attempt
+const RETRY_MAX_SECONDS = 3600;
+const TIMEOUT_MS = envNumber('WEBHOOK_TIMEOUT_MS', 10000);
+const DELIVERY_LOG_SIZE = envNumber('WEBHOOK_DELIVERY_LOG_SIZE', 1000); // Finished deliveries kept in the log
+const CONFIRMATIONS = envNumber('WEBHOOK_CONFIRMATIONS', 12); // Blocks on top of an event's block before it is delivered
+
+export const WEBHOOK_EVENTS = ['mint', 'transfer', 'burn', 'reorg'];
+
+export const DELIVERY_STATES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed' // Gave up after WEBHOOK_MAX_ATTEMPTS
+};
+
+// Subscriptions and deliveries are kept in memory and persisted to disk on every change
+const subscriptions = readJson(SUBSCRIPTIONS_FILE, {});
+const deliveries = readJson(DELIVERIES_FILE, {});
+const timers = new Map();
+
+// Last block whose events were dispatched, by contract, so events are dispatched once they are
+// WEBHOOK_CONFIRMATIONS deep and none are missed across restarts
+const cursors = readJson(CURSORS_FILE, {});
+
+function saveSubscriptions() {
+  try {
+    writeJson(SUBSCRIPTIONS_FILE, subscriptions);
+  } catch (error) {
+    console.error('[WEBHOOKS] Error saving subscriptions:', error.message);
+  }
+}
+
+function saveCursors() {
+  try {
+    writeJson(CURSORS_FILE, cursors);
+  } catch (error) {
+    console.error('[WEBHOOKS] Error saving cursors:', error.message);
+  }
+}
+
+function saveDeliveries() {
+  try {
+    writeJson(DELIVERIES_FILE, deliveries);
+  } catch (error) {
+    console.error('[WEBHOOKS] Error saving deliveries:', error.message);
+  }
+}
+
+function webhookError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Keeps the delivery log at DELIVERY_LOG_SIZE finished deliveries (pending ones are always kept)
+ */
+function pruneDeliveries() {
+  const finished = Object.values(deliveries)
+    .filter(delivery => delivery.state !== DELIVERY_STATES.PENDING)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const delivery of finished.slice(0, Math.max(0, finished.length - DELIVERY_LOG_SIZE))) {
+    delete deliveries[delivery.id];
+  }
+}
+
+/**
+ * Signs a payload: HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret
+ *
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} X-Webhook-Signature header value, "t=<timestamp>,v1=<hex signature>"
+ */
+export function signPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Finds a subscription the API key may manage: its own subscriptions, or any subscription for an admin key
+ */
+function findSubscription(subscriptionId, apiKey) {
+  const subscription = Object.prototype.hasOwnProperty.call(subscriptions, subscriptionId) ? subscriptions[subscriptionId] : null;
+  if (!subscription || (subscription.apiKeyId !== apiKey.id && !hasScope(apiKey, 'admin'))) {
+    return null;
+  }
+  return subscription;
+}
+
+/**
+ * Public view of a subscription (the secret is only returned when the subscription is created)
+ */
+export function toSubscriptionStatus(subscription) {
+  const { secret, ...status } = subscription;
+  return status;
+}
+
+/**
+ * Public view of a delivery
+ */
+export function toDeliveryStatus(delivery) {
+  return {
+    deliveryId: delivery.id,
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.event.id,
+    type: delivery.event.type,
+    state: delivery.state,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    redeliveryOf: delivery.redeliveryOf,
+    createdAt: delivery.createdAt,
+    updatedAt: delivery.updatedAt
+  };
+}
+
+function retryDelaySeconds(attemptCount) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attemptCount - 1), RETRY_MAX_SECONDS);
+}
+
+function scheduleDelivery(delivery) {
+  clearTimeout(timers.get(delivery.id));
+  const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+  timers.set(delivery.id, setTimeout(() => attemptDelivery(delivery), delay));
+}
+
+/**
+ * POSTs a delivery to its subscription URL once, and schedules a retry if it fails
+ */
+async function attemptDelivery(delivery) {
+  timers.delete(delivery.id);
+  const subscription = subscriptions[delivery.subscriptionId];
+
+  if (!subscription) {
+    Object.assign(delivery, {
+      state: DELIVERY_STATES.FAILED,
+      nextAttemptAt: null,
+      updatedAt: new Date().toISOString()
+    });
+    saveDeliveries();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+
+  // The host is checked again on every attempt, since its DNS may point elsewhere by now
+  try {
+    attempt.statusCode = await postToPublicUrl(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Blockchain-NFT-API-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event.type,
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `HTTP ${attempt.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'AbortError' || error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  delivery.attempts.push(attempt);
+  delivery.updatedAt = new Date().toISOString();
+
+  if (!attempt.error) {
+    delivery.state = DELIVERY_STATES.DELIVERED;
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.state = DELIVERY_STATES.FAILED;
+    delivery.nextAttemptAt = null;
+    console.error(`[WEBHOOKS] Delivery ${delivery.id} to ${subscription.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  } else {
+    const delay = retryDelaySeconds(delivery.attempts.length);
+    delivery.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+    console.warn(`⚠️  [WEBHOOKS] Delivery ${delivery.id} failed (${attempt.error}), retrying in ${delay}s`);
+    scheduleDelivery(delivery);
+  }
+
+  pruneDeliveries();
+  saveDeliveries();
+}
+
+function createDelivery(subscription, event, redeliveryOf = null) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: crypto.randomUUID(),
+    subscriptionId: subscription.id,
+    event,
+    state: DELIVERY_STATES.PENDING,
+    attempts: [],
+    nextAttemptAt: now,
+    redeliveryOf,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  deliveries[delivery.id] = delivery;
+  saveDeliveries();
+  scheduleDelivery(delivery);
+  return delivery;
+}
+
+/**
+ * Checks whether an indexer event matches a subscription's event types and filters
+ */
+function matches(subscription, type, data) {
+  const { filters } = subscription;
+
+  if (!subscription.events.includes(type)) {
+    return false;
+  }
+  if (filters.contractAddress && filters.contractAddress.toLowerCase() !== data.contractAddress.toLowerCase()) {
+    return false;
+  }
+  if (type === 'reorg') {
+    // Affects every wallet and token of the contract
+    return true;
+  }
+  if (filters.walletAddress &&
+      ![data.from, data.to].some(address => address.toLowerCase() === filters.walletAddress.toLowerCase())) {
+    return false;
+  }
+  if (filters.tokenId !== undefined && filters.tokenId !== data.tokenId) {
+    return false;
+  }
+
+  // Events from before the subscription was created are not delivered
+  return subscription.fromBlock === null || data.blockNumber > subscription.fromBlock;
+}
+
+function dispatch(type, data) {
+  const event = {
+    id: type === 'reorg' ? `reorg:${data.blockNumber}:${Date.now()}` : `${data.transactionHash}:${data.logIndex}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data: type === 'reorg'
+      ? { contractAddress: data.contractAddress, blockNumber: data.blockNumber }
+      : {
+          contractAddress: data.contractAddress,
+          tokenId: data.tokenId,
+          from: data.from,
+          to: data.to,
+          blockNumber: data.blockNumber,
+          blockHash: data.blockHash,
+          transactionHash: data.transactionHash,
+          logIndex: data.logIndex
+        }
+  };
+
+  for (const subscription of Object.values(subscriptions)) {
+    if (matches(subscription, type, data)) {
+      createDelivery(subscription, event);
+    }
+  }
+}
+
+/**
+ * Dispatches the indexed transfers that are now WEBHOOK_CONFIRMATIONS blocks deep
+ */
+function dispatchConfirmed({ contractAddress, syncedBlock, headBlock }) {
+  const contract = contractAddress.toLowerCase();
+  const confirmedBlock = Math.min(syncedBlock, headBlock - CONFIRMATIONS);
+
+  // First run on this contract: only events from now on are delivered
+  if (cursors[contract] === undefined) {
+    cursors[contract] = confirmedBlock;
+    saveCursors();
+    return;
+  }
+  if (confirmedBlock <= cursors[contract]) {
+    return;
+  }
+
+  for (const transfer of getIndexedTransfers(contractAddress, cursors[contract] + 1, confirmedBlock)) {
+    dispatch(transfer.type, transfer);
+  }
+  cursors[contract] = confirmedBlock;
+  saveCursors();
+}
+
+/**
+ * A reorg only concerns subscribers if it undid events that were already dispatched; those are
+ * dispatched again once the blocks that replaced them are confirmed
+ */
+function dispatchReorg(data) {
+  const contract = data.contractAddress.toLowerCase();
+  if (cursors[contract] === undefined || data.blockNumber >= cursors[contract]) {
+    return;
+  }
+
+  cursors[contract] = data.blockNumber;
+  saveCursors();
+  dispatch('reorg', data);
+}
+
+indexerEvents.on('synced', dispatchConfirmed);
+indexerEvents.on('reorg', dispatchReorg);
+
+/**
+ * Registers a webhook subscription, owned by the API key that created it
+ *
+ * @param {Object} request - Subscription:
+ *   @param {string} url - http(s) URL on the public internet that receives POSTed events
+ *   @param {Array<string>} events - Event types to receive (default: all of WEBHOOK_EVENTS)
+ *   @param {Object} filters - Optional filters: contractAddress, walletAddress (sender or receiver), tokenId
+ * @param {Object} apiKey - Key that made the request (req.apiKey)
+ * @returns {Promise<Object>} The subscription, including the secret used to sign deliveries
+ * @throws {Error} With code 'INVALID_WEBHOOK' if the request is invalid or the URL's host is not public
+ *
+ * @example
+ * const subscription = await createSubscription({
+ *   url: 'https://game.example.com/hooks/nft',
+ *   events: ['transfer'],
+ *   filters: { walletAddress: '0x0ad71CEf14201B7fC7de53Ff2b4d40B9a96C2813' }
+ * }, req.apiKey);
+ */
+export async function createSubscription(request, apiKey) {
+  const { url, events = WEBHOOK_EVENTS, filters = {} } = request || {};
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw webhookError('url must be a valid URL', 'INVALID_WEBHOOK');
+  }
+  if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+    throw webhookError('url must be an http(s) URL', 'INVALID_WEBHOOK');
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw webhookError(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`, 'INVALID_WEBHOOK');
+  }
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw webhookError('filters must be an object', 'INVALID_WEBHOOK');
+  }
+  for (const key of ['contractAddress', 'walletAddress']) {
+    if (filters[key] !== undefined && !ethers.isAddress(filters[key])) {
+      throw webhookError(`filters.${key} must be a valid address`, 'INVALID_WEBHOOK');
+    }
+  }
+  if (filters.tokenId !== undefined && !/^\d+$/.test(String(filters.tokenId))) {
+    throw webhookError('filters.tokenId must be a token ID', 'INVALID_WEBHOOK');
+  }
+
+  // Deliveries must not reach internal services, e.g. a cloud metadata endpoint
+  try {
+    await checkPublicUrl(parsedUrl.toString());
+  } catch (error) {
+    throw webhookError(`url must be on the public internet: ${error.message}`, 'INVALID_WEBHOOK');
+  }
+
+  const indexStatus = getIndexStatus(filters.contractAddress);
+  const subscription = {
+    id: crypto.randomUUID(),
+    apiKeyId: apiKey.id,
+    url: parsedUrl.toString(),
+    secret: `whsec_${crypto.randomBytes(32).toString('hex')}`,
+    events: [...new Set(events)],
+    filters: {
+      contractAddress: filters.contractAddress ? ethers.getAddress(filters.contractAddress) : undefined,
+      walletAddress: filters.walletAddress ? ethers.getAddress(filters.walletAddress) : undefined,
+      tokenId: filters.tokenId !== undefined ? String(filters.tokenId) : undefined
+    },
+    // Last block already indexed when the subscription was created (null if the index was not running)
+    fromBlock: indexStatus ? indexStatus.syncedBlock : null,
+    createdAt: new Date().toISOString()
+  };
+
+  subscriptions[subscription.id] = subscription;
+  saveSubscriptions();
+  console.log(`[WEBHOOKS] Subscription ${subscription.id} created for ${subscription.url}`);
+
+  return subscription;
+}
+
+/**
+ * Lists the webhook subscriptions an API key may manage
+ *
+ * @param {Object} apiKey - Key that made the request (req.apiKey)
+ * @returns {Array<Object>} Subscriptions (without secrets)
+ */
+export function listSubscriptions(apiKey) {
+  return Object.keys(subscriptions)
+    .map(subscriptionId => findSubscription(subscriptionId, apiKey))
+    .filter(Boolean)
+    .map(toSubscriptionStatus);
+}
+
+/**
+ * Gets a webhook subscription
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} apiKey - Key that made the request (req.apiKey)
+ * @returns {Object|null} Subscription (without secret) or null if not found or owned by another key
+ */
+export function getSubscription(subscriptionId, apiKey) {
+  const subscription = findSubscription(subscriptionId, apiKey);
+  return subscription ? toSubscriptionStatus(subscription) : null;
+}
+
+/**
+ * Deletes a webhook subscription. Its pending deliveries are not attempted again.
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} apiKey - Key that made the request (req.apiKey)
+ * @returns {boolean} true if the subscription existed and the key may manage it
+ */
+export function deleteSubscription(subscriptionId, apiKey) {
+  if (!findSubscription(subscriptionId, apiKey)) {
+    return false;
+  }
+  delete subscriptions[subscriptionId];
+  saveSubscriptions();
+  console.log(`[WEBHOOKS] Subscription ${subscriptionId} deleted`);
+  return true;
+}
+
+/**
+ * Lists the logged deliveries of a subscription, newest first
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Array<Object>} Deliveries
+ */
+export function listDeliveries(subscriptionId) {
+  return Object.values(deliveries)
+    .filter(delivery => delivery.subscriptionId === subscriptionId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toDeliveryStatus);
+}
+
+/**
+ * Sends a logged delivery's event again, as a new delivery with its own retries
+ *
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} apiKey - Key that made the request (req.apiKey)
+ * @returns {Object} The new delivery
+ * @throws {Error} With code 'NOT_FOUND' if the delivery or its subscription no longer exists, or the subscription is owned by another key
+ */
+export function redeliver(deliveryId, apiKey) {
+  const original = Object.prototype.hasOwnProperty.call(deliveries, deliveryId) ? deliveries[deliveryId] : null;
+  if (!original) {
+    throw webhookError(`Delivery ${deliveryId} not found`, 'NOT_FOUND');
+  }
+
+  const subscription = findSubscription(original.subscriptionId, apiKey);
+  if (!subscription) {
+    throw webhookError(`Subscription ${original.subscriptionId} no longer exists`, 'NOT_FOUND');
+  }
+
+  console.log(`[WEBHOOKS] Redelivering ${deliveryId}`);
+  return createDelivery(subscription, original.event, original.id);
+}
+
+/**
+ * Schedules pending deliveries again after a server restart
+ */
+export function resumeDeliveries() {
+  const pending = Object.values(deliveries).filter(delivery => delivery.state === DELIVERY_STATES.PENDING);
+
+  if (pending.length > 0) {
+    console.log(`[WEBHOOKS] Resuming ${pending.length} pending deliver${pending.length === 1 ? 'y' : 'ies'}`);
+  }
+  for (const delivery of pending) {
+    scheduleDelivery(delivery);
+  }
+}